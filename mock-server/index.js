@@ -0,0 +1,234 @@
+/**
+ * Mock Typing-Practice Server
+ * ===========================
+ *
+ * Stand-in for typewriter.at to run the script against end to end, offline.
+ * Serves a lesson page like the real one (#text_todo_1, the jQuery UI start dialog and a
+ * page script that advances the text on the right keypress) and records every keypress,
+ * so a run can be checked afterwards through the results endpoint.
+ *
+ * Usage: node mock-server [--port 8080] [--text "Lesson text"] [--id 1083] [--no-start-dialog]
+ *
+ * Routes:
+ * - GET  /typewriter.at/index.php?r=typewriter/startPractise&id=1083  lesson page, starts a new session
+ *        (text, dialog=0 override the configured lesson for one page load)
+ * - GET  /results?charsPerTenMins=600  results of the current session, compared to the given speed
+ * - POST /results/events               keypresses reported by the page script
+ * - DELETE /results                    forget the current session
+ *
+ * The lesson is served under a /typewriter.at/ path so the script's typewriter.at adapter picks it up.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_LESSON = {
+    id: '1083',
+    text: 'Das ist ein Test. Grüße aus Wien!',
+    startDialog: true
+};
+
+const LESSON_PATH = '/typewriter.at/index.php';
+const PAGE_TEMPLATE = path.join(__dirname, 'lesson.html');
+const PAGE_SCRIPT = path.join(__dirname, 'lesson-page.js');
+
+// Largest request body accepted, keypress events are tiny
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Results of one lesson session, built from the events the page script reports
+ */
+class LessonSession {
+    constructor(lesson) {
+        this.lesson = lesson;   // { id, text, startDialog }
+        this.events = [];       // Reported events, in the order they were sent
+    }
+
+    record(event) {
+        this.events.push(event);
+    }
+
+    /**
+     * Sum up the session
+     * targetCharsPerTenMins, if given, is compared with the speed the keys actually came in at
+     */
+    getResults(targetCharsPerTenMins = null) {
+        const keys = this.events.filter((event) => event.type === 'key');
+        const accepted = keys.filter((event) => event.typed === event.expected);
+        const errors = keys
+            .filter((event) => event.typed !== event.expected)
+            .map(({ position, expected, typed, time }) => ({ position, expected, typed, time }));
+        const start = this.events.find((event) => event.type === 'start');
+        const complete = this.events.find((event) => event.type === 'complete');
+        
+        // Speed over the gaps between keypresses, so waiting before the first one doesn't count
+        const firstKeyAt = keys.length > 0 ? keys[0].time : null;
+        const lastKeyAt = keys.length > 0 ? keys[keys.length - 1].time : null;
+        const durationMs = keys.length > 1 ? lastKeyAt - firstKeyAt : 0;
+        const effectiveCharsPerTenMins = durationMs > 0 ? ((keys.length - 1) / durationMs) * 600000 : null;
+        
+        const results = {
+            lessonId: this.lesson.id,
+            length: Array.from(this.lesson.text).length,
+            started: !!start,
+            complete: !!complete,
+            accepted: accepted.length,
+            rejected: errors.length,
+            errors,
+            startedAt: start ? start.time : null,
+            completedAt: complete ? complete.time : null,
+            firstKeyAt,
+            lastKeyAt,
+            durationMs,
+            effectiveCharsPerTenMins
+        };
+        
+        if (targetCharsPerTenMins) {
+            results.targetCharsPerTenMins = targetCharsPerTenMins;
+            results.speedDeviationPercent = effectiveCharsPerTenMins === null
+                ? null
+                : ((effectiveCharsPerTenMins - targetCharsPerTenMins) / targetCharsPerTenMins) * 100;
+        }
+        
+        return results;
+    }
+}
+
+/**
+ * Create the mock server (not listening yet)
+ * lesson overrides parts of DEFAULT_LESSON; server.session is the current LessonSession
+ */
+function createMockServer(lesson = {}) {
+    const defaults = { ...DEFAULT_LESSON, ...lesson };
+    const template = fs.readFileSync(PAGE_TEMPLATE, 'utf8');
+    const pageScript = fs.readFileSync(PAGE_SCRIPT, 'utf8');
+    
+    const send = (response, status, type, body) => {
+        response.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+        response.end(body);
+    };
+    const sendJson = (response, status, data) => send(response, status, 'application/json', JSON.stringify(data, null, 2));
+    
+    const renderLesson = (current) => template
+        .replace(/{{lessonId}}/g, escapeHtml(current.id))
+        .replace('{{dialogHidden}}', current.startDialog ? '' : 'hidden')
+        .replace('{{dialogDisplay}}', current.startDialog ? 'block' : 'none')
+        // Keep "</script>" in the text from ending the inline script
+        .replace('{{lesson}}', JSON.stringify(current).replace(/</g, '\\u003c'));
+    
+    const readBody = (request) => new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+    
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        
+        try {
+            if (request.method === 'GET' && url.pathname === '/') {
+                response.writeHead(302, { Location: `${LESSON_PATH}?r=typewriter/startPractise&id=${encodeURIComponent(defaults.id)}` });
+                response.end();
+            } else if (request.method === 'GET' && url.pathname === LESSON_PATH) {
+                const current = {
+                    id: url.searchParams.get('id') || defaults.id,
+                    text: url.searchParams.get('text') ?? defaults.text,
+                    startDialog: url.searchParams.has('dialog') ? url.searchParams.get('dialog') !== '0' : defaults.startDialog
+                };
+                server.session = new LessonSession(current);
+                send(response, 200, 'text/html; charset=utf-8', renderLesson(current));
+            } else if (request.method === 'GET' && url.pathname === '/mock-server/lesson-page.js') {
+                send(response, 200, 'text/javascript; charset=utf-8', pageScript);
+            } else if (url.pathname === '/results' && request.method === 'GET') {
+                if (!server.session) {
+                    sendJson(response, 404, { error: 'No lesson has been loaded yet.' });
+                    return;
+                }
+                const target = Number(url.searchParams.get('charsPerTenMins')) || null;
+                sendJson(response, 200, server.session.getResults(target));
+            } else if (url.pathname === '/results' && request.method === 'DELETE') {
+                server.session = null;
+                send(response, 204, 'text/plain', '');
+            } else if (url.pathname === '/results/events' && request.method === 'POST') {
+                const event = JSON.parse(await readBody(request));
+                if (server.session) {
+                    server.session.record(event);
+                }
+                send(response, 204, 'text/plain', '');
+            } else {
+                sendJson(response, 404, { error: `Not found: ${request.method} ${url.pathname}` });
+            }
+        } catch (error) {
+            sendJson(response, 400, { error: error.message });
+        }
+    });
+    
+    server.session = null;
+    return server;
+}
+
+/**
+ * Read the command line options
+ */
+function parseArguments(args) {
+    const options = { port: 8080, lesson: {} };
+    
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--port':
+                options.port = Number(args[++i]);
+                break;
+            case '--text':
+                options.lesson.text = args[++i].replace(/\\n/g, '\n');
+                break;
+            case '--id':
+                options.lesson.id = args[++i];
+                break;
+            case '--no-start-dialog':
+                options.lesson.startDialog = false;
+                break;
+            default:
+                throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+    
+    return options;
+}
+
+if (require.main === module) {
+    try {
+        const options = parseArguments(process.argv.slice(2));
+        const server = createMockServer(options.lesson);
+        server.listen(options.port, () => {
+            const { port } = server.address();
+            console.log(`Mock lesson: http://localhost:${port}${LESSON_PATH}?r=typewriter/startPractise&id=${options.lesson.id || DEFAULT_LESSON.id}`);
+            console.log(`Results:     http://localhost:${port}/results`);
+        });
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    DEFAULT_LESSON,
+    LESSON_PATH,
+    LessonSession,
+    createMockServer
+};
@@ -0,0 +1,99 @@
+/**
+ * Page script of the mock lesson, behaving like the one on typewriter.at:
+ * the current character is the first element of #text_todo_1, a keypress for it
+ * removes it from the text, any other keypress counts as an error.
+ * Every keypress is reported to the server, which works out the results.
+ */
+(function () {
+    const lesson = window.mockLesson;       // { id, text, startDialog } from the server
+    const chars = Array.from(lesson.text);
+    const block = document.getElementById('text_todo_1');
+    const dialog = document.querySelector(".ui-dialog[aria-describedby='startDialog']");
+    const overlay = document.querySelector('[data-start-overlay]');
+    let position = 0;
+    let started = !lesson.startDialog;
+
+    /**
+     * Append text to an element, with line breaks as <br>
+     */
+    function appendText(element, text) {
+        text.split('\n').forEach((line, index) => {
+            if (index > 0) {
+                element.appendChild(document.createElement('br'));
+            }
+            if (line) {
+                element.appendChild(document.createTextNode(line));
+            }
+        });
+    }
+
+    /**
+     * Show the part of the lesson that is left, with the current character marked
+     */
+    function render() {
+        block.replaceChildren();
+        if (position >= chars.length) {
+            return;
+        }
+        
+        const current = document.createElement('span');
+        current.className = 'current';
+        appendText(current, chars[position]);
+        block.appendChild(current);
+        appendText(block, chars.slice(position + 1).join(''));
+    }
+
+    /**
+     * Send events to the server, in order
+     */
+    let queue = Promise.resolve();
+    function report(event) {
+        const body = JSON.stringify({ ...event, time: Date.now() });
+        queue = queue.then(() => new Promise((resolve) => {
+            const request = new XMLHttpRequest();
+            request.open('POST', '/results/events');
+            request.setRequestHeader('Content-Type', 'application/json');
+            request.onloadend = resolve;
+            request.send(body);
+        }));
+    }
+
+    function showResult() {
+        const result = document.getElementById('result');
+        result.hidden = false;
+        result.textContent = 'Übung beendet';
+    }
+
+    document.getElementById('start-lesson-btn').addEventListener('click', () => {
+        dialog.style.display = 'none';
+        overlay.hidden = true;
+        started = true;
+        report({ type: 'start' });
+    });
+
+    document.addEventListener('keypress', (event) => {
+        if (!started || position >= chars.length) {
+            return;
+        }
+        
+        const typed = event.key === 'Enter' ? '\n' : event.key;
+        const expected = chars[position];
+        report({ type: 'key', position, expected, typed });
+        
+        if (typed !== expected) {
+            return;
+        }
+        
+        position++;
+        render();
+        if (position >= chars.length) {
+            report({ type: 'complete' });
+            showResult();
+        }
+    });
+
+    render();
+    if (started) {
+        report({ type: 'start' });
+    }
+})();
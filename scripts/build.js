@@ -0,0 +1,245 @@
+/**
+ * Build script
+ * ============
+ *
+ * Bundles the CommonJS modules in src/ into self-contained scripts. There are no
+ * runtime dependencies: every module is wrapped in a function, and require() calls are
+ * resolved to module ids (paths relative to src/) at build time.
+ *
+ * Targets (see BUILD_TARGETS), all built from the same sources:
+ * - console: main.js, to paste into the DevTools console
+ * - bookmarklet: dist/bookmarklet.txt, minified javascript: URL
+ * - userscript: dist/auto-typewriter.user.js, loads itself on lesson pages
+ * - extension: the scripts of the Manifest V3 extension in extension/ (the rest of it is static)
+ *
+ * Usage: node scripts/build.js
+ * The built files are git-ignored: build them for a release or to try a change in the browser
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { minify } = require('terser');
+
+const packageJson = require('../package.json');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'src');
+const ENTRY = 'index';
+
+// Pages the userscript runs on
+const USERSCRIPT_MATCHES = [
+    'https://*.typewriter.at/index.php?r=typewriter/startPractise*',
+    'http://*.typewriter.at/index.php?r=typewriter/startPractise*'
+];
+
+// Relative require() calls, the only kind the sources use
+const REQUIRE_PATTERN = /require\('(\.{1,2}\/[^']+)'\)/g;
+
+// Leading doc comment of a source file
+const DOC_COMMENT_PATTERN = /^\/\*\*[\s\S]*?\*\/\n/;
+
+/**
+ * Turn a require() path into a module id, relative to the requiring module
+ */
+function resolveId(fromId, request) {
+    const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(fromId), request));
+    return resolved.replace(/\.js$/, '');
+}
+
+/**
+ * Read a module and the ids of the modules it requires
+ */
+function readModule(id) {
+    const file = path.join(SOURCE_DIR, `${id}.js`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Module not found: src/${id}.js`);
+    }
+    
+    const dependencies = [];
+    const source = fs.readFileSync(file, 'utf8').replace(REQUIRE_PATTERN, (match, request) => {
+        const dependency = resolveId(id, request);
+        dependencies.push(dependency);
+        return `require('${dependency}')`;
+    });
+    
+    return { id, source, dependencies };
+}
+
+/**
+ * Collect the entry module and everything it requires, dependencies first
+ */
+function collectModules(entry) {
+    const modules = [];
+    const seen = new Set();
+    
+    const visit = (id) => {
+        if (seen.has(id)) {
+            return;
+        }
+        seen.add(id);
+        
+        const module = readModule(id);
+        module.dependencies.forEach(visit);
+        modules.push(module);
+    };
+    
+    visit(entry);
+    return modules;
+}
+
+/**
+ * Bundle the entry module and its dependencies into one self-contained script
+ * The entry's doc comment is kept at the top so the bundle still explains itself
+ */
+function bundle(entry = ENTRY) {
+    const modules = collectModules(entry);
+    const entryModule = modules[modules.length - 1];
+    const docComment = (entryModule.source.match(DOC_COMMENT_PATTERN) || [''])[0];
+    entryModule.source = entryModule.source.slice(docComment.length).replace(/^\n+/, '');
+    
+    const definitions = modules.map((module) => [
+        `definitions['${module.id}'] = function (module, exports, require) {`,
+        module.source.trimEnd(),
+        '};'
+    ].join('\n'));
+    
+    return [
+        docComment.trimEnd(),
+        '',
+        '// Generated by scripts/build.js from src/ - edit the sources and run `npm run build`',
+        '(function () {',
+        'const definitions = {};',
+        'const cache = {};',
+        '',
+        'function require(id) {',
+        '    if (!cache[id]) {',
+        '        const module = { exports: {} };',
+        '        cache[id] = module;',
+        '        definitions[id](module, module.exports, require);',
+        '    }',
+        '    return cache[id].exports;',
+        '}',
+        '',
+        definitions.join('\n\n'),
+        '',
+        `require('${entry}');`,
+        '})();',
+        ''
+    ].join('\n').replace(/^\n+/, '');
+}
+
+/**
+ * Metadata block Tampermonkey, Violentmonkey and Greasemonkey read the script's details from
+ */
+function userscriptHeader() {
+    return [
+        '// ==UserScript==',
+        '// @name         Auto Typewriter',
+        `// @namespace    ${packageJson.name}`,
+        `// @version      ${packageJson.version}`,
+        `// @description  ${packageJson.description}`,
+        ...USERSCRIPT_MATCHES.map((match) => `// @match        ${match}`),
+        '// @grant        none',
+        '// @run-at       document-idle',
+        '// ==/UserScript==',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Turn a script into a javascript: URL
+ * The trailing void 0 keeps the browser from replacing the page with the script's result
+ */
+async function toBookmarklet(code) {
+    const result = await minify(code, { compress: true, mangle: true, format: { comments: false } });
+    
+    // terser writes the line breaks of template literals as \n, the spaces after them are the
+    // indentation of the overlay's HTML and CSS and can go
+    const minified = result.code.replace(/\\n +/g, '\\n').replace(/;?$/, ';');
+    return `javascript:${encodeURIComponent(`${minified}void 0`)}\n`;
+}
+
+// Files built from the sources: entry module, output path and the step turning the bundle into the file
+const BUILD_TARGETS = [
+    {
+        name: 'console',
+        entry: ENTRY,
+        output: 'main.js',
+        transform: async (code) => code
+    },
+    {
+        name: 'bookmarklet',
+        entry: ENTRY,
+        output: 'dist/bookmarklet.txt',
+        transform: toBookmarklet
+    },
+    {
+        name: 'userscript',
+        entry: 'userscript',
+        output: 'dist/auto-typewriter.user.js',
+        transform: async (code) => `${userscriptHeader()}\n${code}`
+    },
+    {
+        name: 'extension content script',
+        entry: 'extension/content',
+        output: 'extension/content.js',
+        transform: async (code) => code
+    },
+    {
+        name: 'extension service worker',
+        entry: 'extension/background',
+        output: 'extension/background.js',
+        transform: async (code) => code
+    },
+    {
+        name: 'extension popup',
+        entry: 'extension/popup',
+        output: 'extension/popup.js',
+        transform: async (code) => code
+    }
+];
+
+/**
+ * Build the contents of one target
+ */
+function buildTarget(target) {
+    return target.transform(bundle(target.entry));
+}
+
+/**
+ * Write every target
+ * Returns the names of the targets whose file changed
+ */
+async function build() {
+    const changed = [];
+    
+    for (const target of BUILD_TARGETS) {
+        const file = path.join(ROOT, target.output);
+        const output = await buildTarget(target);
+        const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+        
+        if (current === output) {
+            continue;
+        }
+        changed.push(target.name);
+        
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, output);
+    }
+    
+    return changed;
+}
+
+if (require.main === module) {
+    build().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    BUILD_TARGETS,
+    bundle,
+    buildTarget,
+    build
+};
@@ -0,0 +1,2810 @@
+const {
+    MIN_CHARS_PER_TEN_MINS,
+    MAX_CHARS_PER_TEN_MINS,
+    DEFAULT_CHARS_PER_TEN_MINS,
+    MAX_PROFILE_MINUTES
+} = require('./constants');
+const { formatDuration } = require('./format');
+const { SettingsStore } = require('./settings-store');
+const { SessionHistory } = require('./session-history');
+const {
+    ConstantSpeedProfile,
+    RampUpSpeedProfile,
+    PiecewiseSpeedProfile,
+    DeadlineSpeedProfile
+} = require('./speed-profiles');
+const { TypingScheduler } = require('./scheduler');
+const { ROLLING_SPEED_WINDOW, RollingSpeed } = require('./rolling-speed');
+const { KEYBOARD_LAYOUTS, DEFAULT_KEYBOARD_LAYOUT } = require('./keyboard-layouts');
+const { THEMES, DEFAULT_THEME, ACCENT_COLOR_PATTERN, themeStyles, nextTheme } = require('./themes');
+const { fitOffset } = require('./overlay-position');
+const { HOTKEY_ACTIONS, HOTKEY_SPEED_STEP, parseHotkey, hotkeyFromEvent } = require('./hotkeys');
+const { KeySynthesizer } = require('./key-synthesizer');
+const { findSiteAdapter } = require('./site-adapters');
+const { LESSON_STATES, LessonLifecycle } = require('./lifecycle');
+const { DiagnosticsLog } = require('./diagnostics-log');
+const { MESSAGES } = require('./messages');
+const { SUPPORTED_LOCALES, resolveLocale, Translator } = require('./i18n');
+const { EventEmitter } = require('./event-emitter');
+
+// Events that can be subscribed to with on(), see emit() calls for what each one passes
+const TYPEWRITER_EVENTS = ['char', 'state', 'complete', 'error'];
+
+// Columns of the history tables, each one sorts by its key when its header is clicked
+// Labels are message keys, format gets the value and the overlay's Translator
+const formatCount = (value, i18n) => i18n.formatNumber(value);
+const formatSpeed = (value, i18n) => i18n.formatNumber(Math.round(value));
+const HISTORY_COLUMNS = {
+    lessons: [
+        { key: 'lessonId', label: 'history.lessonId', format: (value) => value || '-' },
+        { key: 'runs', label: 'history.runs', format: formatCount },
+        { key: 'bestCharsPerTenMins', label: 'history.bestCharsPerTenMins', format: formatSpeed },
+        { key: 'averageCharsPerTenMins', label: 'history.averageCharsPerTenMins', format: formatSpeed },
+        { key: 'errors', label: 'history.errors', format: formatCount }
+    ],
+    runs: [
+        { key: 'completedAt', label: 'history.completedAt', format: (value, i18n) => i18n.formatDateTime(value) },
+        { key: 'lessonId', label: 'history.lessonId', format: (value) => value || '-' },
+        { key: 'charsPerTenMins', label: 'history.charsPerTenMins', format: (value, i18n) => (value === null ? '-' : formatSpeed(value, i18n)) },
+        { key: 'achievedCharsPerTenMins', label: 'history.achievedCharsPerTenMins', format: formatSpeed },
+        { key: 'durationMs', label: 'history.durationMs', format: formatDuration },
+        { key: 'errors', label: 'history.runErrors', format: formatCount }
+    ]
+};
+
+// Most recent runs drawn in the history sparkline
+const SPARKLINE_RUNS = 30;
+
+// Element a dry run would type into, for its log, e.g. 'textarea#answer.lesson-input'
+const describeElement = (element) => element.tagName.toLowerCase() +
+    (element.id ? `#${element.id}` : '') +
+    Array.from(element.classList, (name) => `.${name}`).join('');
+
+// Key strokes of a key descriptor (see KeySynthesizer.describe()), e.g. 'Shift+KeyA' or 'Equal KeyE'
+const describeStrokes = (descriptor) => descriptor.strokes
+    .map((stroke) => [stroke.shiftKey && 'Shift', stroke.altGraph && 'AltGr', stroke.code || stroke.key].filter(Boolean).join('+'))
+    .join(' ');
+
+class AutoTypewriter {
+    /**
+     * Initialize the AutoTypewriter with default values
+     * Sets up all the properties needed for the typing automation
+     * options.clock replaces the real time source (see TypingScheduler)
+     * options.adapter forces a site adapter instead of picking one from SITE_ADAPTERS
+     * options.settingsStore replaces the localStorage-backed SettingsStore (e.g. extension storage)
+     * options.sessionHistory replaces the localStorage-backed SessionHistory the same way
+     * options.isTrustedEvent replaces the check that a key event is a real key press (scripts can't send those)
+     */
+    constructor(options = {}) {
+        // Core state management
+        this.events = new EventEmitter((error, event) => {
+            this.log.error(`A "${event}" listener failed`, error);
+        });                            // Subscriptions made with on()
+        this.lifecycle = new LessonLifecycle((state, previousState, reason) => {
+            this.log.info(`State changed: ${previousState} → ${state}`, reason ? { reason } : null);
+            this.updateStats();
+            this.events.emit('state', { state, previousState, reason });
+            if (state === LESSON_STATES.ERROR) {
+                this.events.emit('error', { message: reason });
+            }
+        });                            // Lesson state (see LESSON_STATES)
+        this.log = new DiagnosticsLog(() => ({
+            state: this.lifecycle.state,
+            char: this.adapter ? this.adapter.findCurrentChar() : null
+        }));                           // Diagnostics for bug reports
+        this.log.subscribe(() => this.updateLogView());
+        this.isLogOpen = false;        // Whether the log section of the overlay is expanded
+        this.history = options.sessionHistory || new SessionHistory(); // Completed runs, loaded in init()
+        this.isHistoryOpen = false;    // Whether the history section of the overlay is expanded
+        this.historySort = {
+            lessons: { key: 'lessonId', direction: 'asc' },
+            runs: { key: 'completedAt', direction: 'desc' }
+        };                             // Column and direction each history table is sorted by
+        this.lessonElement = null;     // Lesson element seen when the lesson became ready, to detect swaps
+        this.isDryRun = false;         // Whether the last session only planned its keys (see startDryRun())
+        this.profileParameters = null; // Settings the running speed profile was built from (see getProfileParameters())
+        this.scheduler = new TypingScheduler(() => this.typeNextCharacter(), options.clock);
+        this.isTrustedEvent = options.isTrustedEvent || ((e) => e.isTrusted); // Whether a key event is a real key press
+        this.adapter = options.adapter || null; // Site adapter for the current page
+        this.textReader = null;        // The adapter's text reader, reads the lesson text on every tick
+        this.keySynthesizer = new KeySynthesizer(); // Turns characters into key events
+        this.observer = null;          // MutationObserver driving the lesson lifecycle
+        this.theme = DEFAULT_THEME;    // One of THEMES
+        this.accentColor = '';         // Custom accent color, '' for the theme's own
+        this.position = { x: 0, y: 0 }; // Drag offset of the overlay from its default spot
+        this.settingsStore = options.settingsStore || new SettingsStore(); // Persists user preferences across page loads
+        this.settings = SettingsStore.defaults(); // Preferences loaded in init()
+        this.i18n = new Translator(resolveLocale()); // Messages and formats of the overlay's language
+        
+        // Configuration settings
+        this.config = {
+            charsPerTenMins: 0,        // User's desired typing speed
+            msToWait: 0,               // Calculated milliseconds between each character
+            profile: null,             // Speed profile settings (see DEFAULT_SETTINGS.profile)
+            layout: DEFAULT_KEYBOARD_LAYOUT, // Keyboard layout the keys are looked up in
+            hotkeys: {},               // Shortcut of each HOTKEY_ACTIONS action, '' for none
+            locale: 'auto',            // Language setting, 'auto' follows the browser (see resolveLocale)
+            startBox: null             // The start dialog element (if present)
+        };
+        
+        // UI and statistics
+        this.host = null;              // Element in the page holding the overlay's shadow root
+        this.ui = null;                // Reference to the created UI overlay, inside the shadow root
+        this.statsInterval = null;     // Timer refreshing the statistics every second
+        this.cleanups = [];            // Removes the listeners added outside the overlay (see listen())
+        this.toasts = new Map();       // Shown notifications → their dismiss timers
+        this.toastHost = null;         // Element in the page holding the notifications' shadow root
+        this.toastContainer = null;    // Element in that shadow root the notifications are shown in
+        this.hotkeyCode = null;        // Key of the shortcut being held, its keypress and keyup are swallowed too
+        this.pageFocus = null;         // Page element that last had the focus (see restorePageFocus())
+        this.stats = {
+            charactersTyped: 0,        // Total characters typed in current session
+            startTime: null,           // When typing started (for timing calculations)
+            startPosition: 0,          // Lesson position typing started at
+            endTime: null,             // When typing stopped (for the completion summary)
+            lastTypedTime: null        // Last character typed timestamp
+        };
+        this.recentSpeed = new RollingSpeed(); // Speed over the last few seconds of typing
+    }
+
+    /**
+     * Main initialization method - sets up the entire auto typewriter
+     * This is the entry point that gets called when the script starts
+     */
+    init() {
+        // Already set up, running the script again must not add a second overlay
+        if (this.ui) return;
+        
+        try {
+            // Step 0: Check if we're on a compatible website
+            this.adapter = this.adapter || findSiteAdapter(window.location, document);
+            if (!this.adapter) {
+                const message = this.i18n.t('error.unsupportedPage');
+                this.lifecycle.transition(LESSON_STATES.ERROR, message);
+                this.showError(message);
+                return;
+            }
+            this.textReader = this.adapter.textReader;
+            this.log.info('Initializing', { adapter: this.adapter.name, url: window.location.href });
+            
+            // Step 1: Load the saved preferences and the results of earlier runs
+            this.settings = this.settingsStore.load();
+            this.history.load();
+            this.theme = this.settings.theme;
+            this.accentColor = this.settings.accentColor;
+            this.position = { ...this.settings.position };
+            this.i18n = new Translator(resolveLocale(this.settings.locale));
+            
+            // Step 2: Create the visual UI overlay
+            this.createUI();
+            
+            // Step 3: Find the lesson elements and apply the saved typing speed
+            this.setupConfiguration();
+            
+            // Step 4: Restore the saved language, theme, position and minimized state
+            this.restoreSettings();
+            
+            // Step 5: Set up event listeners and observers
+            this.setupEventHandling();
+            
+        } catch (error) {
+            // If anything goes wrong, show a user-friendly error message and keep the details in the log
+            this.log.error('Initialization failed', error);
+            this.lifecycle.transition(LESSON_STATES.ERROR, error.message);
+            this.showError(this.i18n.t('error.initFailed', { message: error.message }));
+        }
+    }
+
+    /**
+     * Tracks if typing is currently active (typing or paused)
+     */
+    get isRunning() {
+        return this.lifecycle.is(LESSON_STATES.TYPING, LESSON_STATES.PAUSED);
+    }
+
+    /**
+     * Tracks if typing is paused
+     */
+    get isPaused() {
+        return this.lifecycle.is(LESSON_STATES.PAUSED);
+    }
+
+    /**
+     * Whether the overlay is currently on the page
+     */
+    get isAttached() {
+        return !!this.host && this.host.isConnected;
+    }
+
+    /**
+     * Add an event listener outside the overlay and remember how to remove it
+     * Listeners on the overlay go away with it, these would outlive it
+     */
+    listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        this.cleanups.push(() => target.removeEventListener(type, listener, options));
+    }
+
+    /**
+     * Creates the visual UI overlay that users interact with
+     * Builds a complete HTML structure with embedded CSS for styling
+     */
+    createUI() {
+        // The overlay lives in a closed shadow root: the page's styles can't reach into it, and its
+        // styles and class names can't leak out. Only the empty host element is part of the page
+        this.host = document.createElement('div');
+        this.host.id = 'auto-typewriter-ui';
+        const shadowRoot = this.host.attachShadow({ mode: 'closed' });
+
+        // Create the main UI container element
+        this.ui = document.createElement('div');
+        this.ui.className = 'ui-overlay';
+        this.ui.setAttribute('role', 'region');
+        this.ui.setAttribute('aria-labelledby', 'ui-title');
+        this.ui.innerHTML = `
+            <style>
+                /* Don't inherit the page's fonts, colors or spacing through the host */
+                :host {
+                    all: initial;
+                }
+                
+                ${themeStyles('.ui-overlay')}
+                
+                .ui-overlay {
+                    position: fixed;
+                    top: 20px;
+                    right: 20px;
+                    width: 300px;
+                    background: var(--at-background);
+                    border-radius: 15px;
+                    box-shadow: 0 10px 30px var(--at-shadow);
+                    z-index: 10000;
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    color: var(--at-text);
+                    overflow: hidden;
+                    transition: all 0.3s ease;
+                    user-select: none;
+                    pointer-events: auto;
+                    will-change: transform;
+                }
+                
+                .ui-overlay:hover {
+                    transform: translateY(-2px);
+                    box-shadow: 0 15px 40px var(--at-shadow);
+                }
+                
+                .ui-overlay.ui-dragging {
+                    transition: none;
+                    cursor: grabbing;
+                }
+                
+                .ui-header {
+                    background: var(--at-header);
+                    padding: 15px 20px;
+                    border-bottom: 1px solid var(--at-border);
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    cursor: move;
+                    user-select: none;
+                    touch-action: none; /* Dragging with a finger shouldn't scroll the page */
+                }
+                
+                .ui-title {
+                    font-size: 18px;
+                    font-weight: 700;
+                    margin: 0;
+                    text-shadow: var(--at-text-shadow);
+                }
+                
+                .ui-close {
+                    background: none;
+                    border: none;
+                    color: inherit;
+                    font-size: 18px;
+                    cursor: pointer;
+                    padding: 0;
+                    width: 24px;
+                    height: 24px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    border-radius: 50%;
+                    transition: background 0.2s ease;
+                }
+                
+                .ui-close:hover {
+                    background: var(--at-surface-strong);
+                }
+                
+                .ui-close, .ui-minimize {
+                    user-select: none;
+                }
+                
+                .ui-content {
+                    padding: 20px;
+                }
+                
+                .ui-section {
+                    margin-bottom: 20px;
+                }
+                
+                .ui-section:last-child {
+                    margin-bottom: 0;
+                }
+                
+                .ui-label {
+                    display: block;
+                    margin-bottom: 8px;
+                    font-size: 15px;
+                    font-weight: 600;
+                    color: var(--at-text);
+                    text-shadow: var(--at-text-shadow);
+                }
+                
+                .ui-input {
+                    width: 100%;
+                    padding: 10px 12px;
+                    border: var(--at-input-border);
+                    border-radius: 8px;
+                    background: var(--at-surface);
+                    color: var(--at-text);
+                    font-size: 14px;
+                    box-sizing: border-box;
+                    transition: background 0.2s ease;
+                    user-select: text;
+                }
+                
+                .ui-input:focus {
+                    outline: none;
+                    background: var(--at-surface-strong);
+                }
+                
+                /* Keyboard focus is always visible, in the accent color so it shows with every theme */
+                .ui-overlay :focus-visible {
+                    outline: 2px solid var(--at-accent);
+                    outline-offset: 2px;
+                }
+                
+                /* Read by screen readers only */
+                .ui-visually-hidden {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    margin: -1px;
+                    padding: 0;
+                    border: 0;
+                    overflow: hidden;
+                    clip: rect(0 0 0 0);
+                    white-space: nowrap;
+                }
+                
+                .ui-input.invalid {
+                    box-shadow: inset 0 0 0 2px var(--at-danger);
+                }
+                
+                .ui-input option {
+                    color: #000000;
+                }
+                
+                textarea.ui-input {
+                    resize: vertical;
+                    font-family: Consolas, 'Courier New', monospace;
+                    font-size: 12px;
+                }
+                
+                .ui-profile-display {
+                    margin-top: 6px;
+                    font-size: 12px;
+                    text-align: center;
+                    opacity: 0.8;
+                }
+                
+                .ui-field {
+                    margin-top: 10px;
+                }
+                
+                .ui-accent-row {
+                    display: flex;
+                    gap: 10px;
+                }
+                
+                .ui-accent-row .ui-button {
+                    margin-bottom: 0;
+                    padding: 10px;
+                }
+                
+                .ui-color-input {
+                    height: 40px;
+                    padding: 4px;
+                    cursor: pointer;
+                }
+                
+                .ui-hotkeys {
+                    display: grid;
+                    grid-template-columns: auto 1fr;
+                    gap: 6px 10px;
+                    align-items: center;
+                }
+                
+                .ui-hotkey-label {
+                    font-size: 13px;
+                }
+                
+                .ui-hotkey-input {
+                    padding: 6px 10px;
+                    font-size: 13px;
+                    cursor: pointer;
+                }
+                
+                .ui-hint {
+                    margin-top: 6px;
+                    font-size: 12px;
+                    opacity: 0.8;
+                }
+                
+                .ui-field[hidden] {
+                    display: none;
+                }
+                
+                .ui-error {
+                    margin-top: 6px;
+                    font-size: 12px;
+                    color: var(--at-error-text);
+                }
+                
+                .ui-error:empty {
+                    display: none;
+                }
+                
+                .ui-settings-actions {
+                    display: flex;
+                    gap: 10px;
+                    margin-top: 10px;
+                }
+                
+                .ui-settings-actions .ui-button {
+                    margin-bottom: 0;
+                    padding: 10px;
+                }
+                
+                .ui-speed-display {
+                    width: 100%;
+                    padding: 12px 15px;
+                    border: none;
+                    border-radius: 8px;
+                    background: var(--at-surface);
+                    color: var(--at-text);
+                    font-size: 16px;
+                    box-sizing: border-box;
+                    text-align: center;
+                    font-weight: 600;
+                    text-shadow: var(--at-text-shadow);
+                }
+                
+                .ui-button {
+                    width: 100%;
+                    padding: 14px;
+                    border: none;
+                    border-radius: 8px;
+                    font-size: 15px;
+                    font-weight: 700;
+                    cursor: pointer;
+                    transition: all 0.2s ease;
+                    margin-bottom: 10px;
+                    user-select: none;
+                    text-shadow: var(--at-text-shadow);
+                }
+                
+                .ui-button:last-child {
+                    margin-bottom: 0;
+                }
+                
+                .ui-button.primary {
+                    background: var(--at-accent);
+                    color: var(--at-on-accent);
+                }
+                
+                .ui-button.danger {
+                    background: var(--at-danger);
+                    color: var(--at-on-accent);
+                }
+                
+                .ui-button.secondary {
+                    background: var(--at-surface);
+                    border: var(--at-input-border);
+                    color: var(--at-text);
+                }
+                
+                .ui-button.secondary:hover {
+                    background: var(--at-surface-strong);
+                    transform: translateY(-1px);
+                }
+                
+                .ui-button.warning {
+                    background: var(--at-warning);
+                    color: var(--at-on-accent);
+                }
+                
+                /* Darken instead of a hover color per theme, so a custom accent works too */
+                .ui-button.primary:hover,
+                .ui-button.warning:hover,
+                .ui-button.danger:hover {
+                    filter: brightness(0.9);
+                    transform: translateY(-1px);
+                }
+                
+                .ui-button:disabled {
+                    background: var(--at-disabled);
+                    filter: none;
+                    cursor: not-allowed;
+                    transform: none;
+                }
+                
+                .ui-summary {
+                    background: var(--at-surface);
+                    border-left: 4px solid var(--at-accent);
+                    border-radius: 8px;
+                    padding: 12px 15px;
+                    font-size: 13px;
+                    font-weight: 600;
+                    text-align: center;
+                }
+                
+                .ui-summary.error {
+                    border-left-color: var(--at-danger);
+                }
+                
+                .ui-summary[hidden] {
+                    display: none;
+                }
+                
+                .ui-log-toggle {
+                    width: 100%;
+                    background: none;
+                    border: none;
+                    color: inherit;
+                    font-size: 14px;
+                    font-weight: 600;
+                    text-align: left;
+                    padding: 0;
+                    cursor: pointer;
+                    pointer-events: auto;
+                }
+                
+                .ui-log-panel {
+                    margin-top: 10px;
+                }
+                
+                .ui-log-panel[hidden] {
+                    display: none;
+                }
+                
+                .ui-log {
+                    max-height: 160px;
+                    overflow-y: auto;
+                    background: var(--at-inset);
+                    border-radius: 8px;
+                    padding: 8px 10px;
+                    font-family: Consolas, 'Courier New', monospace;
+                    font-size: 11px;
+                    line-height: 1.5;
+                    user-select: text;
+                }
+                
+                .ui-log-entry {
+                    white-space: pre-wrap;
+                    word-break: break-word;
+                }
+                
+                .ui-log-entry.warn {
+                    color: var(--at-warning);
+                }
+                
+                .ui-log-entry.error {
+                    color: var(--at-error-text);
+                }
+                
+                .ui-log-entry.debug {
+                    opacity: 0.6;
+                }
+                
+                .ui-sparkline {
+                    display: block;
+                    width: 100%;
+                    height: 36px;
+                    margin-bottom: 8px;
+                    background: var(--at-inset);
+                    border-radius: 8px;
+                }
+                
+                .ui-sparkline polyline {
+                    fill: none;
+                    stroke: var(--at-accent);
+                    stroke-width: 2;
+                    vector-effect: non-scaling-stroke;
+                }
+                
+                .ui-history-tables {
+                    max-height: 200px;
+                    overflow-y: auto;
+                    user-select: text;
+                }
+                
+                .ui-history-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    margin-bottom: 10px;
+                    font-size: 11px;
+                }
+                
+                .ui-history-table th,
+                .ui-history-table td {
+                    padding: 3px 4px;
+                    text-align: right;
+                    white-space: nowrap;
+                }
+                
+                .ui-history-table th:first-child,
+                .ui-history-table td:first-child {
+                    text-align: left;
+                }
+                
+                .ui-history-table th {
+                    border-bottom: 1px solid var(--at-border);
+                }
+                
+                .ui-sort-button {
+                    background: none;
+                    border: none;
+                    color: inherit;
+                    font: inherit;
+                    padding: 0;
+                    cursor: pointer;
+                }
+                
+                .ui-history-empty {
+                    font-size: 12px;
+                    opacity: 0.7;
+                }
+                
+                .ui-stats {
+                    background: var(--at-surface);
+                    border: var(--at-input-border);
+                    border-radius: 8px;
+                    padding: 18px;
+                    font-size: 13px;
+                }
+                
+                .ui-progress {
+                    height: 8px;
+                    margin-bottom: 12px;
+                    background: rgba(128,128,128,0.3);
+                    border-radius: 4px;
+                    overflow: hidden;
+                }
+                
+                .ui-progress-fill {
+                    width: 0;
+                    height: 100%;
+                    background: var(--at-accent);
+                    transition: width 0.3s ease;
+                }
+                
+                .ui-stat {
+                    display: flex;
+                    justify-content: space-between;
+                    margin-bottom: 8px;
+                }
+                
+                .ui-stat:last-child {
+                    margin-bottom: 0;
+                }
+                
+                .ui-stat[hidden] {
+                    display: none;
+                }
+                
+                /* Shown above the figures of a dry run, which are planned rather than typed */
+                .ui-simulated-notice {
+                    border-left: 4px solid var(--at-warning);
+                    padding-left: 8px;
+                    margin-bottom: 10px;
+                    font-size: 12px;
+                }
+                
+                .ui-simulated-notice[hidden] {
+                    display: none;
+                }
+                
+                .ui-stat-label {
+                    color: var(--at-text-muted);
+                    font-weight: 500;
+                    text-shadow: var(--at-text-shadow);
+                }
+                
+                .ui-stat-value {
+                    font-weight: 700;
+                    color: var(--at-text);
+                    text-shadow: var(--at-text-shadow);
+                }
+                
+                .ui-status {
+                    display: inline-block;
+                    width: 10px;
+                    height: 10px;
+                    border-radius: 50%;
+                    margin-right: 10px;
+                    box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+                }
+                
+                .ui-status.running {
+                    background: var(--at-accent);
+                    animation: pulse 2s infinite;
+                }
+                
+                .ui-status.stopped {
+                    background: var(--at-danger);
+                }
+                
+                @keyframes pulse {
+                    0% { opacity: 1; }
+                    50% { opacity: 0.5; }
+                    100% { opacity: 1; }
+                }
+                
+                .ui-minimize {
+                    position: absolute;
+                    top: 15px;
+                    right: 50px;
+                    background: none;
+                    border: none;
+                    color: inherit;
+                    font-size: 14px;
+                    cursor: pointer;
+                    padding: 0;
+                    width: 24px;
+                    height: 24px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    border-radius: 50%;
+                    transition: background 0.2s ease;
+                }
+                
+                .ui-theme-toggle {
+                    position: absolute;
+                    top: 15px;
+                    right: 80px;
+                    background: none;
+                    border: none;
+                    color: inherit;
+                    font-size: 16px;
+                    cursor: pointer;
+                    padding: 0;
+                    width: 24px;
+                    height: 24px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    border-radius: 50%;
+                    transition: background 0.2s ease;
+                }
+                
+                .ui-theme-toggle:hover {
+                    background: var(--at-surface-strong);
+                }
+                
+                .ui-minimize:hover {
+                    background: var(--at-surface-strong);
+                }
+                
+                .ui-minimized {
+                    width: 50px;
+                    height: 50px;
+                    border-radius: 50%;
+                    overflow: hidden;
+                }
+                
+                .ui-minimized .ui-content {
+                    display: none;
+                }
+                
+                .ui-minimized .ui-header {
+                    padding: 0;
+                    border: none;
+                    height: 100%;
+                    justify-content: center;
+                }
+                
+                .ui-minimized .ui-title {
+                    font-size: 20px;
+                }
+                
+                .ui-minimized .ui-title-text,
+                .ui-minimized .ui-close,
+                .ui-minimized .ui-theme-toggle {
+                    display: none;
+                }
+                
+                /* Minimized, the whole circle is the button restoring the overlay */
+                .ui-minimized .ui-minimize {
+                    top: 0;
+                    right: 0;
+                    width: 100%;
+                    height: 100%;
+                    color: transparent;
+                }
+                
+                /* Inside the circle, outside it the focus ring would be cut off */
+                .ui-minimized .ui-minimize:focus-visible {
+                    outline-offset: -4px;
+                }
+                
+                .ui-minimized {
+                    cursor: pointer;
+                }
+                
+                .ui-minimized:hover {
+                    transform: scale(1.05);
+                }
+                
+                /* Ensure the UI doesn't block page scrolling or interactions */
+                .ui-overlay {
+                    pointer-events: none;
+                    isolation: isolate;
+                }
+                
+                /* Only UI elements should receive pointer events */
+                .ui-overlay .ui-header,
+                .ui-overlay .ui-content,
+                .ui-overlay .ui-button,
+                .ui-overlay .ui-input,
+                .ui-overlay .ui-close,
+                .ui-overlay .ui-minimize,
+                .ui-overlay .ui-log-toggle {
+                    pointer-events: auto;
+                }
+            </style>
+            
+            <div class="ui-header">
+                    <h3 class="ui-title" id="ui-title"><span aria-hidden="true">🤖</span> <span class="ui-title-text">Auto Typewriter</span></h3>
+                    <button class="ui-theme-toggle" data-action="toggleTheme">🖥️</button>
+                    <button class="ui-minimize" data-action="toggleMinimize">−</button>
+                    <button class="ui-close" data-action="closeUI" data-return-focus data-i18n-title="overlay.close" data-i18n-label="overlay.close">×</button>
+                </div>
+            
+            <div class="ui-content">
+                <div class="ui-section">
+                    <span class="ui-label" id="speed-display-label" data-i18n="speed.current"></span>
+                    <div class="ui-speed-display" id="speed-display" aria-labelledby="speed-display-label"></div>
+                    <div class="ui-profile-display" id="profile-display"></div>
+                </div>
+                
+                <div class="ui-section">
+                    <label class="ui-label" for="profile-select" data-i18n="settings.profile"></label>
+                    <select class="ui-input" id="profile-select">
+                        <option value="constant" data-i18n="settings.profile.constant"></option>
+                        <option value="ramp" data-i18n="settings.profile.ramp"></option>
+                        <option value="piecewise" data-i18n="settings.profile.piecewise"></option>
+                        <option value="deadline" data-i18n="settings.profile.deadline"></option>
+                    </select>
+                    <div class="ui-field" data-profiles="constant ramp">
+                        <label class="ui-label" for="speed-input" data-i18n="settings.speed"></label>
+                        <input class="ui-input" id="speed-input" type="number" inputmode="numeric"
+                               min="${MIN_CHARS_PER_TEN_MINS}" max="${MAX_CHARS_PER_TEN_MINS}" step="1"
+                               value="${DEFAULT_CHARS_PER_TEN_MINS}">
+                    </div>
+                    <div class="ui-field" data-profiles="ramp">
+                        <label class="ui-label" for="ramp-minutes-input" data-i18n="settings.rampMinutes"></label>
+                        <input class="ui-input" id="ramp-minutes-input" type="number" min="0" step="0.5">
+                    </div>
+                    <div class="ui-field" data-profiles="piecewise">
+                        <label class="ui-label" for="schedule-input" data-i18n="settings.schedule"></label>
+                        <textarea class="ui-input" id="schedule-input" rows="4" spellcheck="false"
+                                  placeholder='[{"minutes": 2, "charsPerTenMins": 800}, {"charsPerTenMins": 1500}]'></textarea>
+                    </div>
+                    <div class="ui-field" data-profiles="deadline">
+                        <label class="ui-label" for="deadline-minutes-input" data-i18n="settings.deadlineMinutes"></label>
+                        <input class="ui-input" id="deadline-minutes-input" type="number" min="0" step="0.5">
+                    </div>
+                    <div class="ui-field">
+                        <label class="ui-label" for="layout-select" data-i18n="settings.layout"></label>
+                        <select class="ui-input" id="layout-select">
+                            ${Object.entries(KEYBOARD_LAYOUTS).map(([id, layout]) => `<option value="${id}">${layout.name}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="ui-field">
+                        <label class="ui-label" for="locale-select" data-i18n="settings.language"></label>
+                        <select class="ui-input" id="locale-select">
+                            <option value="auto" id="locale-auto-option"></option>
+                            ${SUPPORTED_LOCALES.map((locale) => `<option value="${locale}" lang="${locale}">${MESSAGES[locale]['locale.name']}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="ui-field">
+                        <label class="ui-label" for="accent-input" data-i18n="settings.accentColor"></label>
+                        <div class="ui-accent-row">
+                            <input class="ui-input ui-color-input" id="accent-input" type="color">
+                            <button class="ui-button secondary" id="reset-accent-btn" data-action="resetAccentColor" data-i18n="settings.themeDefault"></button>
+                        </div>
+                    </div>
+                    <div class="ui-field">
+                        <span class="ui-label" data-i18n="settings.hotkeys"></span>
+                        <div class="ui-hotkeys">
+                            ${Object.keys(HOTKEY_ACTIONS).map((action) => `
+                                <label class="ui-hotkey-label" for="hotkey-${action}" data-i18n="hotkey.${action}"></label>
+                                <input class="ui-input ui-hotkey-input" id="hotkey-${action}" data-hotkey="${action}" data-i18n-placeholder="settings.hotkeyNone" readonly>
+                            `).join('')}
+                        </div>
+                        <div class="ui-hint" data-i18n="settings.hotkeyHint"></div>
+                    </div>
+                    <div class="ui-error" id="speed-error" role="alert"></div>
+                    <div class="ui-settings-actions">
+                        <button class="ui-button primary" id="apply-settings-btn" data-action="applySettings" data-i18n="settings.apply"></button>
+                        <button class="ui-button secondary" id="cancel-settings-btn" data-action="cancelSettings" data-i18n="settings.cancel"></button>
+                    </div>
+                    <div class="ui-settings-actions">
+                        <button class="ui-button secondary" id="reset-position-btn" data-action="resetPosition" data-i18n="settings.resetPosition"></button>
+                        <button class="ui-button secondary" id="reset-settings-btn" data-action="resetSettings" data-i18n="settings.resetDefaults"></button>
+                    </div>
+                </div>
+                
+                <div class="ui-section">
+                    <button class="ui-button primary" id="start-btn" data-action="startTyping" data-return-focus>
+                        <span class="ui-status stopped" aria-hidden="true"></span><span data-i18n="controls.start"></span>
+                    </button>
+                    <button class="ui-button warning" id="pause-btn" data-action="togglePause" data-return-focus disabled></button>
+                    <button class="ui-button danger" id="stop-btn" data-action="stop" data-return-focus disabled data-i18n="controls.stop"></button>
+                    <button class="ui-button secondary" id="dry-run-btn" data-action="startDryRun" data-return-focus data-i18n="controls.dryRun"></button>
+                </div>
+                
+                <div class="ui-section">
+                    <div class="ui-summary" id="lesson-summary" hidden></div>
+                    <div class="ui-visually-hidden" id="live-status" role="status" aria-live="polite" aria-atomic="true"></div>
+                </div>
+                
+                <div class="ui-section">
+                    <div class="ui-stats">
+                        <div class="ui-simulated-notice" id="simulated-notice" data-i18n="dryRun.notice" hidden></div>
+                        <div class="ui-progress" id="lesson-progress" role="progressbar"
+                             data-i18n-label="stats.progressBar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                            <div class="ui-progress-fill" id="lesson-progress-fill"></div>
+                        </div>
+                        <div class="ui-stat">
+                            <span class="ui-stat-label" data-i18n="stats.status"></span>
+                            <span class="ui-stat-value" id="status-text"></span>
+                        </div>
+                        <div class="ui-stat">
+                            <span class="ui-stat-label" data-i18n="stats.charsTyped"></span>
+                            <span class="ui-stat-value" id="chars-typed">0</span>
+                        </div>
+                        <div class="ui-stat">
+                            <span class="ui-stat-label" data-i18n="stats.timeRunning"></span>
+                            <span class="ui-stat-value" id="time-running">00:00</span>
+                        </div>
+                        <div class="ui-stat">
+                            <span class="ui-stat-label" data-i18n="stats.progress"></span>
+                            <span class="ui-stat-value" id="progress-text"></span>
+                        </div>
+                        <div class="ui-stat">
+                            <span class="ui-stat-label" data-i18n="stats.remaining"></span>
+                            <span class="ui-stat-value" id="remaining-chars"></span>
+                        </div>
+                        <div class="ui-stat">
+                            <span class="ui-stat-label" data-i18n="stats.eta"></span>
+                            <span class="ui-stat-value" id="eta">-</span>
+                        </div>
+                        <div class="ui-stat">
+                            <span class="ui-stat-label" id="recent-speed-label"></span>
+                            <span class="ui-stat-value" id="recent-speed"></span>
+                        </div>
+                        <div class="ui-stat">
+                            <span class="ui-stat-label" data-i18n="stats.averageSpeed"></span>
+                            <span class="ui-stat-value" id="current-speed"></span>
+                        </div>
+                        <div class="ui-stat">
+                            <span class="ui-stat-label" data-i18n="stats.deviation"></span>
+                            <span class="ui-stat-value" id="speed-deviation">-</span>
+                        </div>
+                        <div class="ui-stat" id="planned-key-stat" hidden>
+                            <span class="ui-stat-label" data-i18n="dryRun.plannedKey"></span>
+                            <span class="ui-stat-value" id="planned-key">-</span>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="ui-section">
+                    <button class="ui-log-toggle" id="history-toggle" data-action="toggleHistory" aria-expanded="false" aria-controls="history-panel"></button>
+                    <div class="ui-log-panel" id="history-panel" hidden>
+                        <div class="ui-history-empty" id="history-empty" data-i18n="history.empty"></div>
+                        <svg class="ui-sparkline" id="history-sparkline" role="img" viewBox="0 0 100 30" preserveAspectRatio="none">
+                            <polyline points=""></polyline>
+                        </svg>
+                        <div class="ui-history-tables">
+                            <table class="ui-history-table" id="history-lessons" data-table="lessons"></table>
+                            <table class="ui-history-table" id="history-runs" data-table="runs"></table>
+                        </div>
+                        <div class="ui-settings-actions">
+                            <button class="ui-button secondary" id="export-history-csv-btn" data-action="exportHistoryCSV" data-i18n="history.exportCsv"></button>
+                            <button class="ui-button secondary" id="export-history-json-btn" data-action="exportHistoryJSON" data-i18n="history.exportJson"></button>
+                        </div>
+                        <div class="ui-settings-actions">
+                            <button class="ui-button secondary" id="clear-history-btn" data-action="clearHistory" data-i18n="history.clear"></button>
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="ui-section">
+                    <button class="ui-log-toggle" id="log-toggle" data-action="toggleLog" aria-expanded="false" aria-controls="log-panel"></button>
+                    <div class="ui-log-panel" id="log-panel" hidden>
+                        <div class="ui-log" id="log-list" role="log"></div>
+                        <div class="ui-settings-actions">
+                            <button class="ui-button secondary" id="export-log-btn" data-action="exportLog" data-i18n="log.export"></button>
+                            <button class="ui-button secondary" id="clear-log-btn" data-action="clearLog" data-i18n="log.clear"></button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Add the UI to the page
+        shadowRoot.appendChild(this.ui);
+        document.body.appendChild(this.host);
+        
+        // Prevent UI from interfering with the underlying website
+        // Events from the overlay leave the shadow root as events on the host, so they are stopped
+        // before they get there. Only stop event propagation when clicking on actual UI elements
+        this.ui.addEventListener('click', (e) => {
+            // Check if the click was on a UI element (not empty space)
+            if (e.target.closest('.ui-header, .ui-content, .ui-button, .ui-input, .ui-close, .ui-minimize')) {
+                e.stopPropagation(); // Prevent click from reaching the website underneath
+            }
+        });
+        
+        // Buttons name the method they call in data-action. Inline handlers would need a page
+        // global, and don't reach an instance living in an extension content script
+        this.ui.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button && !button.disabled) {
+                this[button.dataset.action]();
+                
+                // Typing goes to whatever has the focus on the page, give it back after these buttons took it
+                if (button.hasAttribute('data-return-focus')) {
+                    this.restorePageFocus();
+                }
+            }
+        });
+        this.ui.querySelector('#profile-select').addEventListener('change', () => this.updateProfileFields());
+        this.ui.querySelector('#accent-input').addEventListener('change', (e) => this.setAccentColor(e.target.value));
+        
+        // History tables sort by the column whose header is clicked
+        this.ui.addEventListener('click', (e) => {
+            const header = e.target.closest('th[data-sort]');
+            if (header) {
+                this.sortHistory(header.closest('table').dataset.table, header.dataset.sort);
+            }
+        });
+        
+        this.ui.addEventListener('mousedown', (e) => {
+            // Same logic for mouse down events
+            if (e.target.closest('.ui-header, .ui-content, .ui-button, .ui-input, .ui-close, .ui-minimize')) {
+                e.stopPropagation();
+            }
+        });
+        
+        // Keep every keystroke in the overlay away from the website's own key handlers, otherwise typing
+        // a speed or pressing Space on a button would count as typing in the lesson. Only key events
+        // from inside the shadow root get here, the default actions (e.g. a button's click) still happen
+        ['keydown', 'keypress', 'keyup'].forEach((type) => {
+            this.ui.addEventListener(type, (e) => {
+                e.stopPropagation();
+                if (!e.target.closest('.ui-input')) return;
+                
+                if (type === 'keydown' && e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') {
+                    e.preventDefault();
+                    this.applySettings();
+                } else if (type === 'keydown' && e.key === 'Escape') {
+                    e.preventDefault();
+                    this.cancelSettings();
+                }
+            });
+        });
+        
+        // The hotkey fields record the shortcut pressed in them
+        this.ui.querySelectorAll('.ui-hotkey-input').forEach((input) => {
+            input.addEventListener('keydown', (e) => this.recordHotkey(e));
+        });
+        
+        // Enable dragging functionality for the UI
+        this.setupDrag();
+        
+        // Listen for the keyboard shortcuts
+        this.setupHotkeys();
+        
+        // Remember what has the focus on the page, focus inside the overlay shows as its host
+        this.pageFocus = document.activeElement;
+        this.listen(document, 'focusin', (e) => {
+            if (e.target !== this.host) {
+                this.pageFocus = e.target;
+            }
+        });
+        
+        // Show how many runs the history holds
+        this.updateHistoryView();
+        
+        // Start the statistics update loop - updates every second
+        this.statsInterval = setInterval(() => {
+            this.updateStats();
+        }, 1000);
+    }
+
+    /**
+     * Sets up the drag functionality to make the UI movable
+     * Allows users to drag the header with a mouse, pen or finger to reposition the UI
+     */
+    setupDrag() {
+        // Variables to track drag state and position
+        let pointerId = null;      // Pointer doing the drag, null when not dragging
+        let startX = 0;            // Starting X position when drag begins
+        let startY = 0;            // Starting Y position when drag begins
+        let downX = 0;             // Where the pointer was pressed
+        let downY = 0;
+        let hasMoved = false;      // Whether the last drag went further than a click would
+        // The current offset from the original position lives in this.position so it can be saved
+
+        // Get reference to the header element (the draggable area)
+        const header = this.ui.querySelector('.ui-header');
+        
+        /**
+         * Handles the start of a drag operation
+         * Triggered when a pointer is pressed on the header
+         */
+        header.addEventListener('pointerdown', (e) => {
+            // Don't start drag from the control buttons, other buttons than the main one or a second finger.
+            // Minimized, the whole circle is a button, it can be dragged too
+            if ((e.target.closest('button') && !this.isMinimized) || e.button !== 0 || !e.isPrimary) return;
+            
+            e.preventDefault();      // No text selection, and no mouse events for this pointer
+            hasMoved = false;
+            downX = e.clientX;
+            downY = e.clientY;
+            
+            // Keep receiving the pointer's events while it is outside the header, or outside the window
+            header.setPointerCapture(e.pointerId);
+            pointerId = e.pointerId;
+            startX = e.clientX - this.position.x;  // Calculate starting position
+            startY = e.clientY - this.position.y;
+            this.ui.classList.add('ui-dragging'); // Visual feedback, and no transition lagging behind
+        });
+        
+        /**
+         * Handles the drag movement
+         * Triggered when the dragging pointer moves
+         */
+        header.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== pointerId) return; // Exit if not currently dragging
+            
+            // Calculate new position based on pointer movement, kept inside the viewport
+            this.position = this.fitPosition({ x: e.clientX - startX, y: e.clientY - startY });
+            this.applyPosition();
+            
+            // A few pixels of wobble while clicking don't make a drag
+            hasMoved = hasMoved || Math.abs(e.clientX - downX) + Math.abs(e.clientY - downY) > 3;
+        });
+        
+        // Releasing a dragged minimized circle clicks it, that mustn't restore the UI.
+        // Clicks from the keyboard (detail 0) aren't the end of a drag
+        this.ui.addEventListener('click', (e) => {
+            if (hasMoved && e.detail > 0) {
+                hasMoved = false;
+                e.stopPropagation();
+            }
+        }, true);
+        
+        /**
+         * Handles the end of a drag operation
+         * Triggered when the pointer is released, or taken over by the browser (pointercancel)
+         */
+        const dragEnd = (e) => {
+            if (e.pointerId !== pointerId) return; // Pointer released without dragging the UI
+            
+            pointerId = null;                      // Stop dragging
+            this.ui.classList.remove('ui-dragging');
+            this.position = this.fitPosition(this.position, true); // Snap to nearby edges
+            this.applyPosition();
+            this.saveSettings();                   // Remember where the UI was left
+        };
+        header.addEventListener('pointerup', dragEnd);
+        header.addEventListener('pointercancel', dragEnd);
+        
+        // A smaller window could leave the UI partly off-screen
+        this.listen(window, 'resize', () => this.fitToViewport());
+    }
+
+    /**
+     * Get the offset closest to position that keeps the UI inside the viewport (see fitOffset)
+     */
+    fitPosition(position, snap = false) {
+        // offset* ignore the transform, they give the UI's box at its default spot
+        const box = {
+            left: this.ui.offsetLeft,
+            top: this.ui.offsetTop,
+            width: this.ui.offsetWidth,
+            height: this.ui.offsetHeight
+        };
+        
+        // Nothing to fit while the UI isn't rendered
+        if (box.width === 0 && box.height === 0) {
+            return { ...position };
+        }
+        
+        return fitOffset(position, box, { width: window.innerWidth, height: window.innerHeight }, snap);
+    }
+
+    /**
+     * Move the UI back inside the viewport if it doesn't fit there anymore
+     */
+    fitToViewport() {
+        this.position = this.fitPosition(this.position);
+        this.applyPosition();
+    }
+
+    /**
+     * Move the UI to the current drag offset
+     */
+    applyPosition() {
+        if (!this.ui) return;
+        
+        this.ui.style.transform = `translate3d(${this.position.x}px, ${this.position.y}px, 0)`;
+    }
+
+    /**
+     * Move the UI back to its default spot in the top right corner
+     */
+    resetPosition() {
+        this.position = { x: 0, y: 0 };
+        this.applyPosition();
+        this.saveSettings();
+    }
+
+    /**
+     * Listen for the shortcuts of HOTKEY_ACTIONS
+     * The listeners are on the window in the capture phase, so they run before the page's listeners
+     * on the document and the lesson and a shortcut doesn't count as typing there. Window capture
+     * listeners the page added before the overlay loaded still run first and see the shortcut too
+     */
+    setupHotkeys() {
+        ['keydown', 'keypress', 'keyup'].forEach((type) => {
+            this.listen(window, type, (e) => this.handleHotkey(e), true);
+        });
+    }
+
+    /**
+     * Run the action whose shortcut was pressed, and keep its key events from the page
+     */
+    handleHotkey(e) {
+        // The keys typeNextCharacter() sends are untrusted, they're never shortcuts
+        if (!this.isTrustedEvent(e)) return;
+        
+        if (e.type !== 'keydown') {
+            // The keypress and keyup of a shortcut's key are swallowed like its keydown
+            if (this.hotkeyCode !== null && e.code === this.hotkeyCode) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                if (e.type === 'keyup') {
+                    this.hotkeyCode = null;
+                }
+            }
+            return;
+        }
+        
+        // A hotkey field is being set, it gets the keys instead
+        if (this.isRecordingHotkey()) return;
+        
+        const hotkey = hotkeyFromEvent(e);
+        const action = hotkey && Object.keys(HOTKEY_ACTIONS).find((name) => this.config.hotkeys[name] === hotkey);
+        if (!action) return;
+        
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        this.hotkeyCode = e.code;
+        
+        if (!e.repeat || HOTKEY_ACTIONS[action].repeats) {
+            this.log.info(`Hotkey ${hotkey}: ${action}`);
+            this[HOTKEY_ACTIONS[action].method]();
+        }
+    }
+
+    /**
+     * Give the focus back to the page element that had it before the overlay took it
+     */
+    restorePageFocus() {
+        if (this.pageFocus && this.pageFocus.isConnected && this.pageFocus !== document.body) {
+            this.pageFocus.focus();
+            return;
+        }
+        
+        // Nothing to go back to, at least leave the overlay
+        const focused = this.ui ? this.ui.getRootNode().activeElement : null;
+        if (focused) {
+            focused.blur();
+        }
+    }
+
+    /**
+     * Whether a hotkey field in the settings panel has the focus
+     */
+    isRecordingHotkey() {
+        const focused = this.ui ? this.ui.getRootNode().activeElement : null;
+        return !!focused && focused.classList.contains('ui-hotkey-input');
+    }
+
+    /**
+     * Put the shortcut pressed in a hotkey field into it
+     * Backspace or Delete empty the field, Tab, Enter and Escape keep working as usual
+     */
+    recordHotkey(e) {
+        if (['Tab', 'Enter', 'Escape'].includes(e.key)) return;
+        
+        e.preventDefault();
+        if (['Backspace', 'Delete'].includes(e.key)) {
+            e.target.value = '';
+            return;
+        }
+        
+        // Keys without Ctrl, Alt or Meta aren't shortcuts and leave the field as it was
+        const hotkey = hotkeyFromEvent(e);
+        if (hotkey) {
+            e.target.value = hotkey;
+        }
+    }
+
+    /**
+     * Apply the loaded preferences to the freshly created UI
+     */
+    restoreSettings() {
+        this.translateUI();
+        
+        if (this.settings.minimized !== this.isMinimized) {
+            this.toggleMinimize();
+        }
+        
+        // The position may have been saved in a larger window
+        this.fitToViewport();
+    }
+
+    /**
+     * Save the preferences changed on this page
+     * Only those are written, so what other tabs saved in the meantime is kept
+     */
+    saveSettings() {
+        const current = {
+            charsPerTenMins: this.config.charsPerTenMins,
+            theme: this.theme,
+            accentColor: this.accentColor,
+            position: { ...this.position },
+            minimized: this.isMinimized,
+            layout: this.config.layout,
+            profile: { ...this.config.profile },
+            hotkeys: { ...this.config.hotkeys },
+            locale: this.config.locale
+        };
+        const changes = {};
+        Object.entries(current).forEach(([key, value]) => {
+            if (JSON.stringify(value) !== JSON.stringify(this.settings[key])) {
+                changes[key] = value;
+            }
+        });
+        
+        this.settingsStore.update(changes);
+        this.settings = { ...this.settings, ...changes };
+    }
+
+    /**
+     * Reset every preference to its default and apply it
+     */
+    resetSettings() {
+        this.settings = this.settingsStore.reset();
+        
+        this.theme = this.settings.theme;
+        this.accentColor = this.settings.accentColor;
+        this.position = { ...this.settings.position };
+        this.i18n = new Translator(resolveLocale(this.settings.locale));
+        this.config.profile = { ...this.settings.profile };
+        this.config.hotkeys = { ...this.settings.hotkeys };
+        this.config.locale = this.settings.locale;
+        this.setLayout(this.settings.layout);
+        this.applySpeed(this.settings.charsPerTenMins);
+        this.cancelSettings();
+        this.restoreSettings();
+    }
+
+    /**
+     * Switch to the next theme (see THEMES)
+     */
+    toggleTheme() {
+        this.theme = nextTheme(this.theme);
+        this.applyTheme();
+        this.saveSettings();
+    }
+
+    /**
+     * Use a custom accent color, '' goes back to the theme's own
+     */
+    setAccentColor(color) {
+        this.accentColor = ACCENT_COLOR_PATTERN.test(color) ? color.toLowerCase() : '';
+        this.applyTheme();
+        this.saveSettings();
+    }
+
+    /**
+     * Go back to the theme's own accent color
+     */
+    resetAccentColor() {
+        this.setAccentColor('');
+    }
+
+    /**
+     * Get the theme the overlay shows, resolving 'system' to the one the browser prefers
+     */
+    getEffectiveTheme() {
+        if (this.theme !== 'system') {
+            return this.theme;
+        }
+        
+        const prefersLight = typeof window.matchMedia === 'function' && window.matchMedia('(prefers-color-scheme: light)').matches;
+        return prefersLight ? 'light' : 'dark';
+    }
+    
+    /**
+     * Apply the current theme to the UI and the notifications
+     * The colors come from the theme's custom properties, the styles only pick the set to use
+     */
+    applyTheme() {
+        [this.ui, this.toastContainer].filter(Boolean).forEach((element) => {
+            element.dataset.theme = this.theme;
+            if (this.accentColor) {
+                element.style.setProperty('--at-accent', this.accentColor);
+            } else {
+                element.style.removeProperty('--at-accent');
+            }
+        });
+        if (!this.ui) return;
+        
+        const themeBtn = this.ui.querySelector('.ui-theme-toggle');
+        const name = this.i18n.t(`theme.${this.theme}`);
+        themeBtn.textContent = THEMES[this.theme].icon;
+        themeBtn.title = this.i18n.t('overlay.themeTitle', { name, next: this.i18n.t(`theme.${nextTheme(this.theme)}`) });
+        themeBtn.setAttribute('aria-label', this.i18n.t('overlay.theme', { name }));
+        
+        // Show the accent in effect, a color input can't be empty
+        this.ui.querySelector('#accent-input').value = this.accentColor || THEMES[this.getEffectiveTheme()].colors.accent.toLowerCase();
+    }
+
+    /**
+     * Whether the UI is shrunk to a circle
+     */
+    get isMinimized() {
+        return !!this.ui && this.ui.classList.contains('ui-minimized');
+    }
+
+    /**
+     * Toggle minimize/maximize UI
+     * Minimized, the minimize button fills the whole circle and restores the UI when clicked
+     */
+    toggleMinimize() {
+        this.ui.classList.toggle('ui-minimized');
+        this.updateMinimizeButton();
+        
+        // The full size UI grows to the left and down from a minimized one
+        this.fitToViewport();
+        this.saveSettings();
+    }
+
+    /**
+     * Show on the minimize button what clicking it does
+     */
+    updateMinimizeButton() {
+        const minimizeBtn = this.ui.querySelector('.ui-minimize');
+        const label = this.i18n.t(this.isMinimized ? 'overlay.restore' : 'overlay.minimize');
+        minimizeBtn.textContent = this.isMinimized ? '+' : '−';
+        minimizeBtn.title = label;
+        minimizeBtn.setAttribute('aria-label', label);
+    }
+
+    /**
+     * Switch the overlay to a locale setting ('auto' or one of SUPPORTED_LOCALES)
+     */
+    setLocale(locale) {
+        this.config.locale = locale;
+        this.i18n = new Translator(resolveLocale(locale));
+        this.translateUI();
+    }
+
+    /**
+     * Fill in the overlay's texts in the current language
+     * Static texts name their message in data-i18n (text), data-i18n-placeholder, data-i18n-label
+     * (aria-label) and data-i18n-title; the texts that change are rendered again
+     */
+    translateUI() {
+        if (!this.ui) return;
+        
+        this.ui.lang = this.i18n.locale;
+        this.ui.querySelectorAll('[data-i18n]').forEach((element) => {
+            element.textContent = this.i18n.t(element.dataset.i18n);
+        });
+        this.ui.querySelectorAll('[data-i18n-placeholder]').forEach((element) => {
+            element.placeholder = this.i18n.t(element.dataset.i18nPlaceholder);
+        });
+        this.ui.querySelectorAll('[data-i18n-label]').forEach((element) => {
+            element.setAttribute('aria-label', this.i18n.t(element.dataset.i18nLabel));
+        });
+        this.ui.querySelectorAll('[data-i18n-title]').forEach((element) => {
+            element.title = this.i18n.t(element.dataset.i18nTitle);
+        });
+        
+        this.ui.querySelector('#recent-speed-label').textContent = this.i18n.t('stats.recentSpeed', {
+            seconds: ROLLING_SPEED_WINDOW / 1000
+        });
+        this.ui.querySelector('#locale-auto-option').textContent = this.i18n.t('settings.language.auto', {
+            name: MESSAGES[resolveLocale('auto')]['locale.name']
+        });
+        
+        this.applyTheme();
+        this.updateMinimizeButton();
+        this.updateStats();
+        this.updateLogView();
+        this.updateHistoryView();
+    }
+
+    /**
+     * Close the UI and stop everything it runs: typing, the observer, the stats timer and page listeners
+     */
+    closeUI() {
+        this.stop();
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.host) {
+            this.host.remove();
+            this.host = null;
+            this.ui = null;
+        }
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+            this.statsInterval = null;
+        }
+        this.cleanups.splice(0).forEach((cleanup) => cleanup());
+    }
+
+    /**
+     * Update statistics display
+     */
+    updateStats() {
+        if (!this.ui) return;
+
+        const statusText = this.ui.querySelector('#status-text');
+        const charsTyped = this.ui.querySelector('#chars-typed');
+        const timeRunning = this.ui.querySelector('#time-running');
+        const currentSpeed = this.ui.querySelector('#current-speed');
+        const recentSpeed = this.ui.querySelector('#recent-speed');
+        const speedDeviation = this.ui.querySelector('#speed-deviation');
+        const startBtn = this.ui.querySelector('#start-btn');
+        const stopBtn = this.ui.querySelector('#stop-btn');
+        const pauseBtn = this.ui.querySelector('#pause-btn');
+        const statusIndicator = startBtn.querySelector('.ui-status');
+
+        const summary = this.ui.querySelector('#lesson-summary');
+
+        // Update status
+        const stateLabel = this.i18n.t(`state.${this.lifecycle.state}`);
+        statusText.textContent = this.isDryRun && this.isRunning ? this.i18n.t('dryRun.status', { state: stateLabel }) : stateLabel;
+        statusIndicator.className = this.lifecycle.is(LESSON_STATES.TYPING) ? 'ui-status running' : 'ui-status stopped';
+        startBtn.disabled = !this.lifecycle.can(LESSON_STATES.TYPING) || this.isPaused;
+        this.ui.querySelector('#dry-run-btn').disabled = startBtn.disabled;
+        stopBtn.disabled = !this.isRunning;
+        pauseBtn.disabled = !this.isRunning;
+        pauseBtn.textContent = this.i18n.t(this.isPaused ? 'controls.resume' : 'controls.pause');
+
+        // Update the completion summary
+        if (this.lifecycle.is(LESSON_STATES.COMPLETED) && this.stats.endTime) {
+            const duration = this.stats.endTime - this.stats.startTime;
+            const minutes = duration / 60000;
+            const speed = minutes > 0 ? Math.round(this.stats.charactersTyped / minutes) : 0;
+            summary.textContent = this.i18n.t('summary.completed', {
+                count: this.stats.charactersTyped,
+                time: formatDuration(duration),
+                speed
+            });
+            summary.className = 'ui-summary';
+            summary.hidden = false;
+        } else if (this.lifecycle.is(LESSON_STATES.ERROR)) {
+            summary.textContent = this.i18n.t('summary.stopped', { reason: this.lifecycle.reason });
+            summary.className = 'ui-summary error';
+            summary.hidden = false;
+        } else {
+            summary.hidden = true;
+        }
+        
+        // Announce state changes to screen readers, with the summary when there is one
+        const liveStatus = this.ui.querySelector('#live-status');
+        const announcement = summary.hidden ? statusText.textContent : summary.textContent;
+        if (liveStatus.textContent !== announcement) {
+            liveStatus.textContent = announcement;
+        }
+
+        // Mark the figures of a dry run as simulated, until the next session starts
+        this.ui.querySelector('#simulated-notice').hidden = !this.isDryRun;
+        this.ui.querySelector('#planned-key-stat').hidden = !this.isDryRun;
+
+        // Update the speed the active profile is at
+        this.updateSpeedDisplay();
+
+        // Update characters typed
+        charsTyped.textContent = this.i18n.formatNumber(this.stats.charactersTyped);
+
+        // Update time running
+        if (this.stats.startTime && this.isRunning) {
+            timeRunning.textContent = formatDuration(Date.now() - this.stats.startTime);
+        } else {
+            timeRunning.textContent = '00:00';
+        }
+
+        // Update the average speed of the run and the speed over the last few seconds
+        const isTyping = this.stats.startTime && this.isRunning && !this.isPaused;
+        const recentCharsPerMinute = isTyping ? this.recentSpeed.perMinute(Date.now()) : 0;
+        let speed = 0;
+        if (isTyping) {
+            const elapsed = Date.now() - this.stats.startTime;
+            const minutes = elapsed / 60000;
+            speed = minutes > 0 ? Math.round(this.stats.charactersTyped / minutes) : 0;
+        }
+        currentSpeed.textContent = this.i18n.t('stats.perMinute', { speed });
+        recentSpeed.textContent = this.i18n.t('stats.perMinute', { speed: Math.round(recentCharsPerMinute) });
+        
+        this.updateProgress(recentCharsPerMinute);
+
+        // Update deviation between the characters typed and the characters due by now
+        if (this.isRunning) {
+            const deviation = this.scheduler.getDeviation();
+            const sign = deviation.chars > 0 ? '+' : '';
+            speedDeviation.textContent = this.i18n.t('stats.deviationValue', {
+                sign,
+                count: deviation.chars,
+                percent: this.i18n.formatNumber(deviation.percent, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+            });
+        } else {
+            speedDeviation.textContent = '-';
+        }
+    }
+
+    /**
+     * Find the lesson elements and apply the initial typing speed
+     * The speed itself is edited afterwards from the settings panel in the overlay
+     */
+    setupConfiguration() {
+        // Find required elements
+        this.config.startBox = this.adapter.findStartDialog();
+
+        if (!this.adapter.findLessonElement()) {
+            throw new Error(this.i18n.t('error.noLesson'));
+        }
+
+        this.config.profile = { ...this.settings.profile };
+        this.config.hotkeys = { ...this.settings.hotkeys };
+        this.config.locale = this.settings.locale;
+        this.setLayout(this.settings.layout);
+        this.applySpeed(this.settings.charsPerTenMins);
+        this.cancelSettings();
+    }
+
+    /**
+     * Update speed display with current configuration
+     * While typing it shows the active profile's current speed and progress
+     */
+    updateSpeedDisplay() {
+        const speedDisplay = this.ui.querySelector('#speed-display');
+        const profileDisplay = this.ui.querySelector('#profile-display');
+        
+        if (this.scheduler.isRunning) {
+            const profile = this.scheduler.profile;
+            const elapsed = this.scheduler.getElapsed();
+            speedDisplay.textContent = this.i18n.t('speed.perTenMinutes', { count: Math.round(profile.speedAt(elapsed)) });
+            profileDisplay.textContent = profile.describeProgress(elapsed, this.i18n);
+            return;
+        }
+        
+        try {
+            // Preview the speed the configured profile would start with
+            const profile = this.createSpeedProfile();
+            const speed = profile.type === 'ramp' ? profile.charsPerTenMins : profile.speedAt(0);
+            speedDisplay.textContent = this.i18n.t('speed.perTenMinutes', { count: Math.round(speed) });
+            profileDisplay.textContent = profile.describe(this.i18n);
+        } catch (error) {
+            speedDisplay.textContent = this.i18n.t('speed.perTenMinutes', { count: this.config.charsPerTenMins });
+            profileDisplay.textContent = error.message;
+        }
+    }
+
+    /**
+     * Build the speed profile selected in the settings
+     * Throws an Error with a user-facing message if it can't be built
+     */
+    createSpeedProfile() {
+        const settings = this.config.profile;
+        
+        switch (settings.type) {
+            case 'ramp':
+                return new RampUpSpeedProfile(this.config.charsPerTenMins, settings.rampMinutes);
+            case 'piecewise':
+                return PiecewiseSpeedProfile.fromJSON(settings.schedule, this.i18n);
+            case 'deadline': {
+                const remaining = this.getRemainingCharacterCount();
+                if (remaining === 0) {
+                    throw new Error(this.i18n.t('error.noCharsLeft'));
+                }
+                return new DeadlineSpeedProfile(settings.deadlineMinutes, remaining);
+            }
+            default:
+                return new ConstantSpeedProfile(this.config.charsPerTenMins);
+        }
+    }
+
+    /**
+     * Get the settings the configured speed profile is built from, only those of its type
+     */
+    getProfileParameters() {
+        const { type, rampMinutes, schedule, deadlineMinutes } = this.config.profile;
+        const charsPerTenMins = this.config.charsPerTenMins;
+        
+        switch (type) {
+            case 'ramp':
+                return { type, charsPerTenMins, rampMinutes };
+            case 'piecewise':
+                return { type, schedule };
+            case 'deadline':
+                return { type, deadlineMinutes };
+            default:
+                return { type, charsPerTenMins };
+        }
+    }
+
+    /**
+     * Switch a running session over to the configured speed profile
+     * Nothing changes unless the settings it is built from did. A profile of the same type carries on
+     * at its elapsed time (a ramp-up stays where it is on the ramp), a new type or deadline starts from now
+     */
+    updateActiveProfile() {
+        if (!this.isRunning) return;
+        
+        const parameters = this.getProfileParameters();
+        const previous = this.profileParameters;
+        if (JSON.stringify(parameters) === JSON.stringify(previous)) {
+            return;
+        }
+        
+        try {
+            const keepElapsed = parameters.type === previous.type && parameters.type !== 'deadline';
+            this.scheduler.setProfile(this.createSpeedProfile(), keepElapsed);
+            this.profileParameters = parameters;
+        } catch (error) {
+            this.showSettingsError(error.message);
+        }
+    }
+
+    /**
+     * Show how far through the lesson we are, and when it will be done at the recent speed
+     */
+    updateProgress(charsPerMinute) {
+        let progress = (this.textReader && this.textReader.getProgress()) || { position: 0, total: 0, remaining: 0, percent: 0 };
+        if (this.isDryRun && this.isRunning) {
+            // The page stays where it was, count the planned characters as typed
+            const planned = Math.min(this.stats.charactersTyped, progress.remaining);
+            const position = progress.position + planned;
+            progress = {
+                position,
+                remaining: progress.remaining - planned,
+                total: progress.total,
+                percent: progress.total > 0 ? (position / progress.total) * 100 : 0
+            };
+        }
+        const bar = this.ui.querySelector('#lesson-progress');
+        const eta = this.ui.querySelector('#eta');
+        
+        const percent = Math.floor(progress.percent);
+        bar.firstElementChild.style.width = `${progress.percent}%`;
+        bar.setAttribute('aria-valuenow', percent);
+        this.ui.querySelector('#progress-text').textContent = this.i18n.t('stats.progressValue', {
+            position: progress.position,
+            total: progress.total,
+            percent
+        });
+        this.ui.querySelector('#remaining-chars').textContent = this.i18n.t('stats.remainingValue', { count: progress.remaining });
+        
+        if (charsPerMinute > 0 && progress.remaining > 0) {
+            const remainingMs = (progress.remaining / charsPerMinute) * 60000;
+            eta.textContent = this.i18n.t('stats.etaValue', {
+                time: this.i18n.formatTime(Date.now() + remainingMs),
+                duration: formatDuration(remainingMs)
+            });
+        } else {
+            eta.textContent = '-';
+        }
+    }
+
+    /**
+     * Count the characters still left in the lesson text
+     */
+    getRemainingCharacterCount() {
+        return this.textReader.getProgress().remaining;
+    }
+
+    /**
+     * Parse a speed entered by the user
+     * Returns the parsed value and an error message (null if the input is valid)
+     */
+    validateSpeedInput(input) {
+        const text = String(input ?? '').trim();
+        
+        if (!/^\d+$/.test(text)) {
+            return { value: null, error: this.i18n.t('error.wholeNumber') };
+        }
+        
+        const value = parseInt(text, 10);
+        if (value < MIN_CHARS_PER_TEN_MINS || value > MAX_CHARS_PER_TEN_MINS) {
+            return {
+                value: null,
+                error: this.i18n.t('error.speedRange', { min: MIN_CHARS_PER_TEN_MINS, max: MAX_CHARS_PER_TEN_MINS })
+            };
+        }
+        
+        return { value, error: null };
+    }
+
+    /**
+     * Parse a duration in minutes entered by the user
+     * Returns the parsed value and an error message (null if the input is valid)
+     */
+    validateMinutesInput(input) {
+        const text = String(input ?? '').trim();
+        const value = parseFloat(text);
+        
+        if (!/^\d+(\.\d+)?$/.test(text) || value <= 0 || value > MAX_PROFILE_MINUTES) {
+            return { value: null, error: this.i18n.t('error.minutesRange', { max: MAX_PROFILE_MINUTES }) };
+        }
+        
+        return { value, error: null };
+    }
+
+    /**
+     * Read the shortcuts from the hotkey fields
+     * Returns them, an error message (null if they are valid) and the field causing the error
+     */
+    validateHotkeyInputs() {
+        const hotkeys = {};
+        const actions = new Map(); // Shortcut → the action it is used for
+        
+        for (const input of this.ui.querySelectorAll('.ui-hotkey-input')) {
+            const action = input.dataset.hotkey;
+            const hotkey = parseHotkey(input.value);
+            
+            if (hotkey === null) {
+                return { value: null, error: this.i18n.t('error.invalidHotkey', { hotkey: input.value }), input };
+            }
+            if (hotkey && actions.has(hotkey)) {
+                const error = this.i18n.t('error.duplicateHotkey', {
+                    hotkey,
+                    first: this.i18n.t(`hotkey.${actions.get(hotkey)}`),
+                    second: this.i18n.t(`hotkey.${action}`)
+                });
+                return { value: null, error, input };
+            }
+            
+            hotkeys[action] = hotkey;
+            actions.set(hotkey, action);
+        }
+        
+        return { value: hotkeys, error: null, input: null };
+    }
+
+    /**
+     * Switch the keyboard layout characters are looked up in
+     */
+    setLayout(layoutId) {
+        this.config.layout = layoutId;
+        this.keySynthesizer.setLayout(KEYBOARD_LAYOUTS[layoutId]);
+    }
+
+    /**
+     * Use a typing speed and recompute the delay between characters
+     * A running session picks up the new speed immediately
+     */
+    applySpeed(charsPerTenMins) {
+        this.config.charsPerTenMins = charsPerTenMins;
+        this.config.msToWait = 600000 / this.config.charsPerTenMins;
+        
+        this.updateActiveProfile();
+        
+        if (this.ui) {
+            this.updateSpeedDisplay();
+        }
+    }
+
+    /**
+     * Apply the speed profile entered in the settings panel
+     * Invalid input is reported inline and leaves the current settings untouched
+     */
+    applySettings() {
+        if (!this.ui) return;
+        
+        const type = this.ui.querySelector('#profile-select').value;
+        const speedInput = this.ui.querySelector('#speed-input');
+        const rampInput = this.ui.querySelector('#ramp-minutes-input');
+        const scheduleInput = this.ui.querySelector('#schedule-input');
+        const deadlineInput = this.ui.querySelector('#deadline-minutes-input');
+        
+        const profile = { ...this.config.profile, type };
+        let speed = this.config.charsPerTenMins;
+        let invalidInput = null;
+        let error = null;
+        
+        if (type === 'constant' || type === 'ramp') {
+            ({ value: speed, error } = this.validateSpeedInput(speedInput.value));
+            invalidInput = speedInput;
+        }
+        
+        if (!error && type === 'ramp') {
+            ({ value: profile.rampMinutes, error } = this.validateMinutesInput(rampInput.value));
+            invalidInput = rampInput;
+        }
+        
+        if (!error && type === 'piecewise') {
+            profile.schedule = scheduleInput.value;
+            invalidInput = scheduleInput;
+            try {
+                PiecewiseSpeedProfile.fromJSON(profile.schedule, this.i18n);
+            } catch (scheduleError) {
+                error = scheduleError.message;
+            }
+        }
+        
+        if (!error && type === 'deadline') {
+            ({ value: profile.deadlineMinutes, error } = this.validateMinutesInput(deadlineInput.value));
+            invalidInput = deadlineInput;
+        }
+        
+        let hotkeys = null;
+        if (!error) {
+            ({ value: hotkeys, error, input: invalidInput } = this.validateHotkeyInputs());
+        }
+        
+        this.showSettingsError(error, invalidInput);
+        if (error) {
+            return;
+        }
+        
+        this.config.profile = profile;
+        this.config.hotkeys = hotkeys;
+        this.setLayout(this.ui.querySelector('#layout-select').value);
+        this.applySpeed(speed);
+        const locale = this.ui.querySelector('#locale-select').value;
+        if (locale !== this.config.locale) {
+            this.setLocale(locale);
+        }
+        this.log.info('Settings applied', { charsPerTenMins: speed, profile, layout: this.config.layout, locale });
+        this.cancelSettings();
+        this.saveSettings();
+    }
+
+    /**
+     * Discard the edits in the settings panel and show the current settings again
+     */
+    cancelSettings() {
+        if (!this.ui) return;
+        
+        this.ui.querySelector('#profile-select').value = this.config.profile.type;
+        this.ui.querySelector('#speed-input').value = this.config.charsPerTenMins;
+        this.ui.querySelector('#ramp-minutes-input').value = this.config.profile.rampMinutes;
+        this.ui.querySelector('#schedule-input').value = this.config.profile.schedule;
+        this.ui.querySelector('#deadline-minutes-input').value = this.config.profile.deadlineMinutes;
+        this.ui.querySelector('#layout-select').value = this.config.layout;
+        this.ui.querySelector('#locale-select').value = this.config.locale;
+        this.ui.querySelectorAll('.ui-hotkey-input').forEach((input) => {
+            input.value = this.config.hotkeys[input.dataset.hotkey];
+        });
+        
+        const focused = this.ui.getRootNode().activeElement;
+        if (focused && focused.classList.contains('ui-input')) {
+            focused.blur();
+        }
+        
+        this.updateProfileFields();
+        this.showSettingsError(null);
+    }
+
+    /**
+     * Show only the settings fields used by the selected speed profile
+     */
+    updateProfileFields() {
+        const type = this.ui.querySelector('#profile-select').value;
+        
+        this.ui.querySelectorAll('.ui-field[data-profiles]').forEach((field) => {
+            field.hidden = !field.dataset.profiles.split(' ').includes(type);
+        });
+    }
+
+    /**
+     * Show (or clear, when message is null) the inline error in the settings panel
+     * The input that caused the error, if given, gets highlighted
+     */
+    showSettingsError(message, input = null) {
+        const errorText = this.ui.querySelector('#speed-error');
+        
+        this.ui.querySelectorAll('.ui-input.invalid').forEach((field) => {
+            field.classList.remove('invalid');
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+        });
+        if (message && input) {
+            input.classList.add('invalid');
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', 'speed-error');
+        }
+        errorText.textContent = message || '';
+    }
+
+    /**
+     * Setup event handling for the lesson lifecycle
+     * Works out the initial state and keeps watching the page for changes
+     */
+    setupEventHandling() {
+        this.lessonElement = this.adapter.findLessonElement();
+        this.checkLesson();
+        this.setupObserver();
+    }
+
+    /**
+     * Setup mutation observer that drives the lesson lifecycle
+     * Watches the whole page: the start dialog, the lesson text and lesson swaps
+     */
+    setupObserver() {
+        const config = { 
+            childList: true, 
+            subtree: true, 
+            characterData: true,
+            attributes: true, 
+            attributeFilter: ['style', 'class', 'hidden'] 
+        };
+
+        // Our own overlay updates every second, but changes inside its shadow root aren't reported here
+        this.observer = new MutationObserver(() => this.checkLesson());
+
+        this.observer.observe(document.body, config);
+    }
+
+    /**
+     * Check whether the site's start dialog is currently shown
+     */
+    isStartDialogVisible() {
+        const startBox = this.adapter.findStartDialog();
+        this.config.startBox = startBox;
+        
+        return !!startBox && !startBox.hidden && startBox.style.display !== 'none';
+    }
+
+    /**
+     * Move the lifecycle along according to what the page currently shows
+     */
+    checkLesson() {
+        const lessonElement = this.adapter.findLessonElement();
+        const isSwapped = lessonElement !== this.lessonElement;
+        
+        if (this.isRunning) {
+            if (this.adapter.isLessonComplete()) {
+                this.completeLesson();
+            } else if (isSwapped) {
+                this.stop(LESSON_STATES.ERROR, this.i18n.t('error.lessonReplaced'));
+            }
+            return;
+        }
+        
+        if (isSwapped) {
+            // A new lesson was loaded while we weren't typing: start over with it
+            this.lessonElement = lessonElement;
+            this.textReader.reset();
+        } else if (this.lifecycle.is(LESSON_STATES.COMPLETED, LESSON_STATES.ERROR)) {
+            return;
+        }
+        
+        if (!lessonElement) {
+            this.lifecycle.transition(LESSON_STATES.ERROR, this.i18n.t('error.lessonGone'));
+        } else if (this.adapter.isLessonComplete()) {
+            this.lifecycle.transition(LESSON_STATES.COMPLETED);
+        } else if (this.isStartDialogVisible()) {
+            this.lifecycle.transition(LESSON_STATES.AWAITING_START_DIALOG);
+        } else {
+            this.lifecycle.transition(LESSON_STATES.READY);
+        }
+    }
+
+    /**
+     * Stop typing because the whole lesson has been typed
+     */
+    completeLesson() {
+        this.scheduler.stop();
+        this.stats.endTime = Date.now();
+        this.lifecycle.transition(LESSON_STATES.COMPLETED);
+        
+        const duration = this.stats.endTime - this.stats.startTime;
+        if (!this.isDryRun) {
+            this.recordRun(duration);
+        }
+        this.events.emit('complete', {
+            charactersTyped: this.stats.charactersTyped,
+            duration,
+            charsPerMinute: duration > 0 ? this.stats.charactersTyped / (duration / 60000) : 0
+        });
+    }
+
+    /**
+     * Add the finished run to the session history
+     * Keys the page didn't accept are counted as errors. Only profiles typing at the configured
+     * speed record it, a schedule or deadline sets its own
+     */
+    recordRun(duration) {
+        const accepted = this.textReader.getProgress().position - this.stats.startPosition;
+        const { type, charsPerTenMins = null } = this.profileParameters;
+        const run = this.history.add({
+            completedAt: this.stats.endTime,
+            lessonId: this.adapter.findLessonId(),
+            profile: type,
+            charsPerTenMins,
+            achievedCharsPerTenMins: duration > 0 ? accepted / (duration / 600000) : 0,
+            durationMs: duration,
+            charactersTyped: this.stats.charactersTyped,
+            errors: Math.max(0, this.stats.charactersTyped - accepted)
+        });
+        
+        this.log.info('Run added to the history', run);
+        this.updateHistoryView();
+    }
+
+    /**
+     * Start the typing process
+     */
+    startTyping() {
+        this.startSession(false);
+    }
+
+    /**
+     * Walk the lesson like startTyping() without sending a single key
+     * The same scheduler and text reader run, but every character is only planned: its key strokes
+     * and target go to the log, and the statistics count the planned characters as simulated
+     */
+    startDryRun() {
+        this.startSession(true);
+    }
+
+    /**
+     * Start typing, or planning the keys when dryRun is set
+     */
+    startSession(dryRun) {
+        if (!this.lifecycle.can(LESSON_STATES.TYPING) || this.isRunning) {
+            return;
+        }
+
+        let profile;
+        try {
+            profile = this.createSpeedProfile();
+        } catch (error) {
+            this.showSettingsError(error.message);
+            return;
+        }
+
+        this.stats.startTime = Date.now();
+        this.stats.endTime = null;
+        this.stats.charactersTyped = 0;
+        this.stats.startPosition = this.textReader.getProgress().position;
+        this.recentSpeed.reset(this.stats.startTime);
+        this.isDryRun = dryRun;
+        if (dryRun) {
+            this.log.info('Dry run started, no keys are sent');
+        }
+
+        // Start the scheduler first so state listeners already see the active profile,
+        // its first tick is never run synchronously
+        this.profileParameters = this.getProfileParameters();
+        this.scheduler.start(profile);
+        this.lifecycle.transition(LESSON_STATES.TYPING);
+    }
+
+    /**
+     * Type the next character
+     * Returns true if a character was typed
+     */
+    typeNextCharacter() {
+        try {
+            // Read the character again every time, the site may have replaced the element
+            // A dry run doesn't move the page along, it reads ahead by the characters it planned
+            const keyToPress = this.isDryRun
+                ? Array.from(this.textReader.getRemainingText())[this.stats.charactersTyped]
+                : this.adapter.findCurrentChar();
+            
+            if (!keyToPress) {
+                // Nothing left to type: the lesson may be over
+                if (this.isDryRun) {
+                    this.finishDryRun();
+                } else {
+                    this.checkLesson();
+                }
+                return false;
+            }
+
+            // Send the key events the adapter asks for to the element it picks
+            const inputTarget = this.adapter.findInputTarget();
+            if (inputTarget) {
+                const descriptor = this.isDryRun
+                    ? this.planCharacter(keyToPress, inputTarget)
+                    : this.keySynthesizer.type(keyToPress, inputTarget, this.adapter.keyEvents);
+                this.stats.charactersTyped++;
+                this.stats.lastTypedTime = Date.now();
+                this.recentSpeed.record(this.stats.lastTypedTime);
+                this.events.emit('char', {
+                    char: keyToPress,
+                    descriptor,
+                    charactersTyped: this.stats.charactersTyped,
+                    dryRun: this.isDryRun
+                });
+                return true;
+            }
+        } catch (error) {
+            // Stop rather than keep failing on every tick
+            this.log.error('Typing failed', error);
+            this.stop(LESSON_STATES.ERROR, this.i18n.t('error.typingFailed', { message: error.message }));
+            this.showError(this.i18n.t('error.typingStopped', { message: error.message }));
+        }
+        
+        return false;
+    }
+
+    /**
+     * Log the keys a dry run would send for a character, instead of sending them
+     * Returns the key descriptor that would be used
+     */
+    planCharacter(char, target) {
+        const descriptor = this.keySynthesizer.describe(char);
+        const keys = describeStrokes(descriptor);
+        const element = describeElement(target);
+        const quoted = JSON.stringify(char); // Shows line breaks and tabs as \n and \t
+        
+        this.log.info(`Dry run: ${quoted} → ${keys} → ${element}`, {
+            char,
+            descriptor,
+            target: element,
+            timestamp: Date.now()
+        });
+        if (this.ui) {
+            this.ui.querySelector('#planned-key').textContent = this.i18n.t('dryRun.plannedKeyValue', { char: quoted, keys, target: element });
+        }
+        return descriptor;
+    }
+
+    /**
+     * End a dry run that planned every character left in the lesson
+     */
+    finishDryRun() {
+        const count = this.stats.charactersTyped;
+        this.log.info('Dry run finished', { charactersPlanned: count });
+        this.stop();
+        this.showToast(this.i18n.t('dryRun.finished', { count }));
+    }
+
+    /**
+     * Toggle pause/resume functionality
+     */
+    togglePause() {
+        if (!this.isRunning) return;
+        
+        if (this.isPaused) {
+            this.recentSpeed.reset(Date.now()); // The pause isn't part of the recent speed
+            this.lifecycle.transition(LESSON_STATES.TYPING);
+            this.scheduler.resume();
+        } else {
+            this.lifecycle.transition(LESSON_STATES.PAUSED);
+            this.scheduler.pause();
+        }
+    }
+
+    /**
+     * Stop the auto typewriter
+     * By default the lesson goes back to ready, a state and reason can be given instead (e.g. errors)
+     */
+    stop(state = LESSON_STATES.READY, reason = null) {
+        this.scheduler.stop();
+        
+        if (this.isRunning) {
+            this.stats.endTime = Date.now();
+            this.lifecycle.transition(state, reason);
+        }
+    }
+
+    /**
+     * Show error message to user
+     * Uses a notification instead of alert() so the page keeps running
+     */
+    showError(message) {
+        this.log.error(message);
+        this.showToast(message, 'error');
+    }
+
+    /**
+     * Show a notification in the corner of the page that goes away by itself
+     * Works without the overlay, e.g. when the page isn't supported
+     */
+    showToast(message, level = 'info', duration = 6000) {
+        if (!this.toastHost || !this.toastHost.isConnected) {
+            this.createToastContainer();
+        }
+        
+        const toast = document.createElement('div');
+        toast.className = `ui-toast ${level}`;
+        toast.setAttribute('role', level === 'error' ? 'alert' : 'status');
+        toast.textContent = `Auto Typewriter: ${message}`;
+        toast.title = this.i18n.t('toast.dismiss');
+        const dismiss = () => {
+            clearTimeout(this.toasts.get(toast));
+            this.toasts.delete(toast);
+            toast.remove();
+        };
+        toast.addEventListener('click', dismiss);
+        this.toastContainer.appendChild(toast);
+        
+        this.toasts.set(toast, setTimeout(dismiss, duration));
+    }
+
+    /**
+     * Create the corner the notifications are shown in
+     * Like the overlay it lives in a closed shadow root with the theme's colors, but on its own host
+     * so it is there before the overlay and after it is closed
+     */
+    createToastContainer() {
+        this.toastHost = document.createElement('div');
+        this.toastHost.id = 'auto-typewriter-toasts';
+        const shadowRoot = this.toastHost.attachShadow({ mode: 'closed' });
+        
+        this.toastContainer = document.createElement('div');
+        this.toastContainer.className = 'ui-toasts';
+        this.toastContainer.innerHTML = `
+            <style>
+                :host {
+                    all: initial;
+                }
+                
+                ${themeStyles('.ui-toasts')}
+                
+                .ui-toasts {
+                    position: fixed;
+                    bottom: 20px;
+                    right: 20px;
+                    z-index: 10001;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 10px;
+                    max-width: 320px;
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    pointer-events: none;
+                }
+                
+                .ui-toast {
+                    background: var(--at-background);
+                    color: var(--at-text);
+                    border: var(--at-input-border);
+                    border-left: 4px solid var(--at-accent);
+                    border-radius: 8px;
+                    padding: 12px 15px;
+                    font-size: 13px;
+                    box-shadow: 0 5px 20px var(--at-shadow);
+                    pointer-events: auto;
+                    cursor: pointer;
+                }
+                
+                .ui-toast.warn {
+                    border-left-color: var(--at-warning);
+                }
+                
+                .ui-toast.error {
+                    border-left-color: var(--at-danger);
+                }
+            </style>
+        `;
+        // Like the overlay's, clicks and keys on a toast stay away from the website underneath
+        ['click', 'mousedown', 'keydown', 'keypress', 'keyup'].forEach((type) => {
+            this.toastContainer.addEventListener(type, (e) => e.stopPropagation());
+        });
+        
+        shadowRoot.appendChild(this.toastContainer);
+        document.body.appendChild(this.toastHost);
+        this.applyTheme();
+    }
+
+    /**
+     * Remove this instance's notifications and their container
+     */
+    removeToasts() {
+        this.toasts.forEach((timer) => clearTimeout(timer));
+        this.toasts.clear();
+        
+        if (this.toastHost) {
+            this.toastHost.remove();
+            this.toastHost = null;
+            this.toastContainer = null;
+        }
+    }
+
+    /**
+     * Bring the log section of the overlay up to date
+     */
+    updateLogView() {
+        if (!this.ui) return;
+        
+        const toggle = this.ui.querySelector('#log-toggle');
+        toggle.textContent = `${this.isLogOpen ? '▾' : '▸'} ${this.i18n.t('log.toggle', { count: this.log.entries.length })}`;
+        
+        if (this.isLogOpen) {
+            this.renderLog();
+        }
+    }
+
+    /**
+     * Expand or collapse the log section
+     */
+    toggleLog() {
+        this.isLogOpen = !this.isLogOpen;
+        this.ui.querySelector('#log-panel').hidden = !this.isLogOpen;
+        this.ui.querySelector('#log-toggle').setAttribute('aria-expanded', String(this.isLogOpen));
+        this.updateLogView();
+    }
+
+    /**
+     * Fill the log section with the logged entries, newest last
+     */
+    renderLog() {
+        const list = this.ui.querySelector('#log-list');
+        
+        list.replaceChildren(...this.log.entries.map((entry) => {
+            const line = document.createElement('div');
+            const char = entry.char ? ` "${entry.char === '\n' ? '↵' : entry.char}"` : '';
+            line.className = `ui-log-entry ${entry.level}`;
+            line.textContent = `${entry.time.slice(11, 19)} ${entry.level.toUpperCase()} [${entry.state}${char}] ${entry.message}`;
+            if (entry.details) {
+                line.title = JSON.stringify(entry.details, null, 2);
+            }
+            return line;
+        }));
+        list.scrollTop = list.scrollHeight;
+    }
+
+    /**
+     * Remove all log entries
+     */
+    clearLog() {
+        this.log.clear();
+        this.updateLogView();
+    }
+
+    /**
+     * Download the log as a JSON file, to attach to bug reports
+     */
+    exportLog() {
+        const json = this.log.toJSON({
+            url: window.location.href,
+            userAgent: navigator.userAgent,
+            status: this.getStatus()
+        });
+        this.downloadFile(json, 'log', 'json', 'application/json');
+        return json;
+    }
+
+    /**
+     * Let the browser download content as auto-typewriter-<name>-<timestamp>.<extension>
+     */
+    downloadFile(content, name, extension, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `auto-typewriter-${name}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Bring the history section of the overlay up to date
+     */
+    updateHistoryView() {
+        if (!this.ui) return;
+        
+        const toggle = this.ui.querySelector('#history-toggle');
+        toggle.textContent = `${this.isHistoryOpen ? '▾' : '▸'} ${this.i18n.t('history.toggle', { count: this.history.runs.length })}`;
+        
+        if (this.isHistoryOpen) {
+            this.renderHistory();
+        }
+    }
+
+    /**
+     * Expand or collapse the history section
+     */
+    toggleHistory() {
+        this.isHistoryOpen = !this.isHistoryOpen;
+        this.ui.querySelector('#history-panel').hidden = !this.isHistoryOpen;
+        this.ui.querySelector('#history-toggle').setAttribute('aria-expanded', String(this.isHistoryOpen));
+        this.updateHistoryView();
+    }
+
+    /**
+     * Fill the history section: the speed sparkline, the per-lesson summary and every run
+     */
+    renderHistory() {
+        const isEmpty = this.history.runs.length === 0;
+        this.ui.querySelector('#history-empty').hidden = !isEmpty;
+        this.ui.querySelector('.ui-history-tables').hidden = isEmpty;
+        this.renderSparkline();
+        
+        const { lessons, runs } = this.historySort;
+        this.renderHistoryTable('lessons', this.history.getLessons(lessons.key, lessons.direction));
+        this.renderHistoryTable('runs', this.history.getRuns(runs.key, runs.direction));
+    }
+
+    /**
+     * Draw the typed speed of the most recent runs, oldest on the left
+     */
+    renderSparkline() {
+        const sparkline = this.ui.querySelector('#history-sparkline');
+        const speeds = this.history.runs.slice(-SPARKLINE_RUNS).map((run) => run.achievedCharsPerTenMins);
+        
+        sparkline.style.display = speeds.length < 2 ? 'none' : '';
+        if (speeds.length < 2) return;
+        
+        // Fit the speeds into the 100x30 view box with a little room at the top and bottom
+        const min = Math.min(...speeds);
+        const max = Math.max(...speeds);
+        const range = max - min || 1;
+        const points = speeds.map((value, i) => {
+            const x = (i / (speeds.length - 1)) * 100;
+            const y = 28 - ((value - min) / range) * 26;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+        
+        sparkline.querySelector('polyline').setAttribute('points', points.join(' '));
+        sparkline.setAttribute('aria-label', this.i18n.t('history.sparkline', {
+            count: speeds.length,
+            min: Math.round(min),
+            max: Math.round(max)
+        }));
+    }
+
+    /**
+     * Fill one of the history tables (see HISTORY_COLUMNS), marking the column it is sorted by
+     */
+    renderHistoryTable(table, rows) {
+        const element = this.ui.querySelector(`#history-${table}`);
+        const sort = this.historySort[table];
+        
+        const header = document.createElement('tr');
+        HISTORY_COLUMNS[table].forEach((column) => {
+            // The label is a button, so the columns can be sorted with the keyboard too
+            const cell = document.createElement('th');
+            const button = document.createElement('button');
+            cell.dataset.sort = column.key;
+            button.className = 'ui-sort-button';
+            button.textContent = this.i18n.t(column.label);
+            if (column.key === sort.key) {
+                button.textContent += sort.direction === 'asc' ? ' ▴' : ' ▾';
+                cell.setAttribute('aria-sort', sort.direction === 'asc' ? 'ascending' : 'descending');
+            }
+            cell.appendChild(button);
+            header.appendChild(cell);
+        });
+        
+        const body = rows.map((row) => {
+            const line = document.createElement('tr');
+            HISTORY_COLUMNS[table].forEach((column) => {
+                const cell = document.createElement('td');
+                cell.textContent = column.format(row[column.key], this.i18n);
+                line.appendChild(cell);
+            });
+            return line;
+        });
+        
+        element.replaceChildren(header, ...body);
+    }
+
+    /**
+     * Sort a history table by a column, clicking the same column again reverses the order
+     */
+    sortHistory(table, key) {
+        const sort = this.historySort[table];
+        if (!sort) return;
+        
+        if (sort.key === key) {
+            sort.direction = sort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            sort.key = key;
+            sort.direction = key === 'lessonId' ? 'asc' : 'desc';
+        }
+        this.updateHistoryView();
+    }
+
+    /**
+     * Download every recorded run as CSV, e.g. for a spreadsheet
+     */
+    exportHistoryCSV() {
+        const csv = this.history.toCSV();
+        this.downloadFile(csv, 'history', 'csv', 'text/csv');
+        return csv;
+    }
+
+    /**
+     * Download every recorded run as JSON
+     */
+    exportHistoryJSON() {
+        const json = this.history.toJSON();
+        this.downloadFile(json, 'history', 'json', 'application/json');
+        return json;
+    }
+
+    /**
+     * Forget every recorded run
+     */
+    clearHistory() {
+        this.history.clear();
+        this.log.info('History cleared');
+        this.updateHistoryView();
+    }
+
+    // ===== Programmatic API =====
+    // Everything below works without the overlay's buttons or any window globals
+
+    /**
+     * Subscribe to an engine event and get back a function that unsubscribes
+     * 'char' { char, descriptor, charactersTyped, dryRun } after every typed (or, in a dry run, planned) character
+     * 'state' { state, previousState, reason } on every lesson state change
+     * 'complete' { charactersTyped, duration, charsPerMinute } when a lesson is finished
+     * 'error' { message } when the engine stops because of an error
+     */
+    on(event, listener) {
+        if (!TYPEWRITER_EVENTS.includes(event)) {
+            throw new Error(`Unknown event "${event}", expected one of: ${TYPEWRITER_EVENTS.join(', ')}`);
+        }
+        return this.events.on(event, listener);
+    }
+
+    /**
+     * Remove a listener added with on()
+     */
+    off(event, listener) {
+        this.events.off(event, listener);
+    }
+
+    /**
+     * Start typing the lesson, returns whether typing started
+     * options.dryRun only plans the keys instead (see startDryRun())
+     */
+    start(options = {}) {
+        if (options.dryRun) {
+            this.startDryRun();
+        } else {
+            this.startTyping();
+        }
+        return this.isRunning;
+    }
+
+    /**
+     * Pause typing, does nothing unless the engine is typing
+     */
+    pause() {
+        if (this.lifecycle.is(LESSON_STATES.TYPING)) {
+            this.togglePause();
+        }
+    }
+
+    /**
+     * Resume a paused session
+     */
+    resume() {
+        if (this.isPaused) {
+            this.togglePause();
+        }
+    }
+
+    /**
+     * Change and save the typing speed, throws for values outside the supported range
+     */
+    setSpeed(charsPerTenMins) {
+        const { value, error } = this.validateSpeedInput(charsPerTenMins);
+        if (error) {
+            throw new Error(error);
+        }
+        
+        this.applySpeed(value);
+        // Show the new speed in the settings panel, other changes pending there are kept
+        if (this.ui) {
+            this.ui.querySelector('#speed-input').value = this.config.charsPerTenMins;
+        }
+        this.saveSettings();
+    }
+
+    /**
+     * Type HOTKEY_SPEED_STEP chars per 10 minutes faster, up to the fastest supported speed
+     */
+    speedUp() {
+        if (!this.canAdjustSpeed()) return;
+        this.setSpeed(Math.min(this.config.charsPerTenMins + HOTKEY_SPEED_STEP, MAX_CHARS_PER_TEN_MINS));
+    }
+
+    /**
+     * Type HOTKEY_SPEED_STEP chars per 10 minutes slower, down to the slowest supported speed
+     */
+    speedDown() {
+        if (!this.canAdjustSpeed()) return;
+        this.setSpeed(Math.max(this.config.charsPerTenMins - HOTKEY_SPEED_STEP, MIN_CHARS_PER_TEN_MINS));
+    }
+
+    /**
+     * Whether the speed setting drives the selected profile, says so when it doesn't
+     * A schedule or a deadline sets its own speed, stepping the setting would change nothing
+     */
+    canAdjustSpeed() {
+        if ('charsPerTenMins' in this.getProfileParameters()) {
+            return true;
+        }
+        
+        const profile = this.i18n.t(`profile.${this.config.profile.type}`);
+        this.showToast(this.i18n.t('toast.speedSetByProfile', { profile }), 'warn');
+        return false;
+    }
+
+    /**
+     * Stop typing and free everything the instance set up: the overlay, its notifications,
+     * timers, observers and page listeners, and the listeners added with on()
+     * Safe to call more than once, init() can set the instance up again afterwards
+     */
+    destroy() {
+        this.closeUI();
+        this.removeToasts();
+        this.events.clear();
+    }
+
+    /**
+     * Get current status
+     */
+    getStatus() {
+        return {
+            state: this.lifecycle.state,
+            isRunning: this.isRunning,
+            isPaused: this.isPaused,
+            isDryRun: this.isDryRun,
+            charsPerTenMins: this.config.charsPerTenMins,
+            msToWait: this.config.msToWait,
+            profile: this.config.profile.type,
+            adapter: this.adapter ? this.adapter.name : null,
+            layout: this.config.layout,
+            targetElement: !!this.adapter && !!this.adapter.findLessonElement(),
+            progress: this.textReader ? this.textReader.getProgress() : null,
+            currentChar: this.adapter ? this.adapter.findCurrentChar() || null : null,
+            charactersTyped: this.stats.charactersTyped,
+            deviation: this.scheduler.getDeviation(),
+            timeRunning: this.stats.startTime ? Date.now() - this.stats.startTime : 0
+        };
+    }
+}
+
+module.exports = {
+    AutoTypewriter
+};
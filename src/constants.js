@@ -0,0 +1,18 @@
+// Typing speed limits, in characters per 10 minutes
+const MIN_CHARS_PER_TEN_MINS = 1;
+const MAX_CHARS_PER_TEN_MINS = 10000;
+const DEFAULT_CHARS_PER_TEN_MINS = 100;
+
+// Speed profiles that can be picked in the settings panel
+const SPEED_PROFILE_TYPES = ['constant', 'ramp', 'piecewise', 'deadline'];
+
+// Longest ramp-up, schedule segment or deadline accepted from the settings panel, in minutes
+const MAX_PROFILE_MINUTES = 600;
+
+module.exports = {
+    MIN_CHARS_PER_TEN_MINS,
+    MAX_CHARS_PER_TEN_MINS,
+    DEFAULT_CHARS_PER_TEN_MINS,
+    SPEED_PROFILE_TYPES,
+    MAX_PROFILE_MINUTES
+};
@@ -0,0 +1,124 @@
+// Diagnostics log levels, from least to most severe
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Oldest entries are dropped once the log holds this many
+const MAX_LOG_ENTRIES = 500;
+
+/**
+ * Diagnostics Log
+ * In-memory log of what the script did, kept so problems can be looked at in the
+ * overlay and exported as JSON for bug reports. Every entry records when it happened
+ * and the lesson state and current character at that moment.
+ */
+class DiagnosticsLog {
+    constructor(getContext = () => ({}), maxEntries = MAX_LOG_ENTRIES) {
+        this.entries = [];              // Logged entries, oldest first
+        this.getContext = getContext;   // Returns { state, char } to attach to each entry
+        this.maxEntries = maxEntries;
+        this.listeners = [];            // Called with each new entry
+    }
+
+    /**
+     * Add an entry to the log
+     * details can hold anything JSON-serializable; Errors are turned into their message and stack
+     */
+    log(level, message, details = null) {
+        let context = {};
+        try {
+            context = this.getContext();
+        } catch (error) {
+            // The context is a nice-to-have, never let it break logging
+        }
+        
+        const now = new Date();
+        const entry = {
+            timestamp: now.getTime(),
+            time: now.toISOString(),
+            level: LOG_LEVELS.includes(level) ? level : 'info',
+            message,
+            state: context.state ?? null,
+            char: context.char ?? null,
+            details: DiagnosticsLog.serializeDetails(details)
+        };
+        
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+        
+        this.listeners.forEach((listener) => listener(entry));
+        return entry;
+    }
+
+    debug(message, details) {
+        return this.log('debug', message, details);
+    }
+
+    info(message, details) {
+        return this.log('info', message, details);
+    }
+
+    warn(message, details) {
+        return this.log('warn', message, details);
+    }
+
+    error(message, details) {
+        return this.log('error', message, details);
+    }
+
+    /**
+     * Call listener with every new entry
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * Get the entries at or above a level
+     */
+    getEntries(minLevel = 'debug') {
+        const minIndex = LOG_LEVELS.indexOf(minLevel);
+        return this.entries.filter((entry) => LOG_LEVELS.indexOf(entry.level) >= minIndex);
+    }
+
+    /**
+     * Get the log as a JSON document, with extra information about the environment
+     */
+    toJSON(metadata = {}) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            ...metadata,
+            entries: this.entries
+        }, null, 2);
+    }
+
+    /**
+     * Make details safe to store and serialize
+     */
+    static serializeDetails(details) {
+        if (details instanceof Error) {
+            return { error: details.message, stack: details.stack };
+        }
+        if (details && typeof details === 'object') {
+            const result = {};
+            Object.entries(details).forEach(([key, value]) => {
+                result[key] = value instanceof Error ? { error: value.message, stack: value.stack } : value;
+            });
+            return result;
+        }
+        return details;
+    }
+}
+
+module.exports = {
+    LOG_LEVELS,
+    MAX_LOG_ENTRIES,
+    DiagnosticsLog
+};
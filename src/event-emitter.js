@@ -0,0 +1,62 @@
+/**
+ * Minimal event emitter
+ * A listener that throws is reported through onListenerError and doesn't stop the others
+ */
+class EventEmitter {
+    constructor(onListenerError = () => {}) {
+        this.listeners = new Map();             // Event name → Set of listeners
+        this.onListenerError = onListenerError; // Called with (error, event)
+    }
+
+    /**
+     * Call listener every time event is emitted
+     * Returns a function that removes the listener again
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Stop calling listener for event
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Call every listener of event with data
+     */
+    emit(event, data) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            return;
+        }
+        
+        // Copy first, a listener may unsubscribe while we go through them
+        Array.from(listeners).forEach((listener) => {
+            try {
+                listener(data);
+            } catch (error) {
+                this.onListenerError(error, event);
+            }
+        });
+    }
+
+    /**
+     * Remove every listener of every event
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+module.exports = {
+    EventEmitter
+};
@@ -0,0 +1,75 @@
+/**
+ * Auto Typewriter Extension - Background Service Worker
+ * =====================================================
+ *
+ * Keeps the state of each tab separately: the last status its content script reported is
+ * stored in session storage under the tab's id and shown as the tab's badge. The state is
+ * dropped when the tab navigates away or is closed.
+ */
+
+const { LESSON_STATES } = require('../lifecycle');
+const { MESSAGE_TYPES } = require('./messages');
+
+// Session storage key of a tab's state
+const TAB_STATE_PREFIX = 'tab-state:';
+
+// Badge shown on the toolbar icon for each lesson state (none for the others)
+const STATE_BADGES = {
+    [LESSON_STATES.TYPING]: { text: '▶', color: '#27ae60' },
+    [LESSON_STATES.PAUSED]: { text: '❚❚', color: '#f39c12' },
+    [LESSON_STATES.COMPLETED]: { text: '✓', color: '#3498db' },
+    [LESSON_STATES.ERROR]: { text: '!', color: '#e74c3c' }
+};
+
+const getTabStateKey = (tabId) => `${TAB_STATE_PREFIX}${tabId}`;
+
+/**
+ * Remember a tab's status and update its badge
+ */
+async function saveTabState(tabId, status) {
+    await chrome.storage.session.set({ [getTabStateKey(tabId)]: { status, updatedAt: Date.now() } });
+    
+    const badge = STATE_BADGES[status.state] || { text: '', color: null };
+    await chrome.action.setBadgeText({ tabId, text: badge.text });
+    if (badge.color) {
+        await chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+    }
+}
+
+/**
+ * Get the last state a tab reported, or null
+ */
+async function loadTabState(tabId) {
+    const key = getTabStateKey(tabId);
+    const items = await chrome.storage.session.get(key);
+    return items[key] || null;
+}
+
+/**
+ * Forget a tab's state
+ */
+function clearTabState(tabId) {
+    return chrome.storage.session.remove(getTabStateKey(tabId));
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === MESSAGE_TYPES.STATUS_CHANGED && sender.tab) {
+        saveTabState(sender.tab.id, message.status).catch(() => {
+            // The tab closed in the meantime, there is no badge left to update
+        });
+    } else if (message.type === MESSAGE_TYPES.GET_TAB_STATE) {
+        loadTabState(message.tabId).then(sendResponse).catch(() => sendResponse(null));
+        return true; // The answer is sent asynchronously
+    }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    // A new page means a new engine, which reports its own state once it is loaded
+    if (changeInfo.status === 'loading') {
+        clearTabState(tabId);
+    }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    clearTabState(tabId);
+});
@@ -0,0 +1,93 @@
+/**
+ * Auto Typewriter Extension - Content Script
+ * ==========================================
+ *
+ * Hosts the AutoTypewriter engine on lesson pages, with its settings and history in extension storage.
+ * The popup controls it through MESSAGE_TYPES commands, which map onto the same methods
+ * window.stopAutoTypewriter and window.getAutoTypewriterStatus use, and every lesson state
+ * change is reported to the background service worker, which keeps the state of each tab.
+ */
+
+const { launchWhenLessonLoaded } = require('../launch');
+const { SettingsStore } = require('../settings-store');
+const { SessionHistory } = require('../session-history');
+const { ExtensionStorage } = require('./extension-storage');
+const { MESSAGE_TYPES, ENGINE_COMMANDS, ERROR_CODES } = require('./messages');
+
+/**
+ * Carry out a popup command and answer with the resulting status
+ */
+function runCommand(typewriter, message) {
+    switch (message.type) {
+        case MESSAGE_TYPES.START:
+            typewriter.start();
+            break;
+        case MESSAGE_TYPES.PAUSE:
+            typewriter.togglePause();
+            break;
+        case MESSAGE_TYPES.STOP:
+            typewriter.stop();
+            break;
+        case MESSAGE_TYPES.SET_SPEED: {
+            try {
+                typewriter.setSpeed(message.charsPerTenMins);
+            } catch (error) {
+                return { error: error.message, status: typewriter.getStatus() };
+            }
+            typewriter.log.info('Speed set from the extension popup', { charsPerTenMins: typewriter.config.charsPerTenMins });
+            break;
+        }
+    }
+    
+    return { status: typewriter.getStatus() };
+}
+
+/**
+ * Load the settings, start the engine and connect it to the popup and the background
+ */
+async function startExtension() {
+    let typewriter = null;
+    
+    const reportStatus = () => {
+        chrome.runtime.sendMessage({ type: MESSAGE_TYPES.STATUS_CHANGED, status: typewriter.getStatus() })
+            .catch(() => {
+                // The service worker is restarting, the next change reports again
+            });
+    };
+    
+    // Answer right away, even before the lesson has loaded, so the popup never waits
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (!message || !ENGINE_COMMANDS.includes(message.type)) {
+            return;
+        }
+        if (!typewriter) {
+            sendResponse({ errorCode: ERROR_CODES.LESSON_LOADING });
+            return;
+        }
+        
+        try {
+            sendResponse(runCommand(typewriter, message));
+        } catch (error) {
+            typewriter.log.error('Extension command failed', error);
+            sendResponse({ error: error.message });
+        }
+    });
+    
+    const storage = await ExtensionStorage.load(chrome.storage.local);
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local') {
+            storage.applyChanges(changes);
+        }
+    });
+    
+    typewriter = await launchWhenLessonLoaded({
+        settingsStore: new SettingsStore(storage),
+        sessionHistory: new SessionHistory(storage)
+    });
+    
+    storage.onError = (error, key) => typewriter.log.error('Saving to extension storage failed', { key, error });
+    typewriter.on('state', reportStatus);
+    reportStatus();
+}
+
+startExtension();
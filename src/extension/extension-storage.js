@@ -0,0 +1,61 @@
+/**
+ * localStorage-like storage over chrome.storage.local, so SettingsStore can use it unchanged
+ * SettingsStore reads synchronously, so the items are loaded once up front and kept in a copy:
+ * writes update the copy right away and are saved in the background. Changes made from other
+ * tabs only update the copy (see applyChanges()), the stores read them again before they save
+ * but the overlay keeps showing what it loaded
+ */
+class ExtensionStorage {
+    constructor(area, items = {}) {
+        this.area = area;          // chrome.storage area the items live in
+        this.items = { ...items }; // Copy of the stored items
+        this.onError = null;       // Called with the error and the key when saving in the background fails
+    }
+
+    /**
+     * Load every item of a storage area
+     */
+    static async load(area) {
+        return new ExtensionStorage(area, await area.get(null));
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+        this.area.set({ [key]: this.items[key] }).catch((error) => this.reportError(error, key));
+    }
+
+    removeItem(key) {
+        delete this.items[key];
+        this.area.remove(key).catch((error) => this.reportError(error, key));
+    }
+
+    /**
+     * Pass a failed background save on, the copy already holds the value so nothing else notices
+     */
+    reportError(error, key) {
+        if (this.onError) {
+            this.onError(error, key);
+        }
+    }
+
+    /**
+     * Keep the copy in step with changes from chrome.storage.onChanged
+     */
+    applyChanges(changes) {
+        Object.entries(changes).forEach(([key, change]) => {
+            if (change.newValue === undefined) {
+                delete this.items[key];
+            } else {
+                this.items[key] = change.newValue;
+            }
+        });
+    }
+}
+
+module.exports = {
+    ExtensionStorage
+};
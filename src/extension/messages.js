@@ -0,0 +1,39 @@
+/**
+ * Messages between the extension popup, the background service worker and the content scripts
+ * Every message is an object with a type from MESSAGE_TYPES and the fields listed next to it
+ */
+const MESSAGE_TYPES = {
+    // Popup → content script, answered with { status } or { error }, or { errorCode } before the engine runs
+    GET_STATUS: 'get-status',
+    START: 'start',
+    PAUSE: 'pause',                   // Pauses, or resumes when paused
+    STOP: 'stop',
+    SET_SPEED: 'set-speed',           // { charsPerTenMins }
+    
+    // Content script → background: { status }, whenever the lesson state changes
+    STATUS_CHANGED: 'status-changed',
+    
+    // Popup → background: { tabId }, answered with the last status the tab reported (or null)
+    GET_TAB_STATE: 'get-tab-state'
+};
+
+// Popup commands the content script carries out
+const ENGINE_COMMANDS = [
+    MESSAGE_TYPES.GET_STATUS,
+    MESSAGE_TYPES.START,
+    MESSAGE_TYPES.PAUSE,
+    MESSAGE_TYPES.STOP,
+    MESSAGE_TYPES.SET_SPEED
+];
+
+// Errors the content script can only send as a code, as the popup's language isn't known there yet
+// Each is a MESSAGES key the popup translates
+const ERROR_CODES = {
+    LESSON_LOADING: 'popup.lessonLoading'
+};
+
+module.exports = {
+    MESSAGE_TYPES,
+    ENGINE_COMMANDS,
+    ERROR_CODES
+};
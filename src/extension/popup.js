@@ -0,0 +1,161 @@
+/**
+ * Auto Typewriter Extension - Popup
+ * =================================
+ *
+ * Mirrors the overlay's Start/Pause/Stop and speed controls for the active tab.
+ * Commands go to the tab's content script; when it doesn't answer (e.g. the page isn't a
+ * lesson) the last state the tab reported to the background is shown instead.
+ * It speaks the overlay's language, from the stored settings or the browser's.
+ */
+
+const { LESSON_STATES } = require('../lifecycle');
+const { formatDuration } = require('../format');
+const { Translator, resolveLocale } = require('../i18n');
+const { SettingsStore } = require('../settings-store');
+const { ExtensionStorage } = require('./extension-storage');
+const { MESSAGE_TYPES } = require('./messages');
+
+// How often the popup refreshes the status while it is open, in milliseconds
+const REFRESH_INTERVAL = 1000;
+
+const $ = (selector) => document.querySelector(selector);
+
+let tabId = null;
+let isSpeedEdited = false;   // Don't overwrite a speed the user is typing
+let i18n = new Translator(); // Language of the popup, see loadTranslator()
+
+/**
+ * Send a command to the active tab's content script
+ * Resolves with its answer, or null if there is no content script
+ */
+async function sendCommand(message) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, message);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the error of a content script answer in the popup's language, null if there is none
+ */
+function getError(answer) {
+    return answer.errorCode ? i18n.t(answer.errorCode) : answer.error || null;
+}
+
+/**
+ * Show a status from the engine, or the page not being supported when there is none
+ */
+function render(status, error = null) {
+    $('#unsupported').hidden = !!status;
+    $('#controls').hidden = !status;
+    $('#popup-error').textContent = error || '';
+    if (!status) {
+        return;
+    }
+    
+    const isRunning = status.state === LESSON_STATES.TYPING || status.state === LESSON_STATES.PAUSED;
+    const canStart = status.state === LESSON_STATES.READY;
+    
+    $('#status-text').textContent = i18n.t(`state.${status.state}`);
+    $('#chars-typed').textContent = i18n.formatNumber(status.charactersTyped);
+    $('#time-running').textContent = formatDuration(status.timeRunning);
+    $('#progress').textContent = status.progress
+        ? i18n.t('stats.progressValue', {
+            position: status.progress.position,
+            total: status.progress.total,
+            percent: Math.round(status.progress.percent)
+        })
+        : '-';
+    $('#start-btn').disabled = !canStart;
+    $('#pause-btn').disabled = !isRunning;
+    $('#pause-btn').textContent = i18n.t(status.state === LESSON_STATES.PAUSED ? 'controls.resume' : 'controls.pause');
+    $('#stop-btn').disabled = !isRunning;
+    
+    if (!isSpeedEdited) {
+        $('#speed-input').value = status.charsPerTenMins;
+    }
+}
+
+/**
+ * Ask the content script for its status, falling back to the state kept by the background
+ */
+async function refresh() {
+    const answer = await sendCommand({ type: MESSAGE_TYPES.GET_STATUS });
+    if (answer) {
+        render(answer.status || null, getError(answer));
+        return;
+    }
+    
+    let tabState;
+    try {
+        tabState = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_TAB_STATE, tabId });
+    } catch (error) {
+        // The service worker isn't answering, the next refresh asks again
+        render(null, i18n.t('popup.stateUnavailable'));
+        return;
+    }
+    render(tabState ? tabState.status : null);
+}
+
+/**
+ * Run a command and show its outcome
+ */
+async function run(message) {
+    const answer = await sendCommand(message);
+    if (answer) {
+        render(answer.status || null, getError(answer));
+    } else {
+        render(null);
+    }
+}
+
+function applySpeed() {
+    isSpeedEdited = false;
+    run({ type: MESSAGE_TYPES.SET_SPEED, charsPerTenMins: $('#speed-input').value });
+}
+
+/**
+ * Pick the popup's language like the overlay does: the stored setting, else the browser's
+ */
+async function loadTranslator() {
+    const storage = await ExtensionStorage.load(chrome.storage.local);
+    const { locale } = new SettingsStore(storage).load();
+    return new Translator(resolveLocale(locale));
+}
+
+/**
+ * Put the texts of the data-i18n elements into the popup's language
+ */
+function translatePage() {
+    document.documentElement.lang = i18n.locale;
+    document.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = i18n.t(element.dataset.i18n);
+    });
+}
+
+async function init() {
+    i18n = await loadTranslator();
+    translatePage();
+    
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    tabId = tab ? tab.id : null;
+    
+    $('#start-btn').addEventListener('click', () => run({ type: MESSAGE_TYPES.START }));
+    $('#pause-btn').addEventListener('click', () => run({ type: MESSAGE_TYPES.PAUSE }));
+    $('#stop-btn').addEventListener('click', () => run({ type: MESSAGE_TYPES.STOP }));
+    $('#apply-speed-btn').addEventListener('click', applySpeed);
+    $('#speed-input').addEventListener('input', () => {
+        isSpeedEdited = true;
+    });
+    $('#speed-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            applySpeed();
+        }
+    });
+    
+    await refresh();
+    setInterval(refresh, REFRESH_INTERVAL);
+}
+
+init();
@@ -0,0 +1,12 @@
+/**
+ * Format a duration in milliseconds as mm:ss
+ */
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+module.exports = {
+    formatDuration
+};
@@ -0,0 +1,110 @@
+/**
+ * Hotkeys
+ * =======
+ *
+ * Shortcuts are written like 'Alt+Shift+S': modifiers in the order of MODIFIERS, then the key.
+ * Keys are matched by where they are on the keyboard (KeyboardEvent.code, 'KeyS' is written 'S'),
+ * so a shortcut works with every keyboard layout and whatever character Alt turns the key into.
+ *
+ * Every shortcut needs Ctrl, Alt or Meta: with Shift alone it would be a character of the lesson.
+ * An empty string turns an action's shortcut off.
+ */
+
+// Actions that can have a shortcut: the AutoTypewriter method each one calls, its default, and
+// whether holding the keys down repeats it (pausing and resuming many times a second wouldn't help)
+// Their names are in the message catalogs, as 'hotkey.<action>'
+const HOTKEY_ACTIONS = {
+    start: { method: 'startTyping', hotkey: 'Alt+Shift+S' },
+    togglePause: { method: 'togglePause', hotkey: 'Alt+Shift+P' },
+    stop: { method: 'stop', hotkey: 'Alt+Shift+X' },
+    speedUp: { method: 'speedUp', hotkey: 'Alt+Shift+ArrowUp', repeats: true },
+    speedDown: { method: 'speedDown', hotkey: 'Alt+Shift+ArrowDown', repeats: true },
+    minimize: { method: 'toggleMinimize', hotkey: 'Alt+Shift+M' }
+};
+
+// Change of the typing speed per Speed Up / Speed Down press, in chars per 10 minutes
+const HOTKEY_SPEED_STEP = 100;
+
+// Modifier names → the KeyboardEvent property telling whether they are held
+const MODIFIERS = {
+    Ctrl: 'ctrlKey',
+    Alt: 'altKey',
+    Shift: 'shiftKey',
+    Meta: 'metaKey'
+};
+
+// Codes of the modifier keys themselves, pressing one alone is never a shortcut
+const MODIFIER_CODE_PATTERN = /^(Shift|Control|Alt|AltGraph|Meta|OS)(Left|Right)?$/;
+
+/**
+ * Get the default shortcut of every action
+ */
+function defaultHotkeys() {
+    const hotkeys = {};
+    Object.entries(HOTKEY_ACTIONS).forEach(([action, { hotkey }]) => {
+        hotkeys[action] = hotkey;
+    });
+    return hotkeys;
+}
+
+/**
+ * Write held modifiers and a key code as a shortcut, null if it can't be one
+ */
+function formatHotkey(modifiers, code) {
+    if (!code || MODIFIER_CODE_PATTERN.test(code) || !['Ctrl', 'Alt', 'Meta'].some((name) => modifiers.includes(name))) {
+        return null;
+    }
+
+    const key = code.replace(/^Key([A-Z])$/, '$1').replace(/^Digit([0-9])$/, '$1');
+    return [...Object.keys(MODIFIERS).filter((name) => modifiers.includes(name)), key].join('+');
+}
+
+/**
+ * Read a shortcut typed by the user, e.g. 'shift+alt+s'
+ * Returns it in its normal form ('Alt+Shift+S'), '' for no shortcut, or null if it isn't valid
+ */
+function parseHotkey(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+    if (text.trim() === '') {
+        return '';
+    }
+
+    const parts = text.split('+').map((part) => part.trim());
+    const key = parts.pop();
+    const modifiers = parts.map((part) => Object.keys(MODIFIERS).find((name) => name.toLowerCase() === part.toLowerCase()));
+    if (modifiers.includes(undefined) || new Set(modifiers).size !== modifiers.length) {
+        return null;
+    }
+
+    // Single letters and digits are written without their code prefix, other keys by their code
+    let code;
+    if (/^[a-z]$/i.test(key)) {
+        code = `Key${key.toUpperCase()}`;
+    } else if (/^[0-9]$/.test(key)) {
+        code = `Digit${key}`;
+    } else if (/^[A-Z][A-Za-z0-9]+$/.test(key)) {
+        code = key;
+    } else {
+        return null;
+    }
+
+    return formatHotkey(modifiers, code);
+}
+
+/**
+ * Get the shortcut a keyboard event was pressed with, null if it isn't one
+ */
+function hotkeyFromEvent(event) {
+    const modifiers = Object.keys(MODIFIERS).filter((name) => event[MODIFIERS[name]]);
+    return formatHotkey(modifiers, event.code);
+}
+
+module.exports = {
+    HOTKEY_ACTIONS,
+    HOTKEY_SPEED_STEP,
+    defaultHotkeys,
+    parseHotkey,
+    hotkeyFromEvent
+};
@@ -0,0 +1,106 @@
+const { MESSAGES } = require('./messages');
+
+/**
+ * Localization
+ * ============
+ *
+ * The overlay speaks every language of MESSAGES. The 'auto' setting follows the browser's
+ * preferred languages and falls back to DEFAULT_LOCALE when none of them is supported.
+ */
+const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Get the locale to show the overlay in for a locale setting ('auto' or a supported locale)
+ * languages are the browser's preferred ones, best first, e.g. ['de-AT', 'en']
+ */
+function resolveLocale(preference = 'auto', languages = browserLanguages()) {
+    if (SUPPORTED_LOCALES.includes(preference)) {
+        return preference;
+    }
+
+    const match = languages
+        .map((language) => String(language).toLowerCase().split('-')[0])
+        .find((language) => SUPPORTED_LOCALES.includes(language));
+    return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Get the browser's preferred languages, best first
+ */
+function browserLanguages() {
+    if (typeof navigator === 'undefined') {
+        return [];
+    }
+    if (navigator.languages && navigator.languages.length > 0) {
+        return [...navigator.languages];
+    }
+    return navigator.language ? [navigator.language] : [];
+}
+
+/**
+ * Looks up messages and formats numbers and times for one locale
+ */
+class Translator {
+    constructor(locale = DEFAULT_LOCALE) {
+        this.locale = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+        this.messages = MESSAGES[this.locale];
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.numberFormat = new Intl.NumberFormat(this.locale);
+    }
+
+    /**
+     * Get the message for key with its {placeholders} filled in from params
+     * A message with plural forms is picked by params.count. Numbers are formatted for the locale,
+     * so pass them as numbers, not as text. Unknown keys show up as the key itself
+     */
+    t(key, params = {}) {
+        let message = key in this.messages ? this.messages[key] : MESSAGES[DEFAULT_LOCALE][key];
+        if (message === undefined) {
+            return key;
+        }
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] || message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) {
+                return placeholder;
+            }
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Format a number for the locale, options are those of Intl.NumberFormat
+     */
+    formatNumber(value, options) {
+        return options ? new Intl.NumberFormat(this.locale, options).format(value) : this.numberFormat.format(value);
+    }
+
+    /**
+     * Format the time of day of a timestamp, in local time
+     */
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString(this.locale, { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Format the date and time of day of a timestamp, in local time
+     */
+    formatDateTime(timestamp) {
+        return new Date(timestamp).toLocaleString(this.locale, { dateStyle: 'short', timeStyle: 'short' });
+    }
+}
+
+// For callers that don't get a translator, e.g. speed profiles described outside the overlay
+const DEFAULT_TRANSLATOR = new Translator(DEFAULT_LOCALE);
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    DEFAULT_TRANSLATOR,
+    resolveLocale,
+    Translator
+};
@@ -0,0 +1,33 @@
+/**
+ * Auto Typewriter Script
+ * =====================
+ * 
+ * This script creates an automated typing tool that:
+ * - Lets the user set the desired typing speed from the overlay
+ * - Creates a draggable UI overlay
+ * - Automatically types characters at the specified rate, correcting for timer drift
+ * - Sends the full keydown/keypress/input/keyup sequence, including Shift, AltGr and dead keys,
+ *   for a selectable keyboard layout (de-AT, de-CH, en-US)
+ * - Provides real-time statistics and controls
+ * 
+ * Usage: Run this script in the browser console on typewriter.at (or a page supported by another site adapter),
+ * or install the bookmarklet or the userscript built from the same sources (see the README)
+ * The sources live in src/, `npm run build` bundles them into main.js and dist/ (both git-ignored)
+ * 
+ * Features:
+ * - Site adapters: typewriter.at, plus any page with a reference text and a textarea
+ * - Reads the whole lesson text, including entities, special whitespace and multiple blocks
+ * - Customizable typing speed (1-10000 chars per 10 minutes), adjustable live
+ * - Speed profiles: constant, ramp-up, JSON schedules and "finish in N minutes"
+ * - Draggable UI with minimize/maximize
+ * - Real-time statistics (characters typed, time running, current speed)
+ * - Remembers speed, theme, position and minimized state across page loads
+ * - Start/Stop controls, waits for the site's start dialog and stops when the lesson is done
+ * - Non-intrusive overlay that doesn't interfere with the website
+ * - Diagnostics log with JSON export, and non-blocking notifications instead of alerts
+ */
+
+const { launch } = require('./launch');
+
+// Create and initialize the auto typewriter
+launch();
@@ -0,0 +1,264 @@
+const {
+    KEYBOARD_LAYOUTS,
+    DEFAULT_KEYBOARD_LAYOUT,
+    DEAD_KEY_COMPOSITIONS,
+    NAMED_KEYS,
+    MODIFIER_KEYS,
+    DEFAULT_KEY_EVENTS
+} = require('./keyboard-layouts');
+
+/**
+ * Key Synthesizer
+ * Turns a character into the keys that produce it on the selected keyboard layout
+ * and dispatches the event sequence real key presses would cause:
+ * keydown, keypress, beforeinput, (text inserted), input, keyup.
+ * Shift and AltGr are held around the keys that need them, and accented characters
+ * without a key of their own are typed as a dead key followed by the base letter.
+ * Like a browser, it skips keypress and input when keydown is cancelled, and the
+ * input events when the target isn't editable.
+ */
+class KeySynthesizer {
+    constructor(layout = KEYBOARD_LAYOUTS[DEFAULT_KEYBOARD_LAYOUT]) {
+        this.setLayout(layout);
+    }
+
+    /**
+     * Switch to another keyboard layout
+     */
+    setLayout(layout) {
+        this.layout = layout;
+        this.keyMap = KeySynthesizer.buildKeyMap(layout);
+    }
+
+    /**
+     * Map every character of a layout to the key strokes that produce it
+     * A key stroke is { code, keyCode, shiftKey, altGraph, dead }
+     */
+    static buildKeyMap(layout) {
+        const keyMap = new Map();
+        const deadStrokes = new Map();
+        
+        // Characters with a key of their own, the first key found wins
+        layout.keys.forEach(([code, keyCode, ...chars]) => {
+            chars.forEach((char, level) => {
+                const stroke = { code, keyCode, shiftKey: level === 1, altGraph: level === 2, dead: false };
+                
+                if (!char) {
+                    return;
+                }
+                if (layout.deadKeys.includes(char)) {
+                    if (!deadStrokes.has(char)) {
+                        deadStrokes.set(char, { ...stroke, dead: true });
+                    }
+                } else if (!keyMap.has(char)) {
+                    keyMap.set(char, [stroke]);
+                }
+            });
+        });
+        
+        // Dead keys type their accent when followed by Space, and compose the characters still missing
+        deadStrokes.forEach((deadStroke, deadChar) => {
+            if (keyMap.has(' ')) {
+                keyMap.set(deadChar, [deadStroke, ...keyMap.get(' ')]);
+            }
+            
+            Object.entries(DEAD_KEY_COMPOSITIONS[deadChar] || {}).forEach(([base, composed]) => {
+                const baseStrokes = keyMap.get(base);
+                if (!keyMap.has(composed) && baseStrokes && baseStrokes.length === 1) {
+                    keyMap.set(composed, [deadStroke, baseStrokes[0]]);
+                }
+            });
+        });
+        
+        return keyMap;
+    }
+
+    /**
+     * Describe the key presses that type a character
+     * The top-level fields describe the last key stroke, the one that produces the character;
+     * strokes lists every key stroke including dead keys, each with its key/code/modifiers.
+     * Characters missing from the layout are sent without a physical key, like an IME would
+     */
+    describe(char) {
+        const named = NAMED_KEYS[char];
+        const strokes = named
+            ? [{ ...named, shiftKey: false, altGraph: false, dead: false }]
+            : (this.keyMap.get(char) || [{ code: '', keyCode: 0, shiftKey: false, altGraph: false, dead: false }])
+                .map((stroke) => ({ ...stroke, key: stroke.dead ? 'Dead' : char }));
+        const last = strokes[strokes.length - 1];
+        
+        return {
+            char,
+            key: last.key,
+            code: last.code,
+            keyCode: last.keyCode,
+            charCode: char === '\t' ? 0 : char === '\n' ? 13 : char.codePointAt(0),
+            shiftKey: last.shiftKey,
+            altGraph: last.altGraph,
+            // AltGr is reported as Ctrl+Alt by browsers on Windows
+            altKey: last.altGraph,
+            ctrlKey: last.altGraph,
+            metaKey: false,
+            strokes
+        };
+    }
+
+    /**
+     * Type a character into the target element
+     * Returns the key descriptor that was used
+     */
+    type(char, target, strategy = DEFAULT_KEY_EVENTS) {
+        const descriptor = this.describe(char);
+        
+        descriptor.strokes.forEach((stroke, index) => {
+            const isLast = index === descriptor.strokes.length - 1;
+            this.pressKey(target, stroke, isLast ? descriptor : null, strategy);
+        });
+        
+        return descriptor;
+    }
+
+    /**
+     * Press and release one key, with its modifiers
+     * descriptor is the character produced by the key, null for dead keys (they produce nothing)
+     */
+    pressKey(target, stroke, descriptor, strategy) {
+        const events = strategy.events;
+        const modifiers = strategy.modifierKeys ? MODIFIER_KEYS.filter((modifier) => stroke[modifier.flag]) : [];
+        const held = { shiftKey: false, altGraph: false };
+        
+        modifiers.forEach((modifier) => {
+            held[modifier.flag] = true;
+            if (events.includes('keydown')) {
+                this.dispatchKey(target, 'keydown', { ...modifier, charCode: 0 }, held);
+            }
+        });
+        
+        const flags = { shiftKey: stroke.shiftKey, altGraph: stroke.altGraph };
+        
+        let isCancelled = false;
+        if (events.includes('keydown')) {
+            isCancelled = !this.dispatchKey(target, 'keydown', { ...stroke, charCode: 0 }, flags);
+        }
+        
+        // Only keys that produce a character (or Enter) cause a keypress
+        if (descriptor && !isCancelled && events.includes('keypress') && descriptor.charCode) {
+            const keypress = { ...stroke, keyCode: descriptor.charCode, charCode: descriptor.charCode };
+            isCancelled = !this.dispatchKey(target, 'keypress', keypress, flags);
+        }
+        
+        if (descriptor && !isCancelled && KeySynthesizer.isEditable(target)) {
+            this.dispatchInput(target, descriptor.char, strategy);
+        }
+        
+        if (events.includes('keyup')) {
+            this.dispatchKey(target, 'keyup', { ...stroke, charCode: 0 }, flags);
+        }
+        
+        modifiers.reverse().forEach((modifier) => {
+            held[modifier.flag] = false;
+            if (events.includes('keyup')) {
+                this.dispatchKey(target, 'keyup', { ...modifier, charCode: 0 }, held);
+            }
+        });
+    }
+
+    /**
+     * Dispatch one keyboard event
+     * flags holds the modifiers that are down (shiftKey, altGraph)
+     * Returns false if a listener cancelled it
+     */
+    dispatchKey(target, type, key, flags) {
+        const view = target.ownerDocument.defaultView;
+        const event = new view.KeyboardEvent(type, {
+            key: key.key,
+            code: key.code,
+            keyCode: key.keyCode,
+            charCode: key.charCode,
+            which: key.charCode || key.keyCode,
+            shiftKey: flags.shiftKey,
+            altKey: flags.altGraph,
+            ctrlKey: flags.altGraph,
+            metaKey: false,
+            modifierAltGraph: flags.altGraph,
+            bubbles: true,
+            cancelable: true,
+            view
+        });
+        
+        // Some browsers ignore the legacy fields in the constructor
+        KeySynthesizer.defineLegacyProperty(event, 'keyCode', key.keyCode);
+        KeySynthesizer.defineLegacyProperty(event, 'charCode', key.charCode);
+        KeySynthesizer.defineLegacyProperty(event, 'which', key.charCode || key.keyCode);
+        
+        return target.dispatchEvent(event);
+    }
+
+    /**
+     * Dispatch beforeinput/input around inserting the character into a text field
+     */
+    dispatchInput(target, char, strategy) {
+        const view = target.ownerDocument.defaultView;
+        const inputType = char === '\n' ? 'insertLineBreak' : 'insertText';
+        const init = { inputType, data: char === '\n' ? null : char, bubbles: true, composed: true };
+        
+        if (strategy.events.includes('beforeinput')) {
+            const beforeInput = new view.InputEvent('beforeinput', { ...init, cancelable: true });
+            if (!target.dispatchEvent(beforeInput)) {
+                return;
+            }
+        }
+        
+        if (strategy.insertText) {
+            KeySynthesizer.insertText(target, char);
+        }
+        
+        if (strategy.events.includes('input')) {
+            target.dispatchEvent(new view.InputEvent('input', init));
+        }
+    }
+
+    /**
+     * Check whether the element is a text field that characters can be inserted into
+     */
+    static isEditable(target) {
+        if (target.tagName === 'TEXTAREA') {
+            return !target.readOnly && !target.disabled;
+        }
+        if (target.tagName === 'INPUT') {
+            const textTypes = ['text', 'search', 'url', 'tel', 'email', 'password', ''];
+            return textTypes.includes(target.type) && !target.readOnly && !target.disabled;
+        }
+        return !!target.isContentEditable;
+    }
+
+    /**
+     * Insert a character at the cursor of a text field, replacing the selection
+     * Single-line inputs ignore line breaks, like they do for real key presses
+     */
+    static insertText(target, char) {
+        if (target.tagName !== 'TEXTAREA' && target.tagName !== 'INPUT') {
+            return;
+        }
+        if (char === '\n' && target.tagName === 'INPUT') {
+            return;
+        }
+        
+        const start = target.selectionStart ?? target.value.length;
+        const end = target.selectionEnd ?? start;
+        target.setRangeText(char, start, end, 'end');
+    }
+
+    /**
+     * Override a read-only event property if the constructor didn't set it
+     */
+    static defineLegacyProperty(event, name, value) {
+        if (event[name] !== value) {
+            Object.defineProperty(event, name, { get: () => value });
+        }
+    }
+}
+
+module.exports = {
+    KeySynthesizer
+};
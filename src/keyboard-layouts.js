@@ -0,0 +1,224 @@
+/**
+ * Keyboard Layouts
+ * ================
+ *
+ * Each layout lists its keys as [code, keyCode, normal, shift, altGr]:
+ * - code: physical key (KeyboardEvent.code)
+ * - keyCode: legacy Windows virtual key code the browser reports for that key
+ * - normal/shift/altGr: character produced without a modifier, with Shift and with AltGr
+ *   (null or left out if the key produces none)
+ *
+ * deadKeys lists the characters that are dead keys on the layout: pressing one types
+ * nothing, it changes the next key according to DEAD_KEY_COMPOSITIONS. A dead key
+ * followed by Space types the accent itself.
+ */
+const KEYBOARD_LAYOUTS = {
+    'de-AT': {
+        name: 'Deutsch (Österreich)',
+        keys: [
+            ['Backquote', 220, '^', '°'],
+            ['Digit1', 49, '1', '!'],
+            ['Digit2', 50, '2', '"', '²'],
+            ['Digit3', 51, '3', '§', '³'],
+            ['Digit4', 52, '4', '$'],
+            ['Digit5', 53, '5', '%'],
+            ['Digit6', 54, '6', '&'],
+            ['Digit7', 55, '7', '/', '{'],
+            ['Digit8', 56, '8', '(', '['],
+            ['Digit9', 57, '9', ')', ']'],
+            ['Digit0', 48, '0', '=', '}'],
+            ['Minus', 219, 'ß', '?', '\\'],
+            ['Equal', 221, '´', '`'],
+            ['KeyQ', 81, 'q', 'Q', '@'],
+            ['KeyW', 87, 'w', 'W'],
+            ['KeyE', 69, 'e', 'E', '€'],
+            ['KeyR', 82, 'r', 'R'],
+            ['KeyT', 84, 't', 'T'],
+            ['KeyY', 90, 'z', 'Z'],
+            ['KeyU', 85, 'u', 'U'],
+            ['KeyI', 73, 'i', 'I'],
+            ['KeyO', 79, 'o', 'O'],
+            ['KeyP', 80, 'p', 'P'],
+            ['BracketLeft', 186, 'ü', 'Ü'],
+            ['BracketRight', 187, '+', '*', '~'],
+            ['KeyA', 65, 'a', 'A'],
+            ['KeyS', 83, 's', 'S'],
+            ['KeyD', 68, 'd', 'D'],
+            ['KeyF', 70, 'f', 'F'],
+            ['KeyG', 71, 'g', 'G'],
+            ['KeyH', 72, 'h', 'H'],
+            ['KeyJ', 74, 'j', 'J'],
+            ['KeyK', 75, 'k', 'K'],
+            ['KeyL', 76, 'l', 'L'],
+            ['Semicolon', 192, 'ö', 'Ö'],
+            ['Quote', 222, 'ä', 'Ä'],
+            ['Backslash', 191, '#', "'"],
+            ['IntlBackslash', 226, '<', '>', '|'],
+            ['KeyZ', 89, 'y', 'Y'],
+            ['KeyX', 88, 'x', 'X'],
+            ['KeyC', 67, 'c', 'C'],
+            ['KeyV', 86, 'v', 'V'],
+            ['KeyB', 66, 'b', 'B'],
+            ['KeyN', 78, 'n', 'N'],
+            ['KeyM', 77, 'm', 'M', 'µ'],
+            ['Comma', 188, ',', ';'],
+            ['Period', 190, '.', ':'],
+            ['Slash', 189, '-', '_'],
+            ['Space', 32, ' ']
+        ],
+        deadKeys: ['^', '´', '`']
+    },
+    'de-CH': {
+        name: 'Deutsch (Schweiz)',
+        keys: [
+            ['Backquote', 191, '§', '°'],
+            ['Digit1', 49, '1', '+', '¦'],
+            ['Digit2', 50, '2', '"', '@'],
+            ['Digit3', 51, '3', '*', '#'],
+            ['Digit4', 52, '4', 'ç'],
+            ['Digit5', 53, '5', '%'],
+            ['Digit6', 54, '6', '&', '¬'],
+            ['Digit7', 55, '7', '/', '|'],
+            ['Digit8', 56, '8', '(', '¢'],
+            ['Digit9', 57, '9', ')'],
+            ['Digit0', 48, '0', '='],
+            ['Minus', 219, "'", '?', '´'],
+            ['Equal', 221, '^', '`', '~'],
+            ['KeyQ', 81, 'q', 'Q'],
+            ['KeyW', 87, 'w', 'W'],
+            ['KeyE', 69, 'e', 'E', '€'],
+            ['KeyR', 82, 'r', 'R'],
+            ['KeyT', 84, 't', 'T'],
+            ['KeyY', 90, 'z', 'Z'],
+            ['KeyU', 85, 'u', 'U'],
+            ['KeyI', 73, 'i', 'I'],
+            ['KeyO', 79, 'o', 'O'],
+            ['KeyP', 80, 'p', 'P'],
+            ['BracketLeft', 186, 'ü', 'è', '['],
+            ['BracketRight', 192, '¨', '!', ']'],
+            ['KeyA', 65, 'a', 'A'],
+            ['KeyS', 83, 's', 'S'],
+            ['KeyD', 68, 'd', 'D'],
+            ['KeyF', 70, 'f', 'F'],
+            ['KeyG', 71, 'g', 'G'],
+            ['KeyH', 72, 'h', 'H'],
+            ['KeyJ', 74, 'j', 'J'],
+            ['KeyK', 75, 'k', 'K'],
+            ['KeyL', 76, 'l', 'L'],
+            ['Semicolon', 222, 'ö', 'é'],
+            ['Quote', 220, 'ä', 'à', '{'],
+            ['Backslash', 223, '$', '£', '}'],
+            ['IntlBackslash', 226, '<', '>', '\\'],
+            ['KeyZ', 89, 'y', 'Y'],
+            ['KeyX', 88, 'x', 'X'],
+            ['KeyC', 67, 'c', 'C'],
+            ['KeyV', 86, 'v', 'V'],
+            ['KeyB', 66, 'b', 'B'],
+            ['KeyN', 78, 'n', 'N'],
+            ['KeyM', 77, 'm', 'M'],
+            ['Comma', 188, ',', ';'],
+            ['Period', 190, '.', ':'],
+            ['Slash', 189, '-', '_'],
+            ['Space', 32, ' ']
+        ],
+        deadKeys: ['^', '´', '`', '~', '¨']
+    },
+    'en-US': {
+        name: 'English (US)',
+        keys: [
+            ['Backquote', 192, '`', '~'],
+            ['Digit1', 49, '1', '!'],
+            ['Digit2', 50, '2', '@'],
+            ['Digit3', 51, '3', '#'],
+            ['Digit4', 52, '4', '$'],
+            ['Digit5', 53, '5', '%'],
+            ['Digit6', 54, '6', '^'],
+            ['Digit7', 55, '7', '&'],
+            ['Digit8', 56, '8', '*'],
+            ['Digit9', 57, '9', '('],
+            ['Digit0', 48, '0', ')'],
+            ['Minus', 189, '-', '_'],
+            ['Equal', 187, '=', '+'],
+            ['KeyQ', 81, 'q', 'Q'],
+            ['KeyW', 87, 'w', 'W'],
+            ['KeyE', 69, 'e', 'E'],
+            ['KeyR', 82, 'r', 'R'],
+            ['KeyT', 84, 't', 'T'],
+            ['KeyY', 89, 'y', 'Y'],
+            ['KeyU', 85, 'u', 'U'],
+            ['KeyI', 73, 'i', 'I'],
+            ['KeyO', 79, 'o', 'O'],
+            ['KeyP', 80, 'p', 'P'],
+            ['BracketLeft', 219, '[', '{'],
+            ['BracketRight', 221, ']', '}'],
+            ['KeyA', 65, 'a', 'A'],
+            ['KeyS', 83, 's', 'S'],
+            ['KeyD', 68, 'd', 'D'],
+            ['KeyF', 70, 'f', 'F'],
+            ['KeyG', 71, 'g', 'G'],
+            ['KeyH', 72, 'h', 'H'],
+            ['KeyJ', 74, 'j', 'J'],
+            ['KeyK', 75, 'k', 'K'],
+            ['KeyL', 76, 'l', 'L'],
+            ['Semicolon', 186, ';', ':'],
+            ['Quote', 222, "'", '"'],
+            ['Backslash', 220, '\\', '|'],
+            ['KeyZ', 90, 'z', 'Z'],
+            ['KeyX', 88, 'x', 'X'],
+            ['KeyC', 67, 'c', 'C'],
+            ['KeyV', 86, 'v', 'V'],
+            ['KeyB', 66, 'b', 'B'],
+            ['KeyN', 78, 'n', 'N'],
+            ['KeyM', 77, 'm', 'M'],
+            ['Comma', 188, ',', '<'],
+            ['Period', 190, '.', '>'],
+            ['Slash', 191, '/', '?'],
+            ['Space', 32, ' ']
+        ],
+        deadKeys: []
+    }
+};
+
+const DEFAULT_KEYBOARD_LAYOUT = 'de-AT';
+
+// Characters each dead key turns the following key into
+const DEAD_KEY_COMPOSITIONS = {
+    '^': { a: 'â', e: 'ê', i: 'î', o: 'ô', u: 'û', A: 'Â', E: 'Ê', I: 'Î', O: 'Ô', U: 'Û' },
+    '´': { a: 'á', e: 'é', i: 'í', o: 'ó', u: 'ú', y: 'ý', A: 'Á', E: 'É', I: 'Í', O: 'Ó', U: 'Ú', Y: 'Ý' },
+    '`': { a: 'à', e: 'è', i: 'ì', o: 'ò', u: 'ù', A: 'À', E: 'È', I: 'Ì', O: 'Ò', U: 'Ù' },
+    '~': { a: 'ã', n: 'ñ', o: 'õ', A: 'Ã', N: 'Ñ', O: 'Õ' },
+    '¨': { a: 'ä', e: 'ë', i: 'ï', o: 'ö', u: 'ü', y: 'ÿ', A: 'Ä', E: 'Ë', I: 'Ï', O: 'Ö', U: 'Ü' }
+};
+
+// Keys that are the same on every layout, their `key` is a name rather than the character
+const NAMED_KEYS = {
+    '\n': { key: 'Enter', code: 'Enter', keyCode: 13 },
+    '\t': { key: 'Tab', code: 'Tab', keyCode: 9 }
+};
+
+// Modifier keys held down around a key that needs them, `flag` is the key stroke property
+const MODIFIER_KEYS = [
+    { flag: 'shiftKey', key: 'Shift', code: 'ShiftLeft', keyCode: 16 },
+    { flag: 'altGraph', key: 'AltGraph', code: 'AltRight', keyCode: 18 }
+];
+
+/**
+ * Events sent for each character unless the site adapter asks for others:
+ * - events: event types to dispatch, in this order
+ * - modifierKeys: also press and release Shift/AltGr around keys that need them
+ * - insertText: put the character into text fields (untrusted key events don't do that)
+ */
+const DEFAULT_KEY_EVENTS = {
+    events: ['keydown', 'keypress', 'beforeinput', 'input', 'keyup'],
+    modifierKeys: true,
+    insertText: true
+};
+
+module.exports = {
+    KEYBOARD_LAYOUTS,
+    DEFAULT_KEYBOARD_LAYOUT,
+    DEAD_KEY_COMPOSITIONS,
+    NAMED_KEYS,
+    MODIFIER_KEYS,
+    DEFAULT_KEY_EVENTS
+};
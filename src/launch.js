@@ -0,0 +1,89 @@
+const { AutoTypewriter } = require('./auto-typewriter');
+const { findSiteAdapter } = require('./site-adapters');
+
+// Longest wait for the lesson text before loading the overlay anyway, in milliseconds
+const LESSON_WAIT_TIMEOUT = 15000;
+
+// Dispatched on the document by a newly injected copy so copies that are already running shut down.
+// Globals aren't shared between script worlds (page, userscript, extension), DOM events are.
+// Instances created with new AutoTypewriter() don't listen for it, they live side by side
+const DESTROY_EVENT = 'auto-typewriter:destroy';
+
+/**
+ * Create the auto typewriter, expose it to the page and start it
+ * Returns the running instance instead if there is one
+ * Shared by every build (console, bookmarklet, userscript, extension); options go to AutoTypewriter
+ */
+function launch(options = {}) {
+    // Running the script again (e.g. pasting it twice) keeps the session that is already open.
+    // Once its overlay is closed a new instance starts, and shuts down copies from other script worlds
+    const existing = window.autoTypewriter;
+    if (existing && existing.isAttached) {
+        existing.showToast(existing.i18n.t('toast.alreadyRunning'));
+        return existing;
+    }
+    
+    // Shut down copies injected into other script worlds to prevent duplicates, then take over the event
+    document.dispatchEvent(new window.CustomEvent(DESTROY_EVENT));
+    
+    // Copies from before DESTROY_EVENT existed don't listen for it, at least remove their UI
+    const existingUI = document.getElementById('auto-typewriter-ui');
+    if (existingUI) {
+        existingUI.remove();
+    }
+    
+    const autoTypewriter = new AutoTypewriter(options);
+    document.addEventListener(DESTROY_EVENT, () => autoTypewriter.destroy(), { once: true });
+    
+    // Expose the instance for manual control from the console
+    window.autoTypewriter = autoTypewriter;
+    
+    // Add global functions for manual control
+    window.stopAutoTypewriter = () => autoTypewriter.stop();
+    window.getAutoTypewriterStatus = () => autoTypewriter.getStatus();
+    
+    // Initialize the auto typewriter
+    autoTypewriter.init();
+    return autoTypewriter;
+}
+
+/**
+ * Check whether the page shows a lesson one of the site adapters can type
+ */
+function isLessonLoaded() {
+    const adapter = findSiteAdapter(window.location, document);
+    return !!adapter && !!adapter.findLessonElement();
+}
+
+/**
+ * Launch once the lesson text shows up, or after the timeout so the overlay can explain what is missing
+ * Resolves with the launched AutoTypewriter
+ */
+function launchWhenLessonLoaded(options = {}, timeout = LESSON_WAIT_TIMEOUT) {
+    if (isLessonLoaded()) {
+        return Promise.resolve(launch(options));
+    }
+    
+    return new Promise((resolve) => {
+        const observer = new MutationObserver(() => {
+            if (isLessonLoaded()) {
+                finish();
+            }
+        });
+        const timeoutId = setTimeout(() => finish(), timeout);
+        const finish = () => {
+            observer.disconnect();
+            clearTimeout(timeoutId);
+            resolve(launch(options));
+        };
+        
+        observer.observe(document.body, { childList: true, subtree: true });
+    });
+}
+
+module.exports = {
+    LESSON_WAIT_TIMEOUT,
+    DESTROY_EVENT,
+    launch,
+    launchWhenLessonLoaded
+};
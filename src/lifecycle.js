@@ -0,0 +1,72 @@
+/**
+ * Lesson lifecycle states, in the order a lesson normally goes through them
+ */
+const LESSON_STATES = {
+    IDLE: 'idle',                                   // Not set up yet
+    AWAITING_START_DIALOG: 'awaiting-start-dialog', // The site's start dialog is still open
+    READY: 'ready',                                 // Lesson loaded, typing can start
+    TYPING: 'typing',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',                         // The whole lesson has been typed
+    ERROR: 'error'                                  // Typing had to stop, see the reason
+};
+
+// States each state may move to
+const LESSON_TRANSITIONS = {
+    [LESSON_STATES.IDLE]: [LESSON_STATES.AWAITING_START_DIALOG, LESSON_STATES.READY, LESSON_STATES.COMPLETED, LESSON_STATES.ERROR],
+    [LESSON_STATES.AWAITING_START_DIALOG]: [LESSON_STATES.READY, LESSON_STATES.COMPLETED, LESSON_STATES.ERROR],
+    [LESSON_STATES.READY]: [LESSON_STATES.AWAITING_START_DIALOG, LESSON_STATES.TYPING, LESSON_STATES.COMPLETED, LESSON_STATES.ERROR],
+    [LESSON_STATES.TYPING]: [LESSON_STATES.PAUSED, LESSON_STATES.READY, LESSON_STATES.COMPLETED, LESSON_STATES.ERROR],
+    [LESSON_STATES.PAUSED]: [LESSON_STATES.TYPING, LESSON_STATES.READY, LESSON_STATES.COMPLETED, LESSON_STATES.ERROR],
+    [LESSON_STATES.COMPLETED]: [LESSON_STATES.AWAITING_START_DIALOG, LESSON_STATES.READY, LESSON_STATES.ERROR],
+    [LESSON_STATES.ERROR]: [LESSON_STATES.AWAITING_START_DIALOG, LESSON_STATES.READY, LESSON_STATES.COMPLETED]
+};
+
+/**
+ * Lesson Lifecycle
+ * Small state machine that only allows the transitions in LESSON_TRANSITIONS,
+ * so the overlay and the scheduler can never disagree about what is going on
+ */
+class LessonLifecycle {
+    constructor(onChange = () => {}) {
+        this.state = LESSON_STATES.IDLE; // Current state
+        this.reason = null;              // Why the last transition happened (shown for errors)
+        this.onChange = onChange;        // Called with (state, previousState, reason) after each transition
+    }
+
+    /**
+     * Check whether the current state is one of the given states
+     */
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    /**
+     * Check whether the lifecycle may move to the given state
+     */
+    can(state) {
+        return LESSON_TRANSITIONS[this.state].includes(state);
+    }
+
+    /**
+     * Move to another state
+     * Returns false (and stays put) if the transition isn't allowed
+     */
+    transition(state, reason = null) {
+        if (state === this.state || !this.can(state)) {
+            return false;
+        }
+        
+        const previousState = this.state;
+        this.state = state;
+        this.reason = reason;
+        this.onChange(state, previousState, reason);
+        return true;
+    }
+}
+
+module.exports = {
+    LESSON_STATES,
+    LESSON_TRANSITIONS,
+    LessonLifecycle
+};
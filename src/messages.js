@@ -0,0 +1,319 @@
+/**
+ * Message Catalogs
+ * ================
+ *
+ * Every text the overlay and the extension popup show, per language. {name} is replaced by the parameter of that name,
+ * numbers are formatted for the language (see Translator). A message with a count can be given
+ * per plural category of Intl.PluralRules ('one', 'other', ...), 'other' is the fallback.
+ *
+ * English is the reference: a message missing from another catalog is shown in English.
+ * The diagnostics log stays in English, it is meant for bug reports.
+ */
+const MESSAGES = {
+    en: {
+        'locale.name': 'English',
+
+        // Header
+        'overlay.theme': 'Theme: {name}',
+        'overlay.themeTitle': 'Theme: {name} (click for {next})',
+        'overlay.minimize': 'Minimize',
+        'overlay.restore': 'Restore Auto Typewriter',
+        'overlay.close': 'Close',
+        'theme.system': 'System',
+        'theme.dark': 'Dark',
+        'theme.light': 'Light',
+        'theme.high-contrast': 'High contrast',
+
+        // Speed and settings
+        'speed.current': 'Current Speed:',
+        'speed.perTenMinutes': { one: '{count} char per 10 min', other: '{count} chars per 10 min' },
+        'settings.profile': 'Speed Profile:',
+        'settings.profile.constant': 'Constant',
+        'settings.profile.ramp': 'Ramp-up',
+        'settings.profile.piecewise': 'Schedule (JSON)',
+        'settings.profile.deadline': 'Finish in N minutes',
+        'settings.speed': 'Speed (chars per 10 min):',
+        'settings.rampMinutes': 'Ramp-up time (min):',
+        'settings.schedule': 'Schedule:',
+        'settings.deadlineMinutes': 'Finish the lesson in (min):',
+        'settings.layout': 'Keyboard Layout:',
+        'settings.language': 'Language:',
+        'settings.language.auto': 'Automatic ({name})',
+        'settings.accentColor': 'Accent Color:',
+        'settings.themeDefault': 'Theme Default',
+        'settings.hotkeys': 'Hotkeys:',
+        'settings.hotkeyNone': 'None',
+        'settings.hotkeyHint': 'Click a field and press the new shortcut, Backspace removes it.',
+        'settings.apply': 'Apply',
+        'settings.cancel': 'Cancel',
+        'settings.resetPosition': 'Reset Position',
+        'settings.resetDefaults': 'Reset to Defaults',
+        'hotkey.start': 'Start',
+        'hotkey.togglePause': 'Pause/Resume',
+        'hotkey.stop': 'Stop',
+        'hotkey.speedUp': 'Speed Up',
+        'hotkey.speedDown': 'Speed Down',
+        'hotkey.minimize': 'Minimize',
+
+        // Speed profiles
+        'profile.constant': 'Constant',
+        'profile.constant.progress': 'Constant · {speed} chars per 10 min',
+        'profile.ramp': 'Ramp-up',
+        'profile.ramp.progress': 'Ramp-up · {speed} → {target} ({percent}%)',
+        'profile.ramp.reached': 'Ramp-up · target of {target} reached',
+        'profile.piecewise': 'Schedule',
+        'profile.piecewise.progress': 'Schedule · segment {number}/{total} at {speed}',
+        'profile.deadline': 'Deadline',
+        'profile.deadline.progress': { one: 'Deadline · {count} char, {time} left', other: 'Deadline · {count} chars, {time} left' },
+        'schedule.invalidJson': 'The schedule is not valid JSON.',
+        'schedule.empty': 'The schedule needs at least one segment.',
+        'schedule.notObject': 'Segment {number} must be an object.',
+        'schedule.speed': 'Segment {number}: charsPerTenMins must be a whole number between {min} and {max}.',
+        'schedule.minutes': 'Segment {number}: minutes must be a number between 0 and {max}.',
+
+        // Controls
+        'controls.start': 'Start Typing',
+        'controls.pause': 'Pause',
+        'controls.resume': 'Resume',
+        'controls.stop': 'Stop Typing',
+        'controls.dryRun': 'Dry Run',
+
+        // Dry run: the lesson is walked without sending keys
+        'dryRun.notice': 'Dry run: the figures are simulated, no keys are sent to the page.',
+        'dryRun.status': '{state} (dry run)',
+        'dryRun.plannedKey': 'Planned Key:',
+        'dryRun.plannedKeyValue': '{char} → {keys} → {target}',
+        'dryRun.finished': { one: 'Dry run finished, {count} char planned.', other: 'Dry run finished, {count} chars planned.' },
+
+        // Lesson states (see LESSON_STATES)
+        'state.idle': 'Stopped',
+        'state.awaiting-start-dialog': 'Waiting for start',
+        'state.ready': 'Ready',
+        'state.typing': 'Running',
+        'state.paused': 'Paused',
+        'state.completed': 'Completed',
+        'state.error': 'Error',
+        'summary.completed': { one: 'Lesson completed: {count} char in {time} ({speed}/min)', other: 'Lesson completed: {count} chars in {time} ({speed}/min)' },
+        'summary.stopped': 'Stopped: {reason}',
+
+        // Statistics
+        'stats.progressBar': 'Lesson progress',
+        'stats.status': 'Status:',
+        'stats.charsTyped': 'Characters Typed:',
+        'stats.timeRunning': 'Time Running:',
+        'stats.progress': 'Progress:',
+        'stats.remaining': 'Remaining:',
+        'stats.eta': 'Finishes At:',
+        'stats.recentSpeed': 'Speed (last {seconds}s):',
+        'stats.averageSpeed': 'Average Speed:',
+        'stats.deviation': 'Target Deviation:',
+        'stats.perMinute': '{speed}/min',
+        'stats.progressValue': '{position} / {total} ({percent}%)',
+        'stats.remainingValue': { one: '{count} char', other: '{count} chars' },
+        'stats.etaValue': '{time} (in {duration})',
+        'stats.deviationValue': { one: '{sign}{count} char ({sign}{percent}%)', other: '{sign}{count} chars ({sign}{percent}%)' },
+
+        // History and log
+        'history.toggle': 'History ({count})',
+        'history.empty': 'No completed lessons yet.',
+        'history.sparkline': 'Typed speed of the last {count} runs: {min} to {max} chars per 10 min',
+        'history.exportCsv': 'Export CSV',
+        'history.exportJson': 'Export JSON',
+        'history.clear': 'Clear History',
+        'history.lessonId': 'Lesson',
+        'history.runs': 'Runs',
+        'history.bestCharsPerTenMins': 'Best',
+        'history.averageCharsPerTenMins': 'Avg',
+        'history.errors': 'Errors',
+        'history.completedAt': 'Date',
+        'history.charsPerTenMins': 'Set',
+        'history.achievedCharsPerTenMins': 'Typed',
+        'history.durationMs': 'Time',
+        'history.runErrors': 'Err',
+        'log.toggle': 'Log ({count})',
+        'log.export': 'Export Log',
+        'log.clear': 'Clear',
+
+        // Settings errors
+        'error.wholeNumber': 'Please enter a whole number.',
+        'error.speedRange': 'Speed must be between {min} and {max}.',
+        'error.minutesRange': 'Minutes must be a number between 0 and {max}.',
+        'error.invalidHotkey': '"{hotkey}" is not a valid shortcut.',
+        'error.duplicateHotkey': '{hotkey} is used for both {first} and {second}.',
+        'error.noCharsLeft': 'There are no characters left to type.',
+
+        // Notifications and reasons typing stopped
+        'toast.dismiss': 'Click to dismiss',
+        'toast.alreadyRunning': 'Already running, use the open overlay.',
+        'toast.speedSetByProfile': 'The {profile} profile sets its own speed, change it in the settings.',
+        'error.unsupportedPage': 'This page is not supported. Please open a lesson on typewriter.at and try again.',
+        'error.initFailed': 'Initialization failed: {message} Please refresh and try again.',
+        'error.noLesson': 'Target element not found. Make sure the typing interface is loaded.',
+        'error.lessonReplaced': 'The lesson was replaced while typing.',
+        'error.lessonGone': 'The lesson text is no longer on the page.',
+        'error.typingFailed': 'Typing failed: {message}',
+        'error.typingStopped': 'Typing stopped after an error: {message}',
+
+        // Extension popup, it shares the status, speed and control texts
+        'popup.unsupported': 'Open a typewriter.at lesson to use Auto Typewriter in this tab.',
+        'popup.start': 'Start',
+        'popup.stop': 'Stop',
+        'popup.stateUnavailable': 'The state of this tab cannot be read right now.',
+        'popup.lessonLoading': 'The lesson is still loading.'
+    },
+
+    de: {
+        'locale.name': 'Deutsch',
+
+        // Header
+        'overlay.theme': 'Design: {name}',
+        'overlay.themeTitle': 'Design: {name} (klicken für {next})',
+        'overlay.minimize': 'Minimieren',
+        'overlay.restore': 'Auto Typewriter wiederherstellen',
+        'overlay.close': 'Schließen',
+        'theme.system': 'System',
+        'theme.dark': 'Dunkel',
+        'theme.light': 'Hell',
+        'theme.high-contrast': 'Hoher Kontrast',
+
+        // Speed and settings
+        'speed.current': 'Aktuelle Geschwindigkeit:',
+        'speed.perTenMinutes': '{count} Zeichen pro 10 Min.',
+        'settings.profile': 'Geschwindigkeitsprofil:',
+        'settings.profile.constant': 'Gleichmäßig',
+        'settings.profile.ramp': 'Ansteigend',
+        'settings.profile.piecewise': 'Zeitplan (JSON)',
+        'settings.profile.deadline': 'In N Minuten fertig',
+        'settings.speed': 'Geschwindigkeit (Zeichen pro 10 Min.):',
+        'settings.rampMinutes': 'Anstiegszeit (Min.):',
+        'settings.schedule': 'Zeitplan:',
+        'settings.deadlineMinutes': 'Lektion fertig in (Min.):',
+        'settings.layout': 'Tastaturlayout:',
+        'settings.language': 'Sprache:',
+        'settings.language.auto': 'Automatisch ({name})',
+        'settings.accentColor': 'Akzentfarbe:',
+        'settings.themeDefault': 'Farbe des Designs',
+        'settings.hotkeys': 'Tastenkürzel:',
+        'settings.hotkeyNone': 'Keines',
+        'settings.hotkeyHint': 'Feld anklicken und das neue Kürzel drücken, die Rücktaste entfernt es.',
+        'settings.apply': 'Übernehmen',
+        'settings.cancel': 'Abbrechen',
+        'settings.resetPosition': 'Position zurücksetzen',
+        'settings.resetDefaults': 'Alles zurücksetzen',
+        'hotkey.start': 'Start',
+        'hotkey.togglePause': 'Pause/Weiter',
+        'hotkey.stop': 'Stopp',
+        'hotkey.speedUp': 'Schneller',
+        'hotkey.speedDown': 'Langsamer',
+        'hotkey.minimize': 'Minimieren',
+
+        // Speed profiles
+        'profile.constant': 'Gleichmäßig',
+        'profile.constant.progress': 'Gleichmäßig · {speed} Zeichen pro 10 Min.',
+        'profile.ramp': 'Ansteigend',
+        'profile.ramp.progress': 'Ansteigend · {speed} → {target} ({percent} %)',
+        'profile.ramp.reached': 'Ansteigend · Ziel von {target} erreicht',
+        'profile.piecewise': 'Zeitplan',
+        'profile.piecewise.progress': 'Zeitplan · Abschnitt {number}/{total} mit {speed}',
+        'profile.deadline': 'Frist',
+        'profile.deadline.progress': 'Frist · {count} Zeichen, noch {time}',
+        'schedule.invalidJson': 'Der Zeitplan ist kein gültiges JSON.',
+        'schedule.empty': 'Der Zeitplan braucht mindestens einen Abschnitt.',
+        'schedule.notObject': 'Abschnitt {number} muss ein Objekt sein.',
+        'schedule.speed': 'Abschnitt {number}: charsPerTenMins muss eine ganze Zahl zwischen {min} und {max} sein.',
+        'schedule.minutes': 'Abschnitt {number}: minutes muss eine Zahl zwischen 0 und {max} sein.',
+
+        // Controls
+        'controls.start': 'Tippen starten',
+        'controls.pause': 'Pause',
+        'controls.resume': 'Weiter',
+        'controls.stop': 'Tippen stoppen',
+        'controls.dryRun': 'Probelauf',
+
+        // Dry run: the lesson is walked without sending keys
+        'dryRun.notice': 'Probelauf: Die Werte sind simuliert, es werden keine Tasten an die Seite gesendet.',
+        'dryRun.status': '{state} (Probelauf)',
+        'dryRun.plannedKey': 'Geplante Taste:',
+        'dryRun.plannedKeyValue': '{char} → {keys} → {target}',
+        'dryRun.finished': 'Probelauf beendet, {count} Zeichen geplant.',
+
+        // Lesson states (see LESSON_STATES)
+        'state.idle': 'Gestoppt',
+        'state.awaiting-start-dialog': 'Wartet auf Start',
+        'state.ready': 'Bereit',
+        'state.typing': 'Läuft',
+        'state.paused': 'Pausiert',
+        'state.completed': 'Fertig',
+        'state.error': 'Fehler',
+        'summary.completed': 'Lektion fertig: {count} Zeichen in {time} ({speed}/min)',
+        'summary.stopped': 'Gestoppt: {reason}',
+
+        // Statistics
+        'stats.progressBar': 'Fortschritt der Lektion',
+        'stats.status': 'Status:',
+        'stats.charsTyped': 'Getippte Zeichen:',
+        'stats.timeRunning': 'Laufzeit:',
+        'stats.progress': 'Fortschritt:',
+        'stats.remaining': 'Verbleibend:',
+        'stats.eta': 'Fertig um:',
+        'stats.recentSpeed': 'Tempo (letzte {seconds} s):',
+        'stats.averageSpeed': 'Durchschnittstempo:',
+        'stats.deviation': 'Abweichung vom Ziel:',
+        'stats.perMinute': '{speed}/min',
+        'stats.progressValue': '{position} / {total} ({percent} %)',
+        'stats.remainingValue': '{count} Zeichen',
+        'stats.etaValue': '{time} Uhr (in {duration})',
+        'stats.deviationValue': '{sign}{count} Zeichen ({sign}{percent} %)',
+
+        // History and log
+        'history.toggle': 'Verlauf ({count})',
+        'history.empty': 'Noch keine Lektion abgeschlossen.',
+        'history.sparkline': 'Getipptes Tempo der letzten {count} Durchgänge: {min} bis {max} Zeichen pro 10 Min.',
+        'history.exportCsv': 'Als CSV speichern',
+        'history.exportJson': 'Als JSON speichern',
+        'history.clear': 'Verlauf löschen',
+        'history.lessonId': 'Lektion',
+        'history.runs': 'Anzahl',
+        'history.bestCharsPerTenMins': 'Beste',
+        'history.averageCharsPerTenMins': 'Schnitt',
+        'history.errors': 'Fehler',
+        'history.completedAt': 'Datum',
+        'history.charsPerTenMins': 'Soll',
+        'history.achievedCharsPerTenMins': 'Ist',
+        'history.durationMs': 'Zeit',
+        'history.runErrors': 'Fehler',
+        'log.toggle': 'Protokoll ({count})',
+        'log.export': 'Protokoll speichern',
+        'log.clear': 'Leeren',
+
+        // Settings errors
+        'error.wholeNumber': 'Bitte eine ganze Zahl eingeben.',
+        'error.speedRange': 'Die Geschwindigkeit muss zwischen {min} und {max} liegen.',
+        'error.minutesRange': 'Die Minuten müssen eine Zahl zwischen 0 und {max} sein.',
+        'error.invalidHotkey': '„{hotkey}“ ist kein gültiges Tastenkürzel.',
+        'error.duplicateHotkey': '{hotkey} ist sowohl für {first} als auch für {second} eingestellt.',
+        'error.noCharsLeft': 'Es sind keine Zeichen mehr zu tippen.',
+
+        // Notifications and reasons typing stopped
+        'toast.dismiss': 'Zum Schließen klicken',
+        'toast.alreadyRunning': 'Läuft bereits, bitte das offene Fenster verwenden.',
+        'toast.speedSetByProfile': 'Das Profil „{profile}“ bestimmt die Geschwindigkeit selbst, bitte in den Einstellungen ändern.',
+        'error.unsupportedPage': 'Diese Seite wird nicht unterstützt. Bitte eine Lektion auf typewriter.at öffnen und es erneut versuchen.',
+        'error.initFailed': 'Start fehlgeschlagen: {message} Bitte die Seite neu laden und es erneut versuchen.',
+        'error.noLesson': 'Keine Lektion gefunden. Bitte warten, bis die Übung fertig geladen ist.',
+        'error.lessonReplaced': 'Die Lektion wurde während des Tippens ausgetauscht.',
+        'error.lessonGone': 'Der Text der Lektion ist nicht mehr auf der Seite.',
+        'error.typingFailed': 'Tippen fehlgeschlagen: {message}',
+        'error.typingStopped': 'Tippen nach einem Fehler gestoppt: {message}',
+
+        'popup.unsupported': 'Eine Lektion auf typewriter.at öffnen, um Auto Typewriter in diesem Tab zu verwenden.',
+        'popup.start': 'Start',
+        'popup.stop': 'Stopp',
+        'popup.stateUnavailable': 'Der Zustand dieses Tabs lässt sich gerade nicht lesen.',
+        'popup.lessonLoading': 'Die Lektion wird noch geladen.'
+    }
+};
+
+module.exports = {
+    MESSAGES
+};
@@ -0,0 +1,60 @@
+/**
+ * Overlay Position
+ * ================
+ *
+ * The overlay is dragged by offsetting it from its default spot in the top right corner.
+ * These helpers work on that offset, given the overlay's box at offset 0 and the viewport size.
+ */
+
+// Gap kept to a viewport edge the overlay snaps to, the same as around its default spot
+const EDGE_MARGIN = 20;
+
+// A dragged overlay released this close to a viewport edge snaps to it
+const SNAP_DISTANCE = 40;
+
+/**
+ * Limit one axis of the offset so [start, start + size] stays within [0, limit]
+ * An overlay larger than the viewport keeps its start (the header) visible
+ */
+function clampAxis(offset, start, size, limit) {
+    return Math.max(-start, Math.min(offset, limit - size - start));
+}
+
+/**
+ * Snap one axis of the offset to the margin of the nearer edge when it is within SNAP_DISTANCE
+ */
+function snapAxis(offset, start, size, limit) {
+    const position = start + offset;
+
+    if (position <= SNAP_DISTANCE) {
+        return EDGE_MARGIN - start;
+    }
+    if (position + size >= limit - SNAP_DISTANCE) {
+        return limit - EDGE_MARGIN - size - start;
+    }
+    return offset;
+}
+
+/**
+ * Get the offset that keeps the overlay inside the viewport, snapped to its edges if snap is set
+ * box is { left, top, width, height } at offset 0, viewport is { width, height }
+ */
+function fitOffset(offset, box, viewport, snap = false) {
+    let { x, y } = offset;
+
+    if (snap) {
+        x = snapAxis(x, box.left, box.width, viewport.width);
+        y = snapAxis(y, box.top, box.height, viewport.height);
+    }
+
+    return {
+        x: clampAxis(x, box.left, box.width, viewport.width),
+        y: clampAxis(y, box.top, box.height, viewport.height)
+    };
+}
+
+module.exports = {
+    EDGE_MARGIN,
+    SNAP_DISTANCE,
+    fitOffset
+};
@@ -0,0 +1,57 @@
+// Window the recent typing speed is measured over, in milliseconds
+const ROLLING_SPEED_WINDOW = 10000;
+
+/**
+ * Typing speed over the last few seconds, as opposed to the average of a whole run
+ * Keeps the times of the characters typed within the window
+ */
+class RollingSpeed {
+    constructor(windowMs = ROLLING_SPEED_WINDOW) {
+        this.windowMs = windowMs; // Length of the window
+        this.times = [];          // When each character in the window was typed, oldest first
+        this.startTime = null;    // When measuring started, the window is shorter before it fills up
+    }
+
+    /**
+     * Start measuring from scratch
+     */
+    reset(now) {
+        this.times = [];
+        this.startTime = now;
+    }
+
+    /**
+     * Count a character typed at now
+     */
+    record(now) {
+        this.times.push(now);
+        this.prune(now);
+    }
+
+    /**
+     * Forget the characters that have left the window
+     */
+    prune(now) {
+        while (this.times.length > 0 && this.times[0] <= now - this.windowMs) {
+            this.times.shift();
+        }
+    }
+
+    /**
+     * Characters per minute typed within the window
+     */
+    perMinute(now) {
+        if (this.startTime === null) {
+            return 0;
+        }
+
+        this.prune(now);
+        const span = Math.min(this.windowMs, now - this.startTime);
+        return span > 0 ? this.times.length / (span / 60000) : 0;
+    }
+}
+
+module.exports = {
+    ROLLING_SPEED_WINDOW,
+    RollingSpeed
+};
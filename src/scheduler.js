@@ -0,0 +1,194 @@
+/**
+ * Default clock for the typing scheduler
+ * Anything with the same three methods can be passed instead, e.g. a fake clock in tests
+ */
+const realClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (id) => clearTimeout(id)
+};
+
+// Most characters typed in a single tick while catching up (e.g. after background-tab throttling)
+const MAX_CATCH_UP_CHARS = 20;
+
+/**
+ * Drift-free typing scheduler
+ * Instead of trusting a fixed interval, every tick compares the number of characters
+ * the speed profile says should have been typed by now (from real elapsed time) with
+ * the number actually typed, types the difference and sleeps until the next one is due
+ */
+class TypingScheduler {
+    constructor(typeCharacter, clock = realClock) {
+        this.typeCharacter = typeCharacter; // Types one character, returns false if nothing could be typed
+        this.clock = clock;                 // Time source and timers
+        this.profile = null;                // Speed profile in effect
+        this.timeoutId = null;              // Pending tick
+        this.isRunning = false;
+        this.isPaused = false;
+        this.pausedAt = null;               // When the current pause started
+        this.profileStart = 0;              // When the profile took effect (moved forward by pauses)
+        this.profileBase = 0;               // Characters typed before the profile took effect
+        this.forgiven = 0;                  // Due characters dropped while nothing could be typed
+        this.charactersTyped = 0;           // Characters typed since start()
+    }
+
+    /**
+     * Start typing according to the given speed profile
+     */
+    start(profile) {
+        this.stop();
+        
+        this.isRunning = true;
+        this.charactersTyped = 0;
+        this.setProfile(profile);
+    }
+
+    /**
+     * Switch to another speed profile, it starts from the current count without a burst or a gap
+     * With keepElapsed the new profile carries on at the time the current one has reached instead of
+     * starting over (e.g. a ramp-up that changed its target speed), the target count goes on from where it is
+     */
+    setProfile(profile, keepElapsed = false) {
+        if (keepElapsed && this.isRunning && this.profile) {
+            const target = this.getTargetCount();
+            this.profile = profile;
+            this.profileBase = target - Math.floor(profile.charsDueBy(this.getElapsed()));
+        } else {
+            this.profile = profile;
+            this.profileStart = this.pausedAt ?? this.clock.now();
+            this.profileBase = this.charactersTyped;
+        }
+        this.forgiven = 0;
+        
+        if (this.isRunning && !this.isPaused) {
+            this.scheduleTick(this.getDelayToNextChar());
+        }
+    }
+
+    /**
+     * Pause typing, the paused time doesn't count towards the target
+     */
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+        
+        this.isPaused = true;
+        this.pausedAt = this.clock.now();
+        this.clearTick();
+    }
+
+    /**
+     * Resume typing after a pause
+     */
+    resume() {
+        if (!this.isRunning || !this.isPaused) return;
+        
+        this.profileStart += this.clock.now() - this.pausedAt;
+        this.isPaused = false;
+        this.pausedAt = null;
+        this.scheduleTick(this.getDelayToNextChar());
+    }
+
+    /**
+     * Stop typing and cancel the pending tick
+     */
+    stop() {
+        this.clearTick();
+        this.isRunning = false;
+        this.isPaused = false;
+        this.pausedAt = null;
+    }
+
+    /**
+     * Time the current profile has been in effect, without paused time
+     */
+    getElapsed() {
+        const now = this.pausedAt ?? this.clock.now();
+        return Math.max(0, now - this.profileStart);
+    }
+
+    /**
+     * Number of characters that should have been typed by now
+     */
+    getTargetCount() {
+        if (!this.isRunning) {
+            return this.charactersTyped;
+        }
+        
+        return this.profileBase + Math.floor(this.profile.charsDueBy(this.getElapsed())) - this.forgiven;
+    }
+
+    /**
+     * How far the typed count is ahead of (positive) or behind (negative) the target
+     */
+    getDeviation() {
+        const target = this.getTargetCount();
+        const actual = this.charactersTyped;
+        
+        return {
+            target,
+            actual,
+            chars: actual - target,
+            percent: target > 0 ? ((actual - target) / target) * 100 : 0
+        };
+    }
+
+    /**
+     * Milliseconds until the next character is due
+     */
+    getDelayToNextChar() {
+        const nextCount = this.charactersTyped - this.profileBase + this.forgiven + 1;
+        return Math.max(0, this.profile.timeForChars(nextCount) - this.getElapsed());
+    }
+
+    /**
+     * Type every character that is due, then sleep until the next one
+     */
+    tick() {
+        this.timeoutId = null;
+        if (!this.isRunning || this.isPaused) return;
+        
+        const due = Math.min(this.getTargetCount() - this.charactersTyped, MAX_CATCH_UP_CHARS);
+        
+        for (let i = 0; i < due; i++) {
+            if (!this.typeCharacter()) {
+                // Nothing to type right now: don't build up a backlog to burst through later
+                this.forgiven += this.getTargetCount() - this.charactersTyped;
+                break;
+            }
+            this.charactersTyped++;
+        }
+        
+        // typeCharacter() may have stopped the session
+        if (this.isRunning && !this.isPaused) {
+            this.scheduleTick(this.getDelayToNextChar());
+        }
+    }
+
+    /**
+     * Schedule the next tick, replacing any pending one
+     */
+    scheduleTick(delay) {
+        this.clearTick();
+        
+        // A profile that never types another character needs no further ticks
+        if (Number.isFinite(delay)) {
+            this.timeoutId = this.clock.setTimeout(() => this.tick(), delay);
+        }
+    }
+
+    /**
+     * Cancel the pending tick
+     */
+    clearTick() {
+        if (this.timeoutId !== null) {
+            this.clock.clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+        }
+    }
+}
+
+module.exports = {
+    realClock,
+    MAX_CATCH_UP_CHARS,
+    TypingScheduler
+};
@@ -0,0 +1,238 @@
+const { SettingsStore } = require('./settings-store');
+
+// Completed runs are kept under their own key, so clearing them never touches the settings
+const HISTORY_STORAGE_KEY = 'auto-typewriter-history';
+const HISTORY_VERSION = 1;
+
+// Oldest runs are dropped beyond this, to stay well within the storage quota
+const MAX_HISTORY_RUNS = 200;
+
+// Fields of a recorded run, in the column order of the CSV export
+const RUN_FIELDS = [
+    'completedAt',             // When the lesson was finished (ms since the epoch)
+    'lessonId',                // Lesson id from the page URL (null if the page has none)
+    'profile',                 // Speed profile type that was used
+    'charsPerTenMins',         // Configured speed, null for profiles that set their own (schedule, deadline)
+    'achievedCharsPerTenMins', // Speed the lesson was actually typed at
+    'durationMs',              // Time from start to finish, pauses included
+    'charactersTyped',         // Keys sent
+    'errors'                   // Keys the page didn't accept
+];
+
+/**
+ * Locally stored results of completed lessons
+ * Stored data that can't be read is discarded, and every run is validated on load
+ */
+class SessionHistory {
+    constructor(storage = SettingsStore.getDefaultStorage(), key = HISTORY_STORAGE_KEY, limit = MAX_HISTORY_RUNS) {
+        this.storage = storage; // Storage backend (null keeps the history in memory only)
+        this.key = key;         // Key the history is saved under
+        this.limit = limit;     // Most runs kept
+        this.runs = [];         // Recorded runs, oldest first
+    }
+
+    /**
+     * Load the recorded runs from storage
+     */
+    load() {
+        try {
+            this.runs = this.read();
+        } catch (error) {
+            // Storage blocked, start with an empty history
+            this.runs = [];
+        }
+        return this.runs;
+    }
+
+    /**
+     * Get the valid stored runs, none if there are none or the data is corrupt
+     * Throws when storage can't be accessed
+     */
+    read() {
+        const raw = this.storage ? this.storage.getItem(this.key) : null;
+        let data = null;
+
+        try {
+            data = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            data = null;
+        }
+
+        const runs = data && data.version === HISTORY_VERSION && Array.isArray(data.runs) ? data.runs : [];
+        return runs.map((run) => SessionHistory.sanitizeRun(run)).filter(Boolean).slice(-this.limit);
+    }
+
+    /**
+     * Check a stored run, returns null if it is unusable
+     */
+    static sanitizeRun(run) {
+        if (!run || typeof run !== 'object') {
+            return null;
+        }
+
+        const numbers = RUN_FIELDS.filter((field) => !['lessonId', 'profile'].includes(field));
+        const isOptional = (field) => field === 'charsPerTenMins' && run[field] === null;
+        if (!numbers.every((field) => isOptional(field) || (Number.isFinite(run[field]) && run[field] >= 0))) {
+            return null;
+        }
+
+        const result = {};
+        RUN_FIELDS.forEach((field) => {
+            result[field] = run[field];
+        });
+        result.lessonId = typeof run.lessonId === 'string' && run.lessonId ? run.lessonId : null;
+        result.profile = typeof run.profile === 'string' ? run.profile : 'constant';
+        return result;
+    }
+
+    /**
+     * Record a completed run and save the history
+     * The stored runs are read again first, so runs another tab recorded since loading are kept
+     * Returns the run as stored, or null if it wasn't valid
+     */
+    add(run) {
+        const result = SessionHistory.sanitizeRun(run);
+        if (!result) {
+            return null;
+        }
+
+        if (this.storage) {
+            try {
+                this.runs = this.read();
+            } catch (error) {
+                // Storage blocked, add to the runs of this page load
+            }
+        }
+        this.runs.push(result);
+        if (this.runs.length > this.limit) {
+            this.runs.splice(0, this.runs.length - this.limit);
+        }
+        this.save();
+        return result;
+    }
+
+    /**
+     * Write the runs to storage
+     */
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(this.key, JSON.stringify({ version: HISTORY_VERSION, runs: this.runs }));
+            }
+        } catch (error) {
+            // Storage full or blocked, the run is still shown until the page is left
+        }
+    }
+
+    /**
+     * Forget every recorded run
+     */
+    clear() {
+        this.runs = [];
+        try {
+            if (this.storage) {
+                this.storage.removeItem(this.key);
+            }
+        } catch (error) {
+            // Nothing stored that we can remove
+        }
+    }
+
+    /**
+     * Get the runs sorted by one of RUN_FIELDS
+     */
+    getRuns(sortKey = 'completedAt', direction = 'desc') {
+        return SessionHistory.sortBy(this.runs, sortKey, direction);
+    }
+
+    /**
+     * Get one summary per lesson, sorted by one of its fields:
+     * { lessonId, runs, bestCharsPerTenMins, averageCharsPerTenMins, errors, lastCompletedAt }
+     */
+    getLessons(sortKey = 'lastCompletedAt', direction = 'desc') {
+        const lessons = new Map();
+
+        this.runs.forEach((run) => {
+            const lesson = lessons.get(run.lessonId) || {
+                lessonId: run.lessonId,
+                runs: 0,
+                bestCharsPerTenMins: 0,
+                averageCharsPerTenMins: 0,
+                errors: 0,
+                lastCompletedAt: 0
+            };
+
+            // Running average, so the runs don't have to be kept per lesson
+            lesson.runs++;
+            lesson.averageCharsPerTenMins += (run.achievedCharsPerTenMins - lesson.averageCharsPerTenMins) / lesson.runs;
+            lesson.bestCharsPerTenMins = Math.max(lesson.bestCharsPerTenMins, run.achievedCharsPerTenMins);
+            lesson.errors += run.errors;
+            lesson.lastCompletedAt = Math.max(lesson.lastCompletedAt, run.completedAt);
+            lessons.set(run.lessonId, lesson);
+        });
+
+        return SessionHistory.sortBy(Array.from(lessons.values()), sortKey, direction);
+    }
+
+    /**
+     * Sort a copy of rows by a field, missing values (e.g. no lesson id) go last
+     */
+    static sortBy(rows, key, direction) {
+        const factor = direction === 'asc' ? 1 : -1;
+
+        return rows.slice().sort((a, b) => {
+            if (a[key] === b[key]) return 0;
+            if (a[key] === null) return 1;
+            if (b[key] === null) return -1;
+
+            const order = typeof a[key] === 'string'
+                ? a[key].localeCompare(b[key], undefined, { numeric: true })
+                : a[key] - b[key];
+            return order * factor;
+        });
+    }
+
+    /**
+     * Export the runs as JSON, oldest first
+     */
+    toJSON() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            runs: this.runs.map((run) => ({ ...run, completedAt: new Date(run.completedAt).toISOString() }))
+        }, null, 2);
+    }
+
+    /**
+     * Export the runs as CSV with a header row, oldest first
+     */
+    toCSV() {
+        const escape = (value) => {
+            let text = value === null ? '' : String(value);
+            // Lesson ids come from the page, a spreadsheet would run one starting like a formula
+            if (/^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = this.runs.map((run) => RUN_FIELDS.map((field) => {
+            if (field === 'completedAt') {
+                return new Date(run.completedAt).toISOString();
+            }
+            if (field === 'achievedCharsPerTenMins') {
+                return Math.round(run.achievedCharsPerTenMins);
+            }
+            return escape(run[field]);
+        }).join(','));
+
+        return [RUN_FIELDS.join(','), ...rows].join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    HISTORY_STORAGE_KEY,
+    HISTORY_VERSION,
+    MAX_HISTORY_RUNS,
+    RUN_FIELDS,
+    SessionHistory
+};
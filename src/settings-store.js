@@ -0,0 +1,275 @@
+const {
+    MIN_CHARS_PER_TEN_MINS,
+    MAX_CHARS_PER_TEN_MINS,
+    DEFAULT_CHARS_PER_TEN_MINS,
+    SPEED_PROFILE_TYPES,
+    MAX_PROFILE_MINUTES
+} = require('./constants');
+const { KEYBOARD_LAYOUTS } = require('./keyboard-layouts');
+const { THEMES, DEFAULT_THEME, ACCENT_COLOR_PATTERN } = require('./themes');
+const { defaultHotkeys, parseHotkey } = require('./hotkeys');
+const { SUPPORTED_LOCALES } = require('./i18n');
+
+// Persisted settings: new fields fall back to their defaults when missing, bump
+// SETTINGS_VERSION and add a migration when an existing field changes shape or meaning
+const SETTINGS_STORAGE_KEY = 'auto-typewriter-settings';
+const SETTINGS_VERSION = 2;
+const DEFAULT_SETTINGS = {
+    charsPerTenMins: DEFAULT_CHARS_PER_TEN_MINS,
+    theme: DEFAULT_THEME,      // One of THEMES
+    accentColor: '',           // Custom accent as #rrggbb, '' for the theme's own
+    position: { x: 0, y: 0 },
+    minimized: false,
+    layout: 'de-AT',           // Keyboard layout, one of KEYBOARD_LAYOUTS
+    profile: {
+        type: 'constant',      // One of SPEED_PROFILE_TYPES
+        rampMinutes: 2,        // Ramp-up: time to reach the target speed
+        schedule: '',          // Piecewise: JSON list of segments
+        deadlineMinutes: 10    // Deadline: time to finish the remaining text in
+    },
+    hotkeys: defaultHotkeys(), // Shortcut of each HOTKEY_ACTIONS action, '' for none
+    locale: 'auto'             // Overlay language, one of SUPPORTED_LOCALES or 'auto' to follow the browser
+};
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each one receives the stored data and returns it in the shape of the next version
+ */
+const SETTINGS_MIGRATIONS = {
+    // Version 0: data saved without a version number
+    0: (data) => ({ ...data, version: 1 }),
+    // Version 1: a dark/light switch, the themes replaced it. Keep the look the user had
+    1: ({ isDarkMode, ...data }) => ({
+        ...data,
+        ...(typeof isDarkMode === 'boolean' && { theme: isDarkMode ? 'dark' : 'light' }),
+        version: 2
+    })
+};
+
+/**
+ * Versioned settings store backed by localStorage
+ * Corrupt, unknown or newer-version data is discarded in favour of the defaults,
+ * and every value is validated on load so a bad entry can't break the UI
+ */
+class SettingsStore {
+    constructor(storage = SettingsStore.getDefaultStorage(), key = SETTINGS_STORAGE_KEY) {
+        this.storage = storage;                   // Storage backend (null keeps settings in memory only)
+        this.key = key;                           // Key the settings are saved under
+        this.settings = SettingsStore.defaults(); // Current settings
+    }
+
+    /**
+     * Get localStorage if the page allows it (it throws in some privacy modes)
+     */
+    static getDefaultStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get a fresh copy of the default settings
+     */
+    static defaults() {
+        return JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    }
+
+    /**
+     * Load the settings from storage, migrating old versions if needed
+     */
+    load() {
+        let data = null;
+        
+        try {
+            data = this.read();
+        } catch (error) {
+            // Storage blocked, fall back to the defaults
+            data = null;
+        }
+        
+        this.settings = this.sanitize(this.migrate(data));
+        return this.get();
+    }
+
+    /**
+     * Read the settings again before changing them, another tab may have saved since
+     * Keeps the current ones when storage can't be read, they are all there is then
+     */
+    reload() {
+        if (!this.storage) {
+            return;
+        }
+        
+        try {
+            this.settings = this.sanitize(this.migrate(this.read()));
+        } catch (error) {
+            // Storage blocked, keep the settings of this page load
+        }
+    }
+
+    /**
+     * Get the stored data, null if there is none or it is corrupt
+     * Throws when storage can't be accessed
+     */
+    read() {
+        const raw = this.storage ? this.storage.getItem(this.key) : null;
+        
+        try {
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Bring stored data up to the current version
+     * Returns null if the data can't be migrated
+     */
+    migrate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return null;
+        }
+        
+        let version = Number.isInteger(data.version) ? data.version : 0;
+        
+        // Data written by a newer version of the script can't be interpreted reliably
+        if (version > SETTINGS_VERSION) {
+            return null;
+        }
+        
+        while (version < SETTINGS_VERSION) {
+            const migration = SETTINGS_MIGRATIONS[version];
+            if (!migration) {
+                return null;
+            }
+            data = migration(data);
+            version = data.version;
+        }
+        
+        return data;
+    }
+
+    /**
+     * Merge data over the defaults, keeping only valid values
+     */
+    sanitize(data) {
+        const settings = SettingsStore.defaults();
+        if (!data) {
+            return settings;
+        }
+        
+        const speed = data.charsPerTenMins;
+        if (Number.isInteger(speed) && speed >= MIN_CHARS_PER_TEN_MINS && speed <= MAX_CHARS_PER_TEN_MINS) {
+            settings.charsPerTenMins = speed;
+        }
+        
+        if (Object.prototype.hasOwnProperty.call(THEMES, data.theme)) {
+            settings.theme = data.theme;
+        }
+        
+        if (typeof data.accentColor === 'string' && ACCENT_COLOR_PATTERN.test(data.accentColor)) {
+            settings.accentColor = data.accentColor.toLowerCase();
+        }
+        
+        if (data.position && Number.isFinite(data.position.x) && Number.isFinite(data.position.y)) {
+            settings.position = { x: data.position.x, y: data.position.y };
+        }
+        
+        if (typeof data.minimized === 'boolean') {
+            settings.minimized = data.minimized;
+        }
+        
+        if (Object.prototype.hasOwnProperty.call(KEYBOARD_LAYOUTS, data.layout)) {
+            settings.layout = data.layout;
+        }
+        
+        const profile = data.profile;
+        if (profile && typeof profile === 'object') {
+            const isMinutes = (value) => Number.isFinite(value) && value > 0 && value <= MAX_PROFILE_MINUTES;
+            
+            if (SPEED_PROFILE_TYPES.includes(profile.type)) {
+                settings.profile.type = profile.type;
+            }
+            if (isMinutes(profile.rampMinutes)) {
+                settings.profile.rampMinutes = profile.rampMinutes;
+            }
+            if (typeof profile.schedule === 'string') {
+                settings.profile.schedule = profile.schedule;
+            }
+            if (isMinutes(profile.deadlineMinutes)) {
+                settings.profile.deadlineMinutes = profile.deadlineMinutes;
+            }
+        }
+        
+        if (data.hotkeys && typeof data.hotkeys === 'object') {
+            Object.keys(settings.hotkeys).forEach((action) => {
+                const hotkey = parseHotkey(data.hotkeys[action]);
+                if (hotkey !== null) {
+                    settings.hotkeys[action] = hotkey;
+                }
+            });
+        }
+        
+        if (data.locale === 'auto' || SUPPORTED_LOCALES.includes(data.locale)) {
+            settings.locale = data.locale;
+        }
+        
+        return settings;
+    }
+
+    /**
+     * Get a copy of the current settings
+     */
+    get() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    /**
+     * Change some settings and save them
+     */
+    update(changes) {
+        this.reload();
+        this.settings = this.sanitize({ ...this.settings, ...changes });
+        this.save();
+        return this.get();
+    }
+
+    /**
+     * Write the current settings to storage
+     */
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(this.key, JSON.stringify({ version: SETTINGS_VERSION, ...this.settings }));
+            }
+        } catch (error) {
+            // Storage full or blocked, the settings still apply for this page load
+        }
+    }
+
+    /**
+     * Forget the stored settings and go back to the defaults
+     */
+    reset() {
+        try {
+            if (this.storage) {
+                this.storage.removeItem(this.key);
+            }
+        } catch (error) {
+            // Nothing stored that we can remove
+        }
+        
+        this.settings = SettingsStore.defaults();
+        return this.get();
+    }
+}
+
+module.exports = {
+    SETTINGS_STORAGE_KEY,
+    SETTINGS_VERSION,
+    DEFAULT_SETTINGS,
+    SETTINGS_MIGRATIONS,
+    SettingsStore
+};
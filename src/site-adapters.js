@@ -0,0 +1,145 @@
+const { LessonTextReader, ReferenceTextReader } = require('./text-reader');
+const { DEFAULT_KEY_EVENTS } = require('./keyboard-layouts');
+
+/**
+ * Site Adapters
+ * =============
+ *
+ * A site adapter knows where everything is on one kind of typing page:
+ * - matches(location): whether the adapter handles the current page
+ * - findLessonElement(): the element holding the lesson text (null if it isn't loaded)
+ * - findCurrentChar(): the character that has to be typed next ('' if there is none)
+ * - findInputTarget(): the element the keystrokes are sent to
+ * - findStartDialog(): the dialog shown before the lesson starts (null if there is none)
+ * - isLessonComplete(): whether the whole lesson has been typed
+ * - findLessonId(): id of the lesson for the session history (null if the page has none)
+ *
+ * Each adapter also has a textReader (see LessonTextReader) for the remaining text and progress,
+ * and keyEvents (see DEFAULT_KEY_EVENTS) choosing the events sent for each character.
+ */
+
+/**
+ * typewriter.at lesson pages
+ */
+class TypewriterAtAdapter {
+    constructor(doc = document) {
+        this.name = 'typewriter.at';
+        this.document = doc;
+        this.textReader = new LessonTextReader(doc);
+        this.keyEvents = DEFAULT_KEY_EVENTS;
+    }
+
+    matches(location) {
+        const currentUrl = location.href.toLowerCase();
+        const hostname = location.hostname.toLowerCase();
+        
+        return hostname.includes('typewriter.at') || currentUrl.includes('typewriter.at');
+    }
+
+    findLessonElement() {
+        // The first block stays put while the lesson is typed, unlike the current block
+        return this.textReader.getBlocks()[0] || null;
+    }
+
+    findCurrentChar() {
+        return this.textReader.getCurrentCharacter();
+    }
+
+    findInputTarget() {
+        // The site listens for keys on the whole document, so whatever has focus will do,
+        // except the overlay's own inputs (focus inside its shadow root shows as its host element)
+        const activeElement = this.document.activeElement;
+        if (!activeElement || activeElement.closest('#auto-typewriter-ui')) {
+            return this.document.body;
+        }
+        return activeElement;
+    }
+
+    findStartDialog() {
+        return this.document.querySelector(".ui-dialog[aria-describedby='startDialog']");
+    }
+
+    isLessonComplete() {
+        return !!this.findLessonElement() && this.textReader.getRemainingText().length === 0;
+    }
+
+    findLessonId() {
+        // Lessons are opened as index.php?r=typewriter/startPractise&id=1083
+        const params = new URL(this.document.location.href).searchParams;
+        const route = params.get('r') || '';
+        return route.toLowerCase() === 'typewriter/startpractise' && params.get('id') ? params.get('id') : null;
+    }
+}
+
+/**
+ * Generic page with a reference text and a textarea to type it into, e.g. local practice pages:
+ *
+ *   <div data-typing-reference>Text to type</div>
+ *   <textarea data-typing-input></textarea>
+ *
+ * The textarea may also be left unmarked if it is the only one on the page.
+ * An element with data-typing-start-dialog is treated as the start dialog while it is visible.
+ * The reference's data-typing-reference value, if it has one, is used as the lesson id.
+ */
+class TextareaAdapter {
+    constructor(doc = document) {
+        this.name = 'textarea';
+        this.document = doc;
+        this.textReader = new ReferenceTextReader(() => this.findLessonElement(), () => this.findInputTarget());
+        this.keyEvents = DEFAULT_KEY_EVENTS;
+    }
+
+    matches() {
+        return !!this.findLessonElement() && !!this.findInputTarget();
+    }
+
+    findLessonElement() {
+        return this.document.querySelector('[data-typing-reference]');
+    }
+
+    findCurrentChar() {
+        return this.textReader.getCurrentCharacter();
+    }
+
+    findInputTarget() {
+        return this.document.querySelector('textarea[data-typing-input]') || this.document.querySelector('textarea');
+    }
+
+    findStartDialog() {
+        return this.document.querySelector('[data-typing-start-dialog]');
+    }
+
+    isLessonComplete() {
+        return !!this.findLessonElement() && this.textReader.getRemainingText().length === 0;
+    }
+
+    findLessonId() {
+        const reference = this.findLessonElement();
+        return reference && reference.dataset.typingReference ? reference.dataset.typingReference : null;
+    }
+}
+
+// Adapters tried in order, the first one matching the page is used
+const SITE_ADAPTERS = [TypewriterAtAdapter, TextareaAdapter];
+
+/**
+ * Create the adapter for the current page
+ * Returns null if no adapter supports it
+ */
+function findSiteAdapter(location = window.location, doc = document) {
+    for (const Adapter of SITE_ADAPTERS) {
+        const adapter = new Adapter(doc);
+        if (adapter.matches(location)) {
+            return adapter;
+        }
+    }
+    
+    return null;
+}
+
+module.exports = {
+    TypewriterAtAdapter,
+    TextareaAdapter,
+    SITE_ADAPTERS,
+    findSiteAdapter
+};
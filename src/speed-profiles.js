@@ -0,0 +1,266 @@
+const {
+    MIN_CHARS_PER_TEN_MINS,
+    MAX_CHARS_PER_TEN_MINS,
+    MAX_PROFILE_MINUTES
+} = require('./constants');
+const { formatDuration } = require('./format');
+const { DEFAULT_TRANSLATOR } = require('./i18n');
+
+/**
+ * Speed Profiles
+ * ==============
+ *
+ * A speed profile describes how fast to type over time. Every profile implements:
+ * - charsDueBy(elapsedMs): characters that should have been typed after elapsedMs
+ * - timeForChars(count): elapsed milliseconds at which the count-th character is due
+ * - speedAt(elapsedMs): speed at that moment, in characters per 10 minutes
+ * - describe(i18n): short name of the profile for the overlay
+ * - describeProgress(elapsedMs, i18n): one line about where the profile currently is
+ *
+ * The descriptions are in the language of the Translator passed, English by default.
+ *
+ * Elapsed time is measured from when the profile took effect, without paused time.
+ */
+
+/**
+ * Types at the same speed the whole time
+ */
+class ConstantSpeedProfile {
+    constructor(charsPerTenMins) {
+        this.type = 'constant';
+        this.charsPerTenMins = charsPerTenMins;
+        this.msPerChar = 600000 / charsPerTenMins;
+    }
+
+    charsDueBy(elapsedMs) {
+        return elapsedMs / this.msPerChar;
+    }
+
+    timeForChars(count) {
+        return count * this.msPerChar;
+    }
+
+    speedAt() {
+        return this.charsPerTenMins;
+    }
+
+    describe(i18n = DEFAULT_TRANSLATOR) {
+        return i18n.t('profile.constant');
+    }
+
+    describeProgress(elapsedMs, i18n = DEFAULT_TRANSLATOR) {
+        return i18n.t('profile.constant.progress', { speed: this.charsPerTenMins });
+    }
+}
+
+/**
+ * Starts at a tenth of the target speed and speeds up linearly until the target is reached
+ */
+class RampUpSpeedProfile {
+    constructor(charsPerTenMins, rampMinutes) {
+        this.type = 'ramp';
+        this.charsPerTenMins = charsPerTenMins;
+        this.rampMs = rampMinutes * 60000;
+        this.endRate = charsPerTenMins / 600000;     // Characters per ms once ramped up
+        this.startRate = this.endRate * 0.1;         // Characters per ms at the start
+        this.rampChars = this.charsDueBy(this.rampMs); // Characters typed during the ramp
+    }
+
+    charsDueBy(elapsedMs) {
+        const rampTime = Math.min(elapsedMs, this.rampMs);
+        const rampChars = this.startRate * rampTime +
+            (this.endRate - this.startRate) * rampTime * rampTime / (2 * this.rampMs);
+        
+        return rampChars + this.endRate * Math.max(0, elapsedMs - this.rampMs);
+    }
+
+    timeForChars(count) {
+        if (count > this.rampChars) {
+            return this.rampMs + (count - this.rampChars) / this.endRate;
+        }
+        
+        // Solve the quadratic charsDueBy(t) = count for the ramp part
+        const a = (this.endRate - this.startRate) / (2 * this.rampMs);
+        const b = this.startRate;
+        return (-b + Math.sqrt(b * b + 4 * a * count)) / (2 * a);
+    }
+
+    speedAt(elapsedMs) {
+        const progress = Math.min(1, elapsedMs / this.rampMs);
+        return (this.startRate + (this.endRate - this.startRate) * progress) * 600000;
+    }
+
+    describe(i18n = DEFAULT_TRANSLATOR) {
+        return i18n.t('profile.ramp');
+    }
+
+    describeProgress(elapsedMs, i18n = DEFAULT_TRANSLATOR) {
+        if (elapsedMs >= this.rampMs) {
+            return i18n.t('profile.ramp.reached', { target: this.charsPerTenMins });
+        }
+        
+        const percent = Math.floor((elapsedMs / this.rampMs) * 100);
+        return i18n.t('profile.ramp.progress', {
+            speed: Math.round(this.speedAt(elapsedMs)),
+            target: this.charsPerTenMins,
+            percent
+        });
+    }
+}
+
+/**
+ * Follows a list of segments, each typed at its own speed for a number of minutes
+ * The last segment keeps going until typing stops, so its duration is optional
+ */
+class PiecewiseSpeedProfile {
+    constructor(segments) {
+        this.type = 'piecewise';
+        this.segments = segments.map((segment, index) => ({
+            durationMs: index === segments.length - 1 ? Infinity : segment.minutes * 60000,
+            rate: segment.charsPerTenMins / 600000,
+            charsPerTenMins: segment.charsPerTenMins
+        }));
+    }
+
+    /**
+     * Build a profile from JSON, either an array of segments or { "segments": [...] }
+     * e.g. [{ "minutes": 2, "charsPerTenMins": 800 }, { "charsPerTenMins": 1500 }]
+     * Throws an Error describing the first problem found
+     */
+    static fromJSON(json, i18n = DEFAULT_TRANSLATOR) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(i18n.t('schedule.invalidJson'));
+        }
+        
+        const segments = Array.isArray(data) ? data : data && data.segments;
+        if (!Array.isArray(segments) || segments.length === 0) {
+            throw new Error(i18n.t('schedule.empty'));
+        }
+        
+        segments.forEach((segment, index) => {
+            const number = index + 1;
+            const isLast = index === segments.length - 1;
+            
+            if (!segment || typeof segment !== 'object') {
+                throw new Error(i18n.t('schedule.notObject', { number }));
+            }
+            
+            const speed = segment.charsPerTenMins;
+            if (!Number.isInteger(speed) || speed < MIN_CHARS_PER_TEN_MINS || speed > MAX_CHARS_PER_TEN_MINS) {
+                throw new Error(i18n.t('schedule.speed', { number, min: MIN_CHARS_PER_TEN_MINS, max: MAX_CHARS_PER_TEN_MINS }));
+            }
+            
+            const minutes = segment.minutes;
+            if (!(isLast && minutes === undefined) &&
+                (typeof minutes !== 'number' || !(minutes > 0) || minutes > MAX_PROFILE_MINUTES)) {
+                throw new Error(i18n.t('schedule.minutes', { number, max: MAX_PROFILE_MINUTES }));
+            }
+        });
+        
+        return new PiecewiseSpeedProfile(segments);
+    }
+
+    /**
+     * Find the segment active after elapsedMs
+     * Returns the segment index, its start time and the characters due at its start
+     */
+    findSegment(elapsedMs) {
+        let start = 0;
+        let chars = 0;
+        
+        for (let index = 0; index < this.segments.length; index++) {
+            const segment = this.segments[index];
+            if (elapsedMs < start + segment.durationMs) {
+                return { index, start, chars };
+            }
+            start += segment.durationMs;
+            chars += segment.rate * segment.durationMs;
+        }
+        
+        // Not reached: the last segment never ends
+        return { index: this.segments.length - 1, start, chars };
+    }
+
+    charsDueBy(elapsedMs) {
+        const { index, start, chars } = this.findSegment(elapsedMs);
+        return chars + this.segments[index].rate * (elapsedMs - start);
+    }
+
+    timeForChars(count) {
+        let start = 0;
+        let chars = 0;
+        
+        for (const segment of this.segments) {
+            const segmentChars = segment.rate * segment.durationMs;
+            if (count <= chars + segmentChars) {
+                return start + (count - chars) / segment.rate;
+            }
+            start += segment.durationMs;
+            chars += segmentChars;
+        }
+        
+        return Infinity;
+    }
+
+    speedAt(elapsedMs) {
+        return this.segments[this.findSegment(elapsedMs).index].charsPerTenMins;
+    }
+
+    describe(i18n = DEFAULT_TRANSLATOR) {
+        return i18n.t('profile.piecewise');
+    }
+
+    describeProgress(elapsedMs, i18n = DEFAULT_TRANSLATOR) {
+        const { index } = this.findSegment(elapsedMs);
+        return i18n.t('profile.piecewise.progress', {
+            number: index + 1,
+            total: this.segments.length,
+            speed: this.segments[index].charsPerTenMins
+        });
+    }
+}
+
+/**
+ * Finishes the characters left in the lesson within a number of minutes
+ * The speed is worked out once, from the characters left when the profile is created
+ */
+class DeadlineSpeedProfile {
+    constructor(minutes, remainingChars) {
+        this.type = 'deadline';
+        this.deadlineMs = minutes * 60000;
+        this.remainingChars = remainingChars;
+        this.msPerChar = this.deadlineMs / remainingChars;
+        this.charsPerTenMins = 600000 / this.msPerChar;
+    }
+
+    charsDueBy(elapsedMs) {
+        return elapsedMs / this.msPerChar;
+    }
+
+    timeForChars(count) {
+        return count * this.msPerChar;
+    }
+
+    speedAt() {
+        return this.charsPerTenMins;
+    }
+
+    describe(i18n = DEFAULT_TRANSLATOR) {
+        return i18n.t('profile.deadline');
+    }
+
+    describeProgress(elapsedMs, i18n = DEFAULT_TRANSLATOR) {
+        const left = Math.max(0, this.deadlineMs - elapsedMs);
+        return i18n.t('profile.deadline.progress', { count: this.remainingChars, time: formatDuration(left) });
+    }
+}
+
+module.exports = {
+    ConstantSpeedProfile,
+    RampUpSpeedProfile,
+    PiecewiseSpeedProfile,
+    DeadlineSpeedProfile
+};
@@ -0,0 +1,198 @@
+// Characters in lesson texts that stand for a plain space or a line break
+const SPECIAL_WHITESPACE = {
+    '\u00a0': ' ',  // No-break space (&nbsp;)
+    '\u2007': ' ',  // Figure space
+    '\u2009': ' ',  // Thin space
+    '\u202f': ' ',  // Narrow no-break space
+    '\u2028': '\n', // Line separator
+    '\u2029': '\n', // Paragraph separator
+    '\u21b5': '\n', // Downwards arrow with corner leftwards, shown for Enter
+    '\u23ce': '\n'  // Return symbol, shown for Enter
+};
+const SPECIAL_WHITESPACE_PATTERN = /[\u00a0\u2007\u2009\u202f\u2028\u2029\u21b5\u23ce]/g;
+
+// Invisible characters that are never typed (zero-width spaces/joiners, BOM, soft hyphen)
+const INVISIBLE_CHARACTERS = /[\u200b-\u200d\u2060\ufeff\u00ad]/g;
+
+/**
+ * Lesson Text Reader
+ * Reads the lesson text straight from the page every time it is asked, so it keeps
+ * working when the site replaces the text nodes. The text is taken from the DOM
+ * rather than innerHTML, which decodes entities like &amp;, and special whitespace
+ * is turned into the characters that actually have to be typed.
+ *
+ * A lesson can be split over several blocks (#text_todo_1, #text_todo_2, ...);
+ * the current character is the first character of the first block with text left.
+ */
+class LessonTextReader {
+    constructor(root = document, blockPattern = /^text_todo_(\d+)$/) {
+        this.root = root;                 // Document (or element) holding the lesson
+        this.blockPattern = blockPattern; // Matches the ids of the lesson text blocks
+        this.totalLength = 0;             // Longest remaining text seen since reset()
+    }
+
+    /**
+     * Turn raw lesson text into the characters that have to be typed
+     */
+    static normalize(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(INVISIBLE_CHARACTERS, '')
+            .replace(SPECIAL_WHITESPACE_PATTERN, (char) => SPECIAL_WHITESPACE[char]);
+    }
+
+    /**
+     * Get the text of a node, with <br> elements as line breaks
+     */
+    static extractText(node) {
+        if (node.nodeType === 3) {
+            return node.data;
+        }
+        if (node.nodeName === 'BR') {
+            return '\n';
+        }
+        
+        let text = '';
+        node.childNodes.forEach((child) => {
+            text += LessonTextReader.extractText(child);
+        });
+        return text;
+    }
+
+    /**
+     * Find all lesson text blocks in reading order
+     */
+    getBlocks() {
+        return Array.from(this.root.querySelectorAll('[id^="text_todo_"]'))
+            .filter((block) => this.blockPattern.test(block.id))
+            .sort((a, b) => Number(a.id.match(this.blockPattern)[1]) - Number(b.id.match(this.blockPattern)[1]));
+    }
+
+    /**
+     * Get the text left in a block
+     */
+    getBlockText(block) {
+        return LessonTextReader.normalize(LessonTextReader.extractText(block));
+    }
+
+    /**
+     * Find the block holding the current character
+     * Returns null if there is no lesson text on the page
+     */
+    getCurrentBlock() {
+        const blocks = this.getBlocks();
+        return blocks.find((block) => this.getBlockText(block).length > 0) || blocks[0] || null;
+    }
+
+    /**
+     * Get the character that has to be typed next, or '' if there is none
+     */
+    getCurrentCharacter() {
+        const block = this.getCurrentBlock();
+        if (!block) {
+            return '';
+        }
+        
+        // The site marks the current character with the block's first element
+        const marker = block.firstElementChild;
+        const markerText = marker ? this.getBlockText(marker) : '';
+        const [char = ''] = markerText || this.getBlockText(block);
+        return char;
+    }
+
+    /**
+     * Get all the text that is still left to type
+     */
+    getRemainingText() {
+        const blocks = this.getBlocks();
+        const current = blocks.indexOf(this.getCurrentBlock());
+        
+        return blocks
+            .slice(Math.max(0, current))
+            .map((block) => this.getBlockText(block))
+            .join('');
+    }
+
+    /**
+     * Get how far through the lesson we are
+     * The total is the longest remaining text seen since the last reset()
+     */
+    getProgress() {
+        const remaining = Array.from(this.getRemainingText()).length;
+        this.totalLength = Math.max(this.totalLength, remaining);
+        
+        const position = this.totalLength - remaining;
+        return {
+            position,                      // Characters typed since reset()
+            remaining,                     // Characters left
+            total: this.totalLength,       // Characters in the lesson
+            percent: this.totalLength > 0 ? (position / this.totalLength) * 100 : 0
+        };
+    }
+
+    /**
+     * Start counting progress from the current position
+     */
+    reset() {
+        this.totalLength = 0;
+        return this.getProgress();
+    }
+}
+
+/**
+ * Reader for a reference text that is typed into a text field
+ * Offers the same methods as LessonTextReader, the position comes from the field's value
+ */
+class ReferenceTextReader {
+    constructor(findReference, findInput) {
+        this.findReference = findReference; // Returns the element showing the text to type
+        this.findInput = findInput;         // Returns the text field it is typed into
+    }
+
+    /**
+     * Get the whole reference text and the part typed so far, as arrays of characters
+     */
+    getTexts() {
+        const reference = this.findReference();
+        const input = this.findInput();
+        
+        return {
+            reference: reference ? Array.from(LessonTextReader.normalize(LessonTextReader.extractText(reference))) : [],
+            typed: input ? Array.from(input.value) : []
+        };
+    }
+
+    getCurrentCharacter() {
+        const { reference, typed } = this.getTexts();
+        return reference[typed.length] || '';
+    }
+
+    getRemainingText() {
+        const { reference, typed } = this.getTexts();
+        return reference.slice(typed.length).join('');
+    }
+
+    getProgress() {
+        const { reference, typed } = this.getTexts();
+        const position = Math.min(typed.length, reference.length);
+        
+        return {
+            position,
+            remaining: reference.length - position,
+            total: reference.length,
+            percent: reference.length > 0 ? (position / reference.length) * 100 : 0
+        };
+    }
+
+    reset() {
+        return this.getProgress();
+    }
+}
+
+module.exports = {
+    SPECIAL_WHITESPACE,
+    SPECIAL_WHITESPACE_PATTERN,
+    INVISIBLE_CHARACTERS,
+    LessonTextReader,
+    ReferenceTextReader
+};
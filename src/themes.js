@@ -0,0 +1,127 @@
+/**
+ * Overlay Themes
+ * ==============
+ *
+ * Each theme is a set of colors the overlay's styles read as --at-<name> custom properties.
+ * 'system' has no colors of its own: it shows the dark or the light theme, following the
+ * browser's prefers-color-scheme. The theme button cycles through THEMES in this order.
+ *
+ * A custom accent color replaces the theme's accent (buttons, progress bar, sparkline).
+ * Theme names are in the message catalogs, as 'theme.<id>'.
+ */
+const THEMES = {
+    system: {
+        icon: '🖥️'
+    },
+    dark: {
+        icon: '🌙',
+        colors: {
+            background: '#1a1a2e',
+            text: '#ffffff',
+            'text-muted': '#e0e0e0',
+            'text-shadow': '0 1px 2px rgba(0,0,0,0.3)',
+            header: 'rgba(0,0,0,0.3)',
+            border: 'rgba(255,255,255,0.1)',
+            surface: 'rgba(255,255,255,0.1)',      // Inputs, stats box, speed display
+            'surface-strong': 'rgba(255,255,255,0.2)', // Focused inputs and hovered icons
+            inset: 'rgba(0,0,0,0.25)',            // Log and sparkline
+            'input-border': 'none',
+            shadow: 'rgba(0,0,0,0.5)',
+            accent: '#4CAF50',
+            'on-accent': '#ffffff',               // Text on accent, warning and danger buttons
+            warning: '#ff9800',
+            danger: '#f44336',
+            'error-text': '#ff6b6b',
+            disabled: '#666666'
+        }
+    },
+    light: {
+        icon: '☀️',
+        colors: {
+            background: '#ffffff',
+            text: '#1a1a1a',
+            'text-muted': '#333333',
+            'text-shadow': 'none',
+            header: 'rgba(0,0,0,0.05)',
+            border: 'rgba(0,0,0,0.1)',
+            surface: 'rgba(0,0,0,0.06)',
+            'surface-strong': 'rgba(0,0,0,0.12)',
+            inset: 'rgba(0,0,0,0.06)',
+            'input-border': 'none',
+            shadow: 'rgba(0,0,0,0.25)',
+            accent: '#388e3c',
+            'on-accent': '#ffffff',
+            warning: '#e65100',
+            danger: '#d32f2f',
+            'error-text': '#c62828',
+            disabled: '#9e9e9e'
+        }
+    },
+    'high-contrast': {
+        icon: '◐',
+        colors: {
+            background: '#000000',
+            text: '#ffffff',
+            'text-muted': '#ffffff',
+            'text-shadow': 'none',
+            header: '#000000',
+            border: '#ffffff',
+            surface: '#000000',
+            'surface-strong': '#333333',
+            inset: '#000000',
+            'input-border': '1px solid #ffffff',
+            shadow: 'rgba(0,0,0,0.8)',
+            accent: '#ffff00',
+            'on-accent': '#000000',
+            warning: '#ffb000',
+            danger: '#ff6666',
+            'error-text': '#ff8080',
+            disabled: '#808080'
+        }
+    }
+};
+
+const DEFAULT_THEME = 'system';
+
+// Custom accent colors are stored as #rrggbb
+const ACCENT_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Declare a theme's colors as custom properties
+ */
+function themeProperties(theme) {
+    return Object.entries(THEMES[theme].colors)
+        .map(([name, value]) => `--at-${name}: ${value};`)
+        .join(' ');
+}
+
+/**
+ * Style rules giving the element matching selector the colors of its data-theme
+ * Dark is used when no theme is set, and for 'system' unless the browser prefers light
+ */
+function themeStyles(selector) {
+    return `
+        ${selector}, ${selector}[data-theme="dark"] { ${themeProperties('dark')} }
+        ${selector}[data-theme="light"] { ${themeProperties('light')} }
+        ${selector}[data-theme="high-contrast"] { ${themeProperties('high-contrast')} }
+        @media (prefers-color-scheme: light) {
+            ${selector}[data-theme="system"] { ${themeProperties('light')} }
+        }
+    `;
+}
+
+/**
+ * Get the theme that comes after theme when cycling through THEMES
+ */
+function nextTheme(theme) {
+    const themes = Object.keys(THEMES);
+    return themes[(themes.indexOf(theme) + 1) % themes.length];
+}
+
+module.exports = {
+    THEMES,
+    DEFAULT_THEME,
+    ACCENT_COLOR_PATTERN,
+    themeStyles,
+    nextTheme
+};
@@ -0,0 +1,12 @@
+/**
+ * Auto Typewriter Userscript
+ * ==========================
+ *
+ * Entry point of the Tampermonkey/Violentmonkey build: loads the overlay by itself on
+ * typewriter.at lesson pages (see the @match lines in the metadata block), as soon as
+ * the lesson text is on the page.
+ */
+
+const { launchWhenLessonLoaded } = require('./launch');
+
+launchWhenLessonLoaded();
@@ -0,0 +1,1216 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AutoTypewriter } = require('../src/auto-typewriter');
+const { LESSON_STATES } = require('../src/lifecycle');
+const { SETTINGS_STORAGE_KEY } = require('../src/settings-store');
+const { HISTORY_STORAGE_KEY } = require('../src/session-history');
+const { formatDuration } = require('../src/format');
+const { loadFixture, flush } = require('./helpers/dom');
+const { simulateLessonPage, closeDialog } = require('./helpers/lesson-page');
+
+// Start of the fake time, Date.now() is never 0 in a browser
+const NOW = Date.parse('2024-05-06T08:00:00Z');
+
+// Events sent with dispatchTrusted(), the typewriter takes them for real key presses.
+// Scripts can't send trusted events, so the tests give it this check instead of isTrusted
+const trustedEvents = new WeakSet();
+const isTrustedEvent = (e) => trustedEvents.has(e);
+
+/**
+ * Dispatch an event the typewriter takes for one the browser sent, like a real key press
+ */
+function dispatchTrusted(target, event) {
+    trustedEvents.add(event);
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('AutoTypewriter', () => {
+    let page = null;
+    let typewriter = null;
+
+    /**
+     * Load a fixture, let the page script run and start the typewriter on it
+     * The speed is 600 chars per 10 minutes, one character per second
+     */
+    const setup = (fixture, options = {}) => {
+        page = loadFixture(fixture, options);
+        page.window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: 1, charsPerTenMins: 600 }));
+        const results = simulateLessonPage(page.document);
+        
+        typewriter = new AutoTypewriter({ isTrustedEvent });
+        typewriter.init();
+        return results;
+    };
+
+    const $ = (selector) => typewriter.ui.querySelector(selector);
+    const savedSettings = () => JSON.parse(page.window.localStorage.getItem(SETTINGS_STORAGE_KEY));
+
+    /**
+     * Record the timers, page listeners and mutation observers created from now on
+     * active() lists the ones that are still alive
+     */
+    const trackResources = () => {
+        const timers = new Set();
+        const listeners = new Map(); // Listener → event type
+        const observers = new Set();
+        
+        const { setTimeout, setInterval } = global;
+        mock.method(global, 'setTimeout', (callback, ms, ...args) => {
+            const id = setTimeout(() => {
+                timers.delete(id);
+                callback(...args);
+            }, ms);
+            timers.add(id);
+            return id;
+        });
+        mock.method(global, 'setInterval', (...args) => {
+            const id = setInterval(...args);
+            timers.add(id);
+            return id;
+        });
+        ['clearTimeout', 'clearInterval'].forEach((name) => {
+            const clear = global[name];
+            mock.method(global, name, (id) => {
+                timers.delete(id);
+                clear(id);
+            });
+        });
+        
+        [page.window, page.document].forEach((target) => {
+            const { addEventListener, removeEventListener } = target;
+            mock.method(target, 'addEventListener', function (type, listener, options) {
+                listeners.set(listener, type);
+                return addEventListener.call(this, type, listener, options);
+            });
+            mock.method(target, 'removeEventListener', function (type, listener, options) {
+                listeners.delete(listener);
+                return removeEventListener.call(this, type, listener, options);
+            });
+        });
+        
+        const Observer = global.MutationObserver;
+        global.MutationObserver = class extends Observer {
+            observe(...args) {
+                observers.add(this);
+                return super.observe(...args);
+            }
+            
+            disconnect() {
+                observers.delete(this);
+                return super.disconnect();
+            }
+        };
+        
+        return {
+            active: () => ({
+                timers: timers.size,
+                listeners: [...listeners.values()],
+                observers: observers.size
+            })
+        };
+    };
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: NOW });
+    });
+
+    afterEach(() => {
+        typewriter?.destroy();
+        page?.cleanup();
+        mock.restoreAll();
+        mock.timers.reset();
+        typewriter = null;
+        page = null;
+    });
+
+    describe('init', () => {
+        it('waits for the start dialog before typing can start', async () => {
+            setup('lesson-start-dialog.html');
+            
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.AWAITING_START_DIALOG);
+            assert.equal($('#status-text').textContent, 'Waiting for start');
+            assert.equal($('#start-btn').disabled, true);
+            
+            closeDialog(typewriter.adapter.findStartDialog());
+            await flush();
+            
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.READY);
+            assert.equal($('#start-btn').disabled, false);
+        });
+
+        it('restores the saved settings', () => {
+            setup('lesson-start-dialog.html');
+            
+            assert.equal(typewriter.config.charsPerTenMins, 600);
+            assert.equal(typewriter.config.msToWait, 1000);
+            assert.equal($('#speed-display').textContent, '600 chars per 10 min');
+        });
+
+        it('saves only its own changes, keeping what another tab saved since', () => {
+            setup('lesson-multi-block.html');
+            page.window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ ...savedSettings(), theme: 'light' }));
+
+            typewriter.setSpeed(700);
+            assert.equal(savedSettings().charsPerTenMins, 700);
+            assert.equal(savedSettings().theme, 'light');
+        });
+
+        it('shows the lesson as completed on the lesson-end page', () => {
+            setup('lesson-end.html');
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.COMPLETED);
+        });
+
+        it('reports unsupported pages without an overlay', () => {
+            setup('lesson-end.html', { url: 'https://example.com/' });
+            
+            assert.equal(typewriter.ui, null);
+            assert.match(typewriter.toastContainer.querySelector('.ui-toast').textContent, /not supported/);
+        });
+    });
+
+    describe('createUI', () => {
+        it('renders the overlay in a closed shadow root', () => {
+            setup('lesson-multi-block.html');
+            const host = page.document.getElementById('auto-typewriter-ui');
+            
+            assert.equal(host.shadowRoot, null);
+            assert.equal(host.childNodes.length, 0);
+            assert.equal(typewriter.ui.getRootNode().host, host);
+            assert.equal(page.document.querySelector('.ui-button, .ui-section, style'), null);
+            assert.match(typewriter.ui.querySelector('style').textContent, /:host \{\s*all: initial;/);
+        });
+
+        it('keeps clicks and keys in the overlay away from the page', () => {
+            setup('lesson-multi-block.html');
+            const seen = [];
+            ['click', 'keydown', 'keypress', 'mousedown'].forEach((type) => {
+                page.document.addEventListener(type, () => seen.push(type));
+            });
+            
+            $('#speed-input').dispatchEvent(new page.window.KeyboardEvent('keydown', { key: '5', bubbles: true, composed: true }));
+            $('#speed-input').dispatchEvent(new page.window.KeyboardEvent('keypress', { key: '5', bubbles: true, composed: true }));
+            ['keydown', 'keypress', 'keyup'].forEach((type) => {
+                $('#history-toggle').dispatchEvent(new page.window.KeyboardEvent(type, { key: ' ', bubbles: true, composed: true }));
+            });
+            $('.ui-header').dispatchEvent(new page.window.MouseEvent('mousedown', { bubbles: true, composed: true }));
+            $('#history-toggle').click();
+            
+            assert.deepEqual(seen, []);
+            assert.equal($('#history-panel').hidden, false);
+        });
+
+        it('shows notifications in a shadow root of their own, in the overlay\'s theme', () => {
+            setup('lesson-multi-block.html');
+            typewriter.toggleTheme();
+            typewriter.showToast('Hello', 'warn');
+            
+            const host = page.document.getElementById('auto-typewriter-toasts');
+            assert.equal(host.shadowRoot, null);
+            assert.equal(page.document.querySelector('.ui-toast, .ui-toasts, style'), null);
+            assert.equal(typewriter.toastContainer.getRootNode().host, host);
+            assert.equal(typewriter.toastContainer.dataset.theme, typewriter.theme);
+            assert.equal(typewriter.toastContainer.querySelector('.ui-toast.warn').textContent, 'Auto Typewriter: Hello');
+            
+            typewriter.closeUI();
+            typewriter.showToast('Still here');
+            assert.equal(typewriter.toastContainer.querySelectorAll('.ui-toast').length, 2);
+        });
+
+        it('keeps clicks on a toast from reaching the page', () => {
+            setup('lesson-multi-block.html');
+            const pageClicks = [];
+            ['click', 'mousedown'].forEach((type) => page.document.addEventListener(type, (e) => pageClicks.push(e.type)));
+            typewriter.showToast('Hello');
+            
+            const toast = typewriter.toastContainer.querySelector('.ui-toast');
+            toast.dispatchEvent(new page.window.MouseEvent('mousedown', { bubbles: true, composed: true }));
+            toast.click();
+            
+            assert.deepEqual(pageClicks, []);
+            assert.equal(typewriter.toastContainer.querySelector('.ui-toast'), null);
+        });
+    });
+
+    describe('startTyping', () => {
+        it('types the lesson at the configured speed until it is done', async () => {
+            const results = setup('lesson-start-dialog.html');
+            closeDialog(typewriter.adapter.findStartDialog());
+            await flush();
+            
+            typewriter.startTyping();
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.TYPING);
+            
+            mock.timers.tick(5000);
+            assert.equal(results.accepted.join(''), 'Das i');
+            
+            mock.timers.tick(12000);
+            await flush();
+            
+            assert.equal(results.accepted.join(''), 'Das ist ein Test.');
+            assert.deepEqual(results.rejected, []);
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.COMPLETED);
+            assert.equal($('#lesson-summary').hidden, false);
+            assert.match($('#lesson-summary').textContent, /17 chars in 00:17/);
+        });
+
+        it('does nothing while the start dialog is open', () => {
+            const results = setup('lesson-start-dialog.html');
+            typewriter.startTyping();
+            mock.timers.tick(5000);
+            
+            assert.equal(typewriter.isRunning, false);
+            assert.deepEqual(results.accepted, []);
+        });
+
+        it('types entities, special whitespace and AltGr characters the site accepts', async () => {
+            const results = setup('lesson-special-characters.html');
+            typewriter.setSpeed(6000);
+            typewriter.startTyping();
+            
+            mock.timers.tick(10000);
+            await flush();
+            
+            assert.equal(results.accepted.join(''), 'Grüße & <Zölle> für 5 € @Büro{1}\nZeilezwei\nEnde');
+            assert.deepEqual(results.rejected, []);
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.COMPLETED);
+        });
+
+        it('reports an invalid schedule instead of starting', () => {
+            setup('lesson-multi-block.html');
+            typewriter.config.profile = { ...typewriter.config.profile, type: 'piecewise', schedule: '[]' };
+            typewriter.startTyping();
+            
+            assert.equal(typewriter.isRunning, false);
+            assert.match($('#speed-error').textContent, /at least one segment/);
+        });
+    });
+
+    describe('startDryRun', () => {
+        it('plans the keys with the same scheduler without sending any', () => {
+            const results = setup('lesson-multi-block.html');
+            const keydown = mock.fn();
+            page.document.addEventListener('keydown', keydown, true);
+            const planned = [];
+            typewriter.on('char', ({ char, dryRun }) => planned.push([char, dryRun]));
+
+            $('#dry-run-btn').click();
+            mock.timers.tick(6000);
+
+            assert.equal(keydown.mock.callCount(), 0);
+            assert.deepEqual(results.accepted, []);
+            assert.deepEqual(planned, [['e', true], ['i', true], ['n', true], ['s', true], [' ', true], ['z', true]]);
+            assert.equal(typewriter.adapter.findCurrentChar(), 'e');
+
+            const entry = typewriter.log.entries.filter((item) => item.message.startsWith('Dry run: ')).pop();
+            assert.equal(entry.message, 'Dry run: "z" → KeyY → body');
+            assert.equal(entry.details.descriptor.code, 'KeyY');
+            assert.equal(entry.details.timestamp, NOW + 6000);
+
+            assert.equal($('#status-text').textContent, 'Running (dry run)');
+            assert.equal($('#simulated-notice').hidden, false);
+            assert.equal($('#planned-key').textContent, '"z" → KeyY → body');
+            assert.equal($('#chars-typed').textContent, '6');
+            assert.match($('#progress-text').textContent, /^6 \/ 14 /);
+        });
+
+        it('stops once every character is planned and keeps the figures marked as simulated', () => {
+            setup('lesson-multi-block.html');
+            assert.equal(typewriter.start({ dryRun: true }), true);
+
+            mock.timers.tick(20000);
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.READY);
+            assert.equal(typewriter.stats.charactersTyped, 14);
+            assert.equal(typewriter.getStatus().isDryRun, true);
+            assert.equal(typewriter.history.runs.length, 0);
+            assert.equal($('#simulated-notice').hidden, false);
+            assert.match(typewriter.toastContainer.querySelector('.ui-toast').textContent, /Dry run finished, 14 chars planned/);
+
+            typewriter.startTyping();
+            assert.equal($('#simulated-notice').hidden, true);
+            assert.equal($('#planned-key-stat').hidden, true);
+        });
+    });
+
+    describe('typeNextCharacter', () => {
+        it('types the current character into the page', () => {
+            const results = setup('lesson-multi-block.html');
+            
+            assert.equal(typewriter.typeNextCharacter(), true);
+            assert.equal(typewriter.stats.charactersTyped, 1);
+            assert.deepEqual(results.accepted, ['e']);
+        });
+
+        it('moves on through every block', () => {
+            const results = setup('lesson-multi-block.html');
+            while (typewriter.typeNextCharacter()) {
+                // Type until nothing is left
+            }
+            
+            assert.equal(results.accepted.join(''), 'eins zwei zehn');
+        });
+
+        it('returns false when there is nothing to type', () => {
+            setup('lesson-end.html');
+            assert.equal(typewriter.typeNextCharacter(), false);
+        });
+
+        it('stops with an error when typing fails', () => {
+            setup('lesson-multi-block.html');
+            typewriter.startTyping();
+            typewriter.adapter.findInputTarget = () => {
+                throw new Error('boom');
+            };
+            
+            assert.equal(typewriter.typeNextCharacter(), false);
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.ERROR);
+            assert.equal($('#lesson-summary').textContent, 'Stopped: Typing failed: boom');
+            assert.ok(typewriter.log.getEntries('error').length > 0);
+        });
+    });
+
+    describe('stop', () => {
+        it('stops typing and goes back to ready', () => {
+            const results = setup('lesson-multi-block.html');
+            typewriter.startTyping();
+            mock.timers.tick(3000);
+            typewriter.stop();
+            mock.timers.tick(3000);
+            
+            assert.equal(results.accepted.length, 3);
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.READY);
+            assert.equal($('#stop-btn').disabled, true);
+            assert.equal($('#start-btn').disabled, false);
+        });
+
+        it('stops with an error when the lesson is replaced', async () => {
+            setup('lesson-multi-block.html');
+            typewriter.startTyping();
+            mock.timers.tick(2000);
+            
+            page.document.querySelector('.lesson').innerHTML = '<div id="text_todo_1">neu</div>';
+            await flush();
+            
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.ERROR);
+            assert.match(typewriter.lifecycle.reason, /replaced/);
+        });
+    });
+
+    describe('togglePause', () => {
+        it('pauses and resumes without counting the pause', () => {
+            const results = setup('lesson-multi-block.html');
+            typewriter.startTyping();
+            mock.timers.tick(2000);
+            
+            typewriter.togglePause();
+            assert.equal($('#pause-btn').textContent, 'Resume');
+            mock.timers.tick(10000);
+            assert.equal(results.accepted.length, 2);
+            
+            typewriter.togglePause();
+            mock.timers.tick(1000);
+            assert.equal(results.accepted.length, 3);
+            assert.equal(typewriter.scheduler.getDeviation().chars, 0);
+        });
+    });
+
+    describe('setSpeed', () => {
+        it('updates the speed field and keeps the other edits pending in the settings panel', () => {
+            setup('lesson-multi-block.html');
+            $('#profile-select').value = 'ramp';
+            $('#layout-select').value = 'de-CH';
+
+            typewriter.setSpeed(900);
+            assert.equal($('#speed-input').value, '900');
+            assert.equal($('#profile-select').value, 'ramp');
+            assert.equal($('#layout-select').value, 'de-CH');
+            assert.equal(typewriter.config.profile.type, 'constant');
+        });
+
+        it('reports the profile type in the status, also while typing', () => {
+            setup('lesson-multi-block.html');
+            typewriter.config.profile = { ...typewriter.config.profile, type: 'ramp' };
+            assert.equal(typewriter.getStatus().profile, 'ramp');
+
+            typewriter.startTyping();
+            assert.equal(typewriter.getStatus().profile, 'ramp');
+        });
+
+        it('keeps a running ramp-up where it is on the ramp', () => {
+            const results = setup('lesson-multi-block.html');
+            typewriter.config.profile = { ...typewriter.config.profile, type: 'ramp', rampMinutes: 0.1 };
+            typewriter.startTyping();
+            mock.timers.tick(13000);
+            const typed = results.accepted.length;
+
+            typewriter.speedUp();
+            assert.equal(typewriter.scheduler.getElapsed(), 13000);
+            assert.equal($('#speed-display').textContent, '700 chars per 10 min');
+            assert.equal($('#profile-display').textContent, 'Ramp-up · target of 700 reached');
+            assert.equal(results.accepted.length, typed);
+
+            mock.timers.tick(1000);
+            assert.equal(results.accepted.length, typed + 1);
+        });
+
+        it('leaves a running schedule or deadline alone', () => {
+            setup('lesson-multi-block.html');
+            const schedule = JSON.stringify([{ charsPerTenMins: 600, minutes: 0.05 }, { charsPerTenMins: 1200 }]);
+            typewriter.config.profile = { ...typewriter.config.profile, type: 'piecewise', schedule };
+            typewriter.startTyping();
+            mock.timers.tick(5000);
+
+            typewriter.setSpeed(700);
+            assert.equal(typewriter.scheduler.getElapsed(), 5000);
+            assert.equal($('#profile-display').textContent, 'Schedule · segment 2/2 at 1,200');
+
+            typewriter.stop();
+            typewriter.config.profile = { ...typewriter.config.profile, type: 'deadline', deadlineMinutes: 1 };
+            typewriter.startTyping();
+            mock.timers.tick(10000);
+
+            typewriter.setSpeed(800);
+            assert.equal(typewriter.scheduler.getElapsed(), 10000);
+        });
+    });
+
+    describe('programmatic API', () => {
+        it('lets instances created from code run side by side', () => {
+            setup('lesson-multi-block.html');
+            const states = [];
+            typewriter.on('state', ({ state }) => states.push(state));
+
+            const second = new AutoTypewriter({ isTrustedEvent });
+            try {
+                second.init();
+                typewriter.startDryRun();
+
+                assert.equal(typewriter.isAttached, true);
+                assert.equal(second.isAttached, true);
+                assert.equal(page.document.querySelectorAll('#auto-typewriter-ui').length, 2);
+                assert.deepEqual(states, [LESSON_STATES.TYPING]);
+                assert.equal(second.lifecycle.state, LESSON_STATES.READY);
+            } finally {
+                second.destroy();
+            }
+        });
+
+        it('controls a session and reports it through events', async () => {
+            const results = setup('lesson-start-dialog.html');
+            const states = [];
+            const chars = [];
+            const completions = [];
+            typewriter.on('state', ({ state }) => states.push(state));
+            typewriter.on('char', ({ char }) => chars.push(char));
+            typewriter.on('complete', (summary) => completions.push(summary));
+            
+            assert.equal(typewriter.start(), false);
+            closeDialog(typewriter.adapter.findStartDialog());
+            await flush();
+            
+            typewriter.setSpeed(6000);
+            assert.equal(typewriter.start(), true);
+            mock.timers.tick(500);
+            
+            typewriter.pause();
+            const status = typewriter.getStatus();
+            assert.equal(status.isPaused, true);
+            assert.equal(status.currentChar, 's');
+            assert.equal(status.progress.position, 5);
+            
+            typewriter.resume();
+            mock.timers.tick(2000);
+            await flush();
+            
+            assert.equal(results.accepted.join(''), 'Das ist ein Test.');
+            assert.equal(chars.join(''), 'Das ist ein Test.');
+            assert.deepEqual(states, [
+                LESSON_STATES.READY,
+                LESSON_STATES.TYPING,
+                LESSON_STATES.PAUSED,
+                LESSON_STATES.TYPING,
+                LESSON_STATES.COMPLETED
+            ]);
+            assert.equal(completions.length, 1);
+            assert.equal(completions[0].charactersTyped, 17);
+        });
+
+        it('rejects speeds outside the supported range', () => {
+            setup('lesson-multi-block.html');
+            
+            assert.throws(() => typewriter.setSpeed(20000), /Speed must be between/);
+            assert.equal(typewriter.config.charsPerTenMins, 600);
+            
+            typewriter.setSpeed(1200);
+            assert.equal(typewriter.config.msToWait, 500);
+            assert.equal($('#speed-input').value, '1200');
+            assert.equal(JSON.parse(page.window.localStorage.getItem(SETTINGS_STORAGE_KEY)).charsPerTenMins, 1200);
+        });
+
+        it('reports errors and unsubscribes listeners', () => {
+            page = loadFixture('lesson-end.html', { url: 'https://example.com/' });
+            typewriter = new AutoTypewriter();
+            const errors = [];
+            const unsubscribe = typewriter.on('error', ({ message }) => errors.push(message));
+            
+            typewriter.init();
+            unsubscribe();
+            typewriter.init();
+            
+            assert.equal(errors.length, 1);
+            assert.match(errors[0], /not supported/);
+            assert.throws(() => typewriter.on('finished', () => {}), /Unknown event/);
+        });
+
+        it('removes the overlay and its listeners on destroy', () => {
+            setup('lesson-multi-block.html');
+            const states = [];
+            typewriter.on('state', ({ state }) => states.push(state));
+            typewriter.start();
+            
+            typewriter.destroy();
+            typewriter.lifecycle.transition(LESSON_STATES.ERROR, 'after destroy');
+            
+            assert.equal(page.document.getElementById('auto-typewriter-ui'), null);
+            assert.deepEqual(states, [LESSON_STATES.TYPING, LESSON_STATES.READY]);
+        });
+    });
+
+    describe('destroy', () => {
+        it('leaves no timers, listeners or observers behind', () => {
+            page = loadFixture('lesson-multi-block.html');
+            page.window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: 1, charsPerTenMins: 600 }));
+            const results = simulateLessonPage(page.document);
+            const resources = trackResources();
+            
+            typewriter = new AutoTypewriter();
+            typewriter.init();
+            typewriter.start();
+            typewriter.showToast('Still shown');
+            mock.timers.tick(2000);
+            
+            typewriter.destroy();
+            typewriter.destroy();
+            
+            assert.deepEqual(resources.active(), { timers: 0, listeners: [], observers: 0 });
+            assert.equal(page.document.getElementById('auto-typewriter-ui'), null);
+            assert.equal(page.document.getElementById('auto-typewriter-toasts'), null);
+            
+            mock.timers.tick(10000);
+            assert.equal(results.accepted.length, 2);
+        });
+
+        it('can be set up again afterwards', () => {
+            setup('lesson-multi-block.html');
+            typewriter.destroy();
+            typewriter.init();
+            typewriter.init();
+            
+            assert.equal(typewriter.isAttached, true);
+            assert.equal(page.document.querySelectorAll('#auto-typewriter-ui').length, 1);
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.READY);
+        });
+    });
+
+    describe('session history', () => {
+        it('records completed runs with the lesson id and the rejected keys', async () => {
+            const results = setup('lesson-start-dialog.html');
+            closeDialog(typewriter.adapter.findStartDialog());
+            await flush();
+            
+            // The first key sent is a wrong one
+            const { keySynthesizer } = typewriter;
+            const type = keySynthesizer.type.bind(keySynthesizer);
+            mock.method(keySynthesizer, 'type', type);
+            keySynthesizer.type.mock.mockImplementationOnce((char, ...args) => type('x', ...args));
+            
+            typewriter.start();
+            mock.timers.tick(19000);
+            await flush();
+            
+            assert.deepEqual(results.rejected, ['x']);
+            const [run] = typewriter.history.runs;
+            assert.equal(run.lessonId, '1083');
+            assert.equal(run.charsPerTenMins, 600);
+            assert.equal(run.charactersTyped, 18);
+            assert.equal(run.errors, 1);
+            assert.equal(JSON.parse(page.window.localStorage.getItem(HISTORY_STORAGE_KEY)).runs.length, 1);
+        });
+
+        it('records no configured speed for a deadline run', async () => {
+            setup('lesson-start-dialog.html');
+            closeDialog(typewriter.adapter.findStartDialog());
+            await flush();
+            typewriter.config.profile = { ...typewriter.config.profile, type: 'deadline', deadlineMinutes: 1 };
+            typewriter.startTyping();
+            mock.timers.tick(61000);
+            await flush();
+
+            const [run] = typewriter.history.runs;
+            assert.equal(run.profile, 'deadline');
+            assert.equal(run.charsPerTenMins, null);
+            typewriter.toggleHistory();
+            assert.equal($('#history-runs td:nth-child(3)').textContent, '-');
+        });
+
+        it('shows the runs in sortable tables', () => {
+            page = loadFixture('lesson-multi-block.html');
+            const runs = [500, 700].map((achievedCharsPerTenMins, i) => ({
+                completedAt: NOW + i * 60000,
+                lessonId: String(1083 + i),
+                profile: 'constant',
+                charsPerTenMins: 600,
+                achievedCharsPerTenMins,
+                durationMs: 17000,
+                charactersTyped: 17,
+                errors: 0
+            }));
+            page.window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ version: 1, runs }));
+            typewriter = new AutoTypewriter();
+            typewriter.init();
+            
+            assert.equal($('#history-toggle').textContent, '▸ History (2)');
+            typewriter.toggleHistory();
+            
+            const column = (table, index) => Array.from($(`#history-${table}`).querySelectorAll('td:nth-child(' + index + ')'))
+                .map((cell) => cell.textContent);
+            assert.deepEqual(column('lessons', 1), ['1083', '1084']);
+            assert.deepEqual(column('runs', 4), ['700', '500']);
+            assert.equal($('#history-sparkline polyline').getAttribute('points'), '0.0,28.0 100.0,2.0');
+            
+            $('#history-runs th[data-sort="achievedCharsPerTenMins"]').click();
+            assert.deepEqual(column('runs', 4), ['700', '500']);
+            $('#history-runs th[data-sort="achievedCharsPerTenMins"]').click();
+            assert.deepEqual(column('runs', 4), ['500', '700']);
+            assert.equal($('#history-runs th[aria-sort]').textContent, 'Typed ▴');
+            
+            assert.match(typewriter.history.toCSV(), /^completedAt,lessonId/);
+            typewriter.clearHistory();
+            assert.equal($('#history-toggle').textContent, '▾ History (0)');
+            assert.equal($('#history-empty').hidden, false);
+        });
+    });
+
+    describe('updateStats', () => {
+        it('shows the characters typed, the time running and the speed', () => {
+            setup('lesson-multi-block.html');
+            typewriter.startTyping();
+            mock.timers.tick(6000);
+            
+            assert.equal($('#status-text').textContent, 'Running');
+            assert.equal($('#chars-typed').textContent, '6');
+            assert.equal($('#time-running').textContent, '00:06');
+            assert.equal($('#current-speed').textContent, '60/min');
+            assert.equal($('#speed-deviation').textContent, '0 chars (0.0%)');
+        });
+
+        it('shows the progress through the lesson and when it will be finished', () => {
+            setup('lesson-multi-block.html');
+            const { total } = typewriter.textReader.getProgress();
+            typewriter.setSpeed(1200);
+            typewriter.startTyping();
+            mock.timers.tick(5000);
+            
+            assert.equal($('#progress-text').textContent, `10 / ${total} (${Math.floor((10 / total) * 100)}%)`);
+            assert.equal($('#remaining-chars').textContent, `${total - 10} chars`);
+            assert.equal($('#lesson-progress').getAttribute('aria-valuenow'), String(Math.floor((10 / total) * 100)));
+            assert.equal($('#recent-speed').textContent, '120/min');
+            
+            // 120 chars per minute for the rest of the lesson
+            const remainingMs = (total - 10) * 500;
+            assert.match($('#eta').textContent, new RegExp(`\\(in ${formatDuration(remainingMs)}\\)$`));
+            
+            typewriter.togglePause();
+            assert.equal($('#eta').textContent, '-');
+            assert.equal($('#recent-speed').textContent, '0/min');
+        });
+
+        it('resets the running figures once stopped', () => {
+            setup('lesson-multi-block.html');
+            typewriter.startTyping();
+            mock.timers.tick(3000);
+            typewriter.stop();
+            
+            assert.equal($('#time-running').textContent, '00:00');
+            assert.equal($('#current-speed').textContent, '0/min');
+            assert.equal($('#speed-deviation').textContent, '-');
+        });
+    });
+
+    describe('toggleTheme', () => {
+        it('follows the system theme until one is picked, then cycles through the themes', () => {
+            setup('lesson-multi-block.html');
+            assert.equal(typewriter.ui.dataset.theme, 'system');
+            assert.match(typewriter.ui.querySelector('style').textContent, /@media \(prefers-color-scheme: light\)/);
+            
+            const picked = ['dark', 'light', 'high-contrast', 'system'].map(() => {
+                $('.ui-theme-toggle').click();
+                return [typewriter.ui.dataset.theme, savedSettings().theme];
+            });
+            assert.deepEqual(picked, [
+                ['dark', 'dark'],
+                ['light', 'light'],
+                ['high-contrast', 'high-contrast'],
+                ['system', 'system']
+            ]);
+            assert.equal($('.ui-theme-toggle').title, 'Theme: System (click for Dark)');
+        });
+
+        it('colors everything through custom properties instead of inline styles', () => {
+            setup('lesson-multi-block.html');
+            $('.ui-theme-toggle').click();
+            
+            const styled = Array.from(typewriter.ui.querySelectorAll('[style]'))
+                .filter((element) => /color|background/.test(element.getAttribute('style')));
+            assert.deepEqual(styled, []);
+        });
+
+        it('applies and saves a custom accent color', () => {
+            setup('lesson-multi-block.html');
+            assert.equal($('#accent-input').value, '#4caf50');
+            
+            $('#accent-input').value = '#ff00aa';
+            $('#accent-input').dispatchEvent(new page.window.Event('change', { bubbles: true }));
+            assert.equal(typewriter.ui.style.getPropertyValue('--at-accent'), '#ff00aa');
+            assert.equal(savedSettings().accentColor, '#ff00aa');
+            
+            $('#reset-accent-btn').click();
+            assert.equal(typewriter.ui.style.getPropertyValue('--at-accent'), '');
+            assert.equal(savedSettings().accentColor, '');
+        });
+    });
+
+    describe('accessibility', () => {
+        it('gives the overlay and every control a name', () => {
+            setup('lesson-multi-block.html');
+            const root = typewriter.ui.getRootNode();
+            
+            assert.equal(typewriter.ui.getAttribute('role'), 'region');
+            assert.equal(root.getElementById(typewriter.ui.getAttribute('aria-labelledby')).textContent, '🤖 Auto Typewriter');
+            assert.equal($('.ui-theme-toggle').getAttribute('aria-label'), 'Theme: System');
+            assert.equal($('.ui-minimize').getAttribute('aria-label'), 'Minimize');
+            assert.equal($('.ui-close').getAttribute('aria-label'), 'Close');
+            
+            typewriter.ui.querySelectorAll('button').forEach((button) => {
+                assert.ok(button.getAttribute('aria-label') || button.textContent.trim(), button.outerHTML);
+            });
+            typewriter.ui.querySelectorAll('.ui-input').forEach((input) => {
+                assert.ok(root.querySelector(`label[for="${input.id}"]`), input.outerHTML);
+            });
+        });
+
+        it('keeps Enter and Space on a focused overlay button from the page', () => {
+            const results = setup('lesson-multi-block.html');
+            const seen = [];
+            ['keydown', 'keypress', 'keyup'].forEach((type) => {
+                page.window.addEventListener(type, (e) => seen.push(`${type} ${e.key}`));
+            });
+
+            const button = $('#history-toggle');
+            button.focus();
+            assert.equal(typewriter.ui.getRootNode().activeElement, button);
+            [['Enter', 'Enter'], ['Space', ' ']].forEach(([code, key]) => {
+                ['keydown', 'keypress', 'keyup'].forEach((type) => {
+                    dispatchTrusted(button, new page.window.KeyboardEvent(type, { code, key, bubbles: true, cancelable: true, composed: true }));
+                });
+            });
+
+            assert.deepEqual(seen, []);
+            assert.deepEqual(results.accepted, []);
+            assert.deepEqual(results.rejected, []);
+        });
+
+        it('announces state changes and the completed lesson', async () => {
+            setup('lesson-start-dialog.html');
+            const live = $('#live-status');
+            assert.equal(live.getAttribute('aria-live'), 'polite');
+            assert.equal(live.textContent, 'Waiting for start');
+            
+            closeDialog(typewriter.adapter.findStartDialog());
+            await flush();
+            assert.equal(live.textContent, 'Ready');
+            
+            typewriter.startTyping();
+            assert.equal(live.textContent, 'Running');
+            
+            mock.timers.tick(17000);
+            await flush();
+            assert.match(live.textContent, /^Lesson completed: 17 chars in 00:17/);
+        });
+
+        it('restores the minimized overlay with its button, also from the keyboard', () => {
+            setup('lesson-multi-block.html');
+            
+            $('.ui-minimize').click();
+            assert.ok(typewriter.isMinimized);
+            assert.equal($('.ui-minimize').getAttribute('aria-label'), 'Restore Auto Typewriter');
+            
+            // Clicking the circle anywhere else than the button used to leave it stuck
+            $('.ui-title').click();
+            assert.ok(typewriter.isMinimized);
+            
+            $('.ui-minimize').dispatchEvent(new page.window.MouseEvent('click', { bubbles: true, detail: 0 }));
+            assert.ok(!typewriter.isMinimized);
+            assert.equal($('.ui-minimize').getAttribute('aria-label'), 'Minimize');
+            assert.equal(savedSettings().minimized, false);
+        });
+
+        it('does not restore the minimized overlay at the end of dragging it', () => {
+            setup('lesson-multi-block.html');
+            $('.ui-minimize').click();
+            $('.ui-header').setPointerCapture = mock.fn();
+            const pointer = (type, clientX) => {
+                const event = new page.window.MouseEvent(type, { bubbles: true, cancelable: true, clientX, clientY: 10 });
+                Object.defineProperties(event, { pointerId: { value: 1 }, isPrimary: { value: true } });
+                $('.ui-minimize').dispatchEvent(event);
+            };
+            
+            pointer('pointerdown', 100);
+            pointer('pointermove', 60);
+            pointer('pointerup', 60);
+            $('.ui-minimize').dispatchEvent(new page.window.MouseEvent('click', { bubbles: true, detail: 1 }));
+            assert.ok(typewriter.isMinimized);
+            assert.equal(typewriter.position.x, -40);
+            
+            // A click that didn't move does restore
+            pointer('pointerdown', 60);
+            pointer('pointerup', 61);
+            $('.ui-minimize').dispatchEvent(new page.window.MouseEvent('click', { bubbles: true, detail: 1 }));
+            assert.ok(!typewriter.isMinimized);
+        });
+
+        it('gives the focus back to the page after starting, pausing and stopping', async () => {
+            setup('lesson-start-dialog.html');
+            closeDialog(typewriter.adapter.findStartDialog());
+            await flush();
+            const field = page.document.createElement('input');
+            page.document.body.appendChild(field);
+            field.focus();
+            
+            $('#start-btn').focus();
+            assert.equal(page.document.activeElement, typewriter.host);
+            $('#start-btn').click();
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.TYPING);
+            assert.equal(page.document.activeElement, field);
+            
+            $('#pause-btn').focus();
+            $('#pause-btn').click();
+            assert.equal(page.document.activeElement, field);
+            
+            // Other buttons keep the focus, e.g. to go on through the settings with the keyboard
+            $('#apply-settings-btn').focus();
+            $('#apply-settings-btn').click();
+            assert.equal(page.document.activeElement, typewriter.host);
+        });
+
+        it('marks expanded sections, invalid fields and sortable columns', () => {
+            setup('lesson-multi-block.html');
+            
+            assert.equal($('#log-toggle').getAttribute('aria-expanded'), 'false');
+            $('#log-toggle').click();
+            assert.equal($('#log-toggle').getAttribute('aria-expanded'), 'true');
+            
+            $('#speed-input').value = '0';
+            $('#apply-settings-btn').click();
+            assert.equal($('#speed-input').getAttribute('aria-invalid'), 'true');
+            assert.equal($('#speed-input').getAttribute('aria-describedby'), 'speed-error');
+            assert.equal($('#speed-error').getAttribute('role'), 'alert');
+            
+            $('#speed-input').value = '700';
+            $('#apply-settings-btn').click();
+            assert.equal($('#speed-input').hasAttribute('aria-invalid'), false);
+            
+            $('#history-toggle').click();
+            const sortButton = $('#history-lessons th[data-sort="runs"] button');
+            assert.equal(sortButton.textContent, 'Runs');
+            sortButton.click();
+            assert.equal($('#history-lessons th[data-sort="runs"]').getAttribute('aria-sort'), 'descending');
+        });
+    });
+
+    describe('localization', () => {
+        const pickLocale = (locale) => {
+            $('#locale-select').value = locale;
+            $('#apply-settings-btn').click();
+        };
+
+        it('follows the browser language until one is picked', () => {
+            page = loadFixture('lesson-multi-block.html');
+            Object.defineProperty(page.window.navigator, 'languages', { value: ['de-AT', 'en'] });
+            simulateLessonPage(page.document);
+            typewriter = new AutoTypewriter();
+            typewriter.init();
+
+            assert.equal(typewriter.ui.lang, 'de');
+            assert.equal($('#locale-select').value, 'auto');
+            assert.equal($('#locale-auto-option').textContent, 'Automatisch (Deutsch)');
+            assert.equal($('#start-btn').textContent.trim(), 'Tippen starten');
+
+            pickLocale('en');
+            assert.equal(typewriter.ui.lang, 'en');
+            assert.equal($('#start-btn').textContent.trim(), 'Start Typing');
+            assert.equal(savedSettings().locale, 'en');
+        });
+
+        it('translates the overlay and formats the statistics for the language', () => {
+            setup('lesson-multi-block.html');
+            typewriter.setSpeed(1200);
+            pickLocale('de');
+
+            assert.equal(savedSettings().locale, 'de');
+            assert.equal($('.ui-close').getAttribute('aria-label'), 'Schließen');
+            assert.equal($('.ui-theme-toggle').title, 'Design: System (klicken für Dunkel)');
+            assert.equal($('label[for="hotkey-speedUp"]').textContent, 'Schneller');
+            assert.equal($('#hotkey-stop').placeholder, 'Keines');
+            assert.equal($('#history-toggle').textContent, '▸ Verlauf (0)');
+            assert.equal($('#speed-display').textContent, '1.200 Zeichen pro 10 Min.');
+
+            typewriter.startTyping();
+            mock.timers.tick(5000);
+            const { total } = typewriter.textReader.getProgress();
+            assert.equal($('#status-text').textContent, 'Läuft');
+            assert.equal($('#pause-btn').textContent, 'Pause');
+            assert.equal($('#remaining-chars').textContent, `${total - 10} Zeichen`);
+            assert.equal($('#speed-deviation').textContent, '0 Zeichen (0,0 %)');
+            assert.match($('#eta').textContent, /^\d\d:\d\d Uhr \(in \d\d:\d\d\)$/);
+
+            $('#speed-input').value = 'schnell';
+            $('#apply-settings-btn').click();
+            assert.equal($('#speed-error').textContent, 'Bitte eine ganze Zahl eingeben.');
+        });
+    });
+
+    describe('handleHotkey', () => {
+        // Press and release a key on the lesson as the user would, returns the key events the page saw
+        const press = (target, init) => {
+            const seen = [];
+            const record = (e) => seen.push(e.type);
+            ['keydown', 'keypress', 'keyup'].forEach((type) => page.document.addEventListener(type, record));
+            
+            ['keydown', 'keypress', 'keyup'].forEach((type) => {
+                dispatchTrusted(target, new page.window.KeyboardEvent(type, { bubbles: true, cancelable: true, composed: true, ...init }));
+            });
+            
+            ['keydown', 'keypress', 'keyup'].forEach((type) => page.document.removeEventListener(type, record));
+            return seen;
+        };
+        const altShift = (code, key) => ({ code, key, altKey: true, shiftKey: true });
+
+        it('runs the action of a shortcut without the page seeing its keys', async () => {
+            const results = setup('lesson-start-dialog.html');
+            closeDialog(typewriter.adapter.findStartDialog());
+            await flush();
+            const lesson = typewriter.adapter.findInputTarget();
+            
+            assert.deepEqual(press(lesson, altShift('KeyS', 'S')), []);
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.TYPING);
+            
+            assert.deepEqual(press(lesson, altShift('KeyP', 'P')), []);
+            assert.equal(typewriter.isPaused, true);
+            
+            assert.deepEqual(press(lesson, altShift('KeyX', 'X')), []);
+            assert.equal(typewriter.isRunning, false);
+            assert.deepEqual(results.accepted, []);
+            assert.deepEqual(results.rejected, []);
+        });
+
+        it('ignores untrusted events such as the keys it types itself', async () => {
+            setup('lesson-start-dialog.html');
+            closeDialog(typewriter.adapter.findStartDialog());
+            await flush();
+            const seen = [];
+            page.document.addEventListener('keydown', (e) => seen.push(e.code));
+            
+            const event = new page.window.KeyboardEvent('keydown', { bubbles: true, ...altShift('KeyS', 'S') });
+            page.document.body.dispatchEvent(event);
+            
+            assert.deepEqual(seen, ['KeyS']);
+            assert.equal(typewriter.lifecycle.state, LESSON_STATES.READY);
+            assert.equal(new AutoTypewriter().isTrustedEvent(event), false);
+        });
+
+        it('leaves other keys to the page', () => {
+            setup('lesson-multi-block.html');
+            
+            assert.deepEqual(press(page.document.body, { code: 'KeyS', key: 's' }), ['keydown', 'keypress', 'keyup']);
+            assert.deepEqual(press(page.document.body, { code: 'KeyQ', key: 'Q', altKey: true, shiftKey: true }), ['keydown', 'keypress', 'keyup']);
+        });
+
+        it('changes the speed while the shortcut is held, and minimizes only once', () => {
+            setup('lesson-multi-block.html');
+            const body = page.document.body;
+            
+            press(body, altShift('ArrowUp', 'ArrowUp'));
+            dispatchTrusted(body, new page.window.KeyboardEvent('keydown', { bubbles: true, repeat: true, ...altShift('ArrowUp', 'ArrowUp') }));
+            assert.equal(typewriter.config.charsPerTenMins, 800);
+            assert.equal(savedSettings().charsPerTenMins, 800);
+            
+            press(body, altShift('ArrowDown', 'ArrowDown'));
+            assert.equal(typewriter.config.charsPerTenMins, 700);
+            
+            dispatchTrusted(body, new page.window.KeyboardEvent('keydown', { bubbles: true, ...altShift('KeyM', 'M') }));
+            dispatchTrusted(body, new page.window.KeyboardEvent('keydown', { bubbles: true, repeat: true, ...altShift('KeyM', 'M') }));
+            assert.ok(typewriter.ui.classList.contains('ui-minimized'));
+        });
+
+        it('says so instead of stepping the speed when the profile sets its own', () => {
+            setup('lesson-multi-block.html');
+            typewriter.config.profile = { ...typewriter.config.profile, type: 'deadline' };
+
+            assert.deepEqual(press(page.document.body, altShift('ArrowUp', 'ArrowUp')), []);
+            assert.equal(typewriter.config.charsPerTenMins, 600);
+            assert.equal(typewriter.toastContainer.querySelector('.ui-toast.warn').textContent,
+                'Auto Typewriter: The Deadline profile sets its own speed, change it in the settings.');
+        });
+
+        it('records new shortcuts in the settings panel', () => {
+            setup('lesson-multi-block.html');
+            const input = $('#hotkey-minimize');
+            assert.equal(input.value, 'Alt+Shift+M');
+            
+            // The keys pressed in the field set the shortcut instead of running one
+            input.focus();
+            press(input, { code: 'KeyK', key: 'k', ctrlKey: true, altKey: true });
+            assert.equal(input.value, 'Ctrl+Alt+K');
+            press(input, altShift('KeyM', 'M'));
+            assert.equal(input.value, 'Alt+Shift+M');
+            assert.ok(!typewriter.ui.classList.contains('ui-minimized'));
+            
+            press(input, { code: 'KeyK', key: 'k', ctrlKey: true, altKey: true });
+            $('#apply-settings-btn').click();
+            assert.equal(savedSettings().hotkeys.minimize, 'Ctrl+Alt+K');
+            
+            press(page.document.body, altShift('KeyM', 'M'));
+            assert.ok(!typewriter.ui.classList.contains('ui-minimized'));
+            press(page.document.body, { code: 'KeyK', key: 'k', ctrlKey: true, altKey: true });
+            assert.ok(typewriter.ui.classList.contains('ui-minimized'));
+        });
+
+        it('removes a shortcut with Backspace and rejects one used twice', () => {
+            setup('lesson-multi-block.html');
+            
+            $('#hotkey-stop').focus();
+            press($('#hotkey-stop'), { code: 'Backspace', key: 'Backspace' });
+            assert.equal($('#hotkey-stop').value, '');
+            
+            $('#hotkey-minimize').focus();
+            press($('#hotkey-minimize'), altShift('KeyS', 'S'));
+            $('#apply-settings-btn').click();
+            
+            assert.equal($('#speed-error').textContent, 'Alt+Shift+S is used for both Start and Minimize.');
+            assert.ok($('#hotkey-minimize').classList.contains('invalid'));
+            assert.equal(typewriter.config.hotkeys.minimize, 'Alt+Shift+M');
+            
+            $('#hotkey-minimize').focus();
+            press($('#hotkey-minimize'), { code: 'Delete', key: 'Delete' });
+            $('#apply-settings-btn').click();
+            assert.equal(typewriter.config.hotkeys.stop, '');
+            assert.equal(typewriter.config.hotkeys.minimize, '');
+        });
+    });
+
+    describe('setupDrag', () => {
+        // jsdom has neither layout nor Pointer Events: give the overlay the box it has at its
+        // default spot in a 1024x768 window, and dispatch mouse events carrying a pointer id
+        const layout = () => {
+            Object.defineProperties(typewriter.ui, {
+                offsetLeft: { configurable: true, get: () => page.window.innerWidth - 320 },
+                offsetTop: { configurable: true, value: 20 },
+                offsetWidth: { configurable: true, value: 300 },
+                offsetHeight: { configurable: true, value: 400 }
+            });
+            $('.ui-header').setPointerCapture = mock.fn();
+        };
+        const pointer = (target, type, clientX, clientY) => {
+            const event = new page.window.MouseEvent(type, { bubbles: true, cancelable: true, composed: true, clientX, clientY });
+            Object.defineProperties(event, { pointerId: { value: 1 }, isPrimary: { value: true } });
+            target.dispatchEvent(event);
+            return event;
+        };
+        const drag = (fromX, fromY, toX, toY) => {
+            pointer($('.ui-header'), 'pointerdown', fromX, fromY);
+            pointer($('.ui-header'), 'pointermove', toX, toY);
+            pointer($('.ui-header'), 'pointerup', toX, toY);
+        };
+
+        it('moves the overlay with a pointer and remembers the position', () => {
+            setup('lesson-multi-block.html');
+            layout();
+            const header = $('.ui-header');
+            
+            const down = pointer(header, 'pointerdown', 800, 40);
+            assert.equal(down.defaultPrevented, true);
+            assert.deepEqual(header.setPointerCapture.mock.calls[0].arguments, [1]);
+            assert.ok(typewriter.ui.classList.contains('ui-dragging'));
+            
+            pointer(header, 'pointermove', 670, 120);
+            pointer(header, 'pointerup', 670, 120);
+            
+            assert.equal(typewriter.ui.style.transform, 'translate3d(-130px, 80px, 0)');
+            assert.ok(!typewriter.ui.classList.contains('ui-dragging'));
+            assert.deepEqual(savedSettings().position, { x: -130, y: 80 });
+        });
+
+        it('does not start dragging from the header buttons', () => {
+            setup('lesson-multi-block.html');
+            layout();
+            
+            pointer($('.ui-minimize'), 'pointerdown', 100, 100);
+            pointer($('.ui-header'), 'pointermove', 200, 200);
+            
+            assert.deepEqual(typewriter.position, { x: 0, y: 0 });
+            assert.equal($('.ui-header').setPointerCapture.mock.callCount(), 0);
+        });
+
+        it('keeps the overlay inside the viewport while dragging', () => {
+            setup('lesson-multi-block.html');
+            layout();
+            
+            pointer($('.ui-header'), 'pointerdown', 800, 40);
+            pointer($('.ui-header'), 'pointermove', -500, -300);
+            assert.deepEqual(typewriter.position, { x: -704, y: -20 });
+            
+            pointer($('.ui-header'), 'pointermove', 2000, 2000);
+            assert.deepEqual(typewriter.position, { x: 20, y: 348 });
+        });
+
+        it('snaps to the edges it is released near', () => {
+            setup('lesson-multi-block.html');
+            layout();
+            
+            // Released 10px from the left edge and 30px from the bottom: the bottom left corner
+            drag(800, 40, 106, 358);
+            assert.deepEqual(typewriter.position, { x: -684, y: 328 });
+            assert.deepEqual(savedSettings().position, { x: -684, y: 328 });
+            
+            // Away from the edges the overlay stays where it was dropped
+            drag(100, 400, 400, 200);
+            assert.deepEqual(typewriter.position, { x: -384, y: 128 });
+        });
+
+        it('moves back into a window that got smaller', () => {
+            setup('lesson-multi-block.html');
+            layout();
+            drag(800, 40, 200, 100);
+            assert.deepEqual(typewriter.position, { x: -600, y: 60 });
+            
+            page.window.innerWidth = 500;
+            page.window.dispatchEvent(new page.window.Event('resize'));
+            
+            assert.deepEqual(typewriter.position, { x: -180, y: 60 });
+            assert.equal(typewriter.ui.style.transform, 'translate3d(-180px, 60px, 0)');
+        });
+
+        it('moves the overlay back to its default spot', () => {
+            setup('lesson-multi-block.html');
+            layout();
+            drag(800, 40, 670, 120);
+            
+            $('#reset-position-btn').click();
+            
+            assert.equal(typewriter.ui.style.transform, 'translate3d(0px, 0px, 0)');
+            assert.deepEqual(savedSettings().position, { x: 0, y: 0 });
+        });
+    });
+});
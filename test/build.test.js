@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { BUILD_TARGETS, bundle, buildTarget } = require('../scripts/build');
+const { LESSON_URL, readFixture, flush } = require('./helpers/dom');
+
+/**
+ * Run a built script in a lesson page, the way a browser would
+ */
+function runInPage(code, fixture = 'lesson-start-dialog.html') {
+    const dom = new JSDOM(readFixture(fixture), { url: LESSON_URL, runScripts: 'outside-only' });
+    dom.window.eval(code);
+    return dom;
+}
+
+/**
+ * Shut down the overlay (and its timers) and close the page
+ */
+function closePage(dom) {
+    dom.window.autoTypewriter?.destroy();
+    dom.window.close();
+}
+
+const getTarget = (name) => BUILD_TARGETS.find((target) => target.name === name);
+
+describe('build', () => {
+    it('the console version runs on its own in a lesson page', () => {
+        const dom = runInPage(bundle());
+        
+        try {
+            assert.ok(dom.window.document.getElementById('auto-typewriter-ui'));
+            assert.equal(dom.window.getAutoTypewriterStatus().state, 'awaiting-start-dialog');
+            assert.equal(typeof dom.window.stopAutoTypewriter, 'function');
+            assert.equal(dom.window.SettingsStore, undefined, 'modules should not leak into the page');
+        } finally {
+            closePage(dom);
+        }
+    });
+
+    it('running the console version again keeps the open overlay', () => {
+        const dom = runInPage(bundle());
+        const first = dom.window.autoTypewriter;
+        
+        try {
+            dom.window.eval(bundle());
+            
+            assert.equal(dom.window.autoTypewriter, first);
+            assert.equal(dom.window.document.querySelectorAll('#auto-typewriter-ui').length, 1);
+            assert.match(first.toastContainer.querySelector('.ui-toast').textContent, /Already running/);
+        } finally {
+            closePage(dom);
+        }
+    });
+
+    it('shuts down a copy running in another script world', () => {
+        const dom = runInPage(bundle());
+        const other = dom.window.autoTypewriter;
+        
+        try {
+            // Globals of an extension or userscript aren't visible to the page
+            delete dom.window.autoTypewriter;
+            dom.window.eval(bundle());
+            
+            assert.notEqual(dom.window.autoTypewriter, other);
+            assert.equal(other.isAttached, false);
+            assert.equal(other.statsInterval, null);
+            assert.equal(dom.window.document.querySelectorAll('#auto-typewriter-ui').length, 1);
+        } finally {
+            other.destroy();
+            closePage(dom);
+        }
+    });
+
+    it('the bookmarklet is a javascript: URL that loads the overlay', async () => {
+        const url = (await buildTarget(getTarget('bookmarklet'))).trim();
+        assert.match(url, /^javascript:[^\s]+$/);
+        
+        const dom = runInPage(decodeURIComponent(url.slice('javascript:'.length)));
+        try {
+            assert.ok(dom.window.document.getElementById('auto-typewriter-ui'));
+        } finally {
+            closePage(dom);
+        }
+    });
+
+    it('the userscript matches lesson pages and waits for the lesson text', async () => {
+        const userscript = await buildTarget(getTarget('userscript'));
+        assert.match(userscript, /^\/\/ ==UserScript==\n[\s\S]*\/\/ @match {8}https:\/\/\*\.typewriter\.at\/index\.php\?r=typewriter\/startPractise\*\n[\s\S]*\/\/ ==\/UserScript==\n/);
+        assert.doesNotMatch(userscript, /\bprompt\(/);
+        
+        // A lesson page whose text hasn't been loaded yet
+        const dom = new JSDOM(readFixture('lesson-end.html'), { url: LESSON_URL, runScripts: 'outside-only' });
+        const { document } = dom.window;
+        document.getElementById('text_todo_1').remove();
+        dom.window.eval(userscript);
+        
+        try {
+            assert.equal(document.getElementById('auto-typewriter-ui'), null);
+            
+            document.querySelector('.lesson').innerHTML = '<div id="text_todo_1"><span>H</span>allo</div>';
+            await flush();
+            assert.ok(document.getElementById('auto-typewriter-ui'));
+        } finally {
+            closePage(dom);
+        }
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DiagnosticsLog } = require('../src/diagnostics-log');
+
+describe('DiagnosticsLog', () => {
+    it('adds the context to every entry', () => {
+        const log = new DiagnosticsLog(() => ({ state: 'typing', char: 'x' }));
+        const entry = log.info('Typed');
+        
+        assert.equal(entry.level, 'info');
+        assert.equal(entry.state, 'typing');
+        assert.equal(entry.char, 'x');
+    });
+
+    it('keeps logging when the context fails', () => {
+        const log = new DiagnosticsLog(() => { throw new Error('no context'); });
+        assert.equal(log.warn('Still logged').state, null);
+    });
+
+    it('drops the oldest entries beyond the limit', () => {
+        const log = new DiagnosticsLog(undefined, 3);
+        ['a', 'b', 'c', 'd'].forEach((message) => log.debug(message));
+        
+        assert.deepEqual(log.entries.map((entry) => entry.message), ['b', 'c', 'd']);
+    });
+
+    it('filters by level and notifies subscribers', () => {
+        const log = new DiagnosticsLog();
+        const seen = [];
+        log.subscribe((entry) => seen.push(entry.message));
+        log.debug('one');
+        log.error('two');
+        
+        assert.deepEqual(log.getEntries('warn').map((entry) => entry.message), ['two']);
+        assert.deepEqual(seen, ['one', 'two']);
+    });
+
+    it('exports errors with their message and stack', () => {
+        const log = new DiagnosticsLog();
+        log.error('Typing failed', new Error('boom'));
+        const exported = JSON.parse(log.toJSON({ url: 'https://example.com/' }));
+        
+        assert.equal(exported.url, 'https://example.com/');
+        assert.equal(exported.entries[0].details.error, 'boom');
+        assert.match(exported.entries[0].details.stack, /boom/);
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EventEmitter } = require('../src/event-emitter');
+
+describe('EventEmitter', () => {
+    it('calls the listeners of an event until they unsubscribe', () => {
+        const events = new EventEmitter();
+        const seen = [];
+        const unsubscribe = events.on('char', (data) => seen.push(data));
+        
+        events.emit('char', 'a');
+        events.emit('state', 'ignored');
+        unsubscribe();
+        events.emit('char', 'b');
+        
+        assert.deepEqual(seen, ['a']);
+    });
+
+    it('keeps notifying when a listener fails', () => {
+        const failures = [];
+        const events = new EventEmitter((error, event) => failures.push(`${event}: ${error.message}`));
+        const seen = [];
+        events.on('state', () => { throw new Error('broken'); });
+        events.on('state', (data) => seen.push(data));
+        
+        events.emit('state', 'typing');
+        
+        assert.deepEqual(seen, ['typing']);
+        assert.deepEqual(failures, ['state: broken']);
+    });
+
+    it('drops every listener on clear', () => {
+        const events = new EventEmitter();
+        let calls = 0;
+        events.on('complete', () => calls++);
+        
+        events.clear();
+        events.emit('complete');
+        
+        assert.equal(calls, 0);
+    });
+});
@@ -0,0 +1,284 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const { BUILD_TARGETS, bundle } = require('../scripts/build');
+const { MESSAGE_TYPES, ERROR_CODES } = require('../src/extension/messages');
+const { SETTINGS_STORAGE_KEY } = require('../src/settings-store');
+const { LESSON_URL, readFixture, flush } = require('./helpers/dom');
+const { createFakeChrome } = require('./helpers/fake-chrome');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'extension');
+
+describe('extension', () => {
+    let dom = null;
+
+    afterEach(() => {
+        dom?.window.autoTypewriter?.closeUI();
+        dom?.window.close();
+        dom = null;
+    });
+
+    describe('manifest', () => {
+        it('is a Manifest V3 extension pointing at existing or built files', () => {
+            const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+            const built = BUILD_TARGETS.map((target) => target.output);
+            
+            assert.equal(manifest.manifest_version, 3);
+            assert.equal(manifest.version, require('../package.json').version);
+            [manifest.background.service_worker, manifest.action.default_popup, ...manifest.content_scripts[0].js]
+                .forEach((file) => assert.ok(
+                    built.includes(`extension/${file}`) || fs.existsSync(path.join(EXTENSION_DIR, file)),
+                    `${file} is missing`
+                ));
+        });
+    });
+
+    describe('content script', () => {
+        /**
+         * Load a lesson page with the content script, its settings in extension storage
+         */
+        const loadContentScript = async (settings = { version: 1, charsPerTenMins: 600 }) => {
+            const reports = [];
+            const chrome = createFakeChrome({ onRuntimeMessage: (message) => reports.push(message) });
+            chrome.storage.local.items[SETTINGS_STORAGE_KEY] = JSON.stringify(settings);
+            
+            dom = new JSDOM(readFixture('lesson-multi-block.html'), { url: LESSON_URL, runScripts: 'outside-only' });
+            dom.window.chrome = chrome;
+            dom.window.eval(bundle('extension/content'));
+            await flush();
+            
+            return { chrome, reports };
+        };
+
+        it('runs the engine with the settings from extension storage', async () => {
+            const { chrome } = await loadContentScript();
+            const { status } = await chrome.dispatchMessage({ type: MESSAGE_TYPES.GET_STATUS });
+            
+            assert.equal(status.state, 'ready');
+            assert.equal(status.charsPerTenMins, 600);
+            assert.ok(dom.window.document.getElementById('auto-typewriter-ui'));
+        });
+
+        it('starts, pauses, resumes and stops on popup commands', async () => {
+            const { chrome } = await loadContentScript();
+            const send = async (type) => (await chrome.dispatchMessage({ type })).status.state;
+            
+            assert.equal(await send(MESSAGE_TYPES.START), 'typing');
+            assert.equal(await send(MESSAGE_TYPES.PAUSE), 'paused');
+            assert.equal(await send(MESSAGE_TYPES.PAUSE), 'typing');
+            assert.equal(await send(MESSAGE_TYPES.STOP), 'ready');
+        });
+
+        it('reports every state change to the background', async () => {
+            const { chrome, reports } = await loadContentScript();
+            await chrome.dispatchMessage({ type: MESSAGE_TYPES.START });
+            await chrome.dispatchMessage({ type: MESSAGE_TYPES.STOP });
+            
+            assert.deepEqual(reports.map((report) => [report.type, report.status.state]), [
+                [MESSAGE_TYPES.STATUS_CHANGED, 'ready'],
+                [MESSAGE_TYPES.STATUS_CHANGED, 'typing'],
+                [MESSAGE_TYPES.STATUS_CHANGED, 'ready']
+            ]);
+        });
+
+        it('validates and saves the speed set from the popup', async () => {
+            const { chrome } = await loadContentScript();
+            
+            const invalid = await chrome.dispatchMessage({ type: MESSAGE_TYPES.SET_SPEED, charsPerTenMins: 'fast' });
+            assert.equal(invalid.error, 'Please enter a whole number.');
+            
+            const { status } = await chrome.dispatchMessage({ type: MESSAGE_TYPES.SET_SPEED, charsPerTenMins: '1200' });
+            assert.equal(status.charsPerTenMins, 1200);
+            assert.equal(dom.window.autoTypewriter.ui.querySelector('#speed-input').value, '1200');
+            assert.equal(JSON.parse(chrome.storage.local.items[SETTINGS_STORAGE_KEY]).charsPerTenMins, 1200);
+        });
+
+        it('logs settings that could not be saved to extension storage', async () => {
+            const { chrome } = await loadContentScript();
+            chrome.storage.local.set = async () => {
+                throw new dom.window.Error('QUOTA_BYTES quota exceeded');
+            };
+
+            await chrome.dispatchMessage({ type: MESSAGE_TYPES.SET_SPEED, charsPerTenMins: '900' });
+            await flush();
+
+            const entry = dom.window.autoTypewriter.log.getEntries('error').pop();
+            assert.equal(entry.message, 'Saving to extension storage failed');
+            assert.equal(entry.details.key, SETTINGS_STORAGE_KEY);
+            assert.equal(entry.details.error.error, 'QUOTA_BYTES quota exceeded');
+        });
+
+        it('answers with an error code while the lesson is loading', async () => {
+            const chrome = createFakeChrome({ onRuntimeMessage: () => {} });
+            dom = new JSDOM(readFixture('lesson-multi-block.html'), { url: LESSON_URL, runScripts: 'outside-only' });
+            dom.window.chrome = chrome;
+            dom.window.eval(bundle('extension/content'));
+            
+            const answer = await chrome.dispatchMessage({ type: MESSAGE_TYPES.GET_STATUS });
+            assert.equal(answer.errorCode, ERROR_CODES.LESSON_LOADING);
+            assert.equal(answer.status, undefined);
+            await flush();
+        });
+
+        it('ignores messages that are not engine commands', async () => {
+            const { chrome } = await loadContentScript();
+            assert.equal(await chrome.dispatchMessage({ type: MESSAGE_TYPES.STATUS_CHANGED }), undefined);
+        });
+    });
+
+    describe('service worker', () => {
+        const loadBackground = () => {
+            const chrome = createFakeChrome();
+            vm.runInNewContext(bundle('extension/background'), { chrome, Date });
+            return chrome;
+        };
+
+        it('keeps the state of each tab separately', async () => {
+            const chrome = loadBackground();
+            await chrome.dispatchMessage({ type: MESSAGE_TYPES.STATUS_CHANGED, status: { state: 'typing' } }, { tab: { id: 7 } });
+            await chrome.dispatchMessage({ type: MESSAGE_TYPES.STATUS_CHANGED, status: { state: 'paused' } }, { tab: { id: 9 } });
+            await flush();
+            
+            assert.equal((await chrome.dispatchMessage({ type: MESSAGE_TYPES.GET_TAB_STATE, tabId: 7 })).status.state, 'typing');
+            assert.equal((await chrome.dispatchMessage({ type: MESSAGE_TYPES.GET_TAB_STATE, tabId: 9 })).status.state, 'paused');
+            assert.equal(chrome.badges[7].text, '▶');
+            assert.equal(chrome.badges[9].text, '❚❚');
+        });
+
+        it('forgets a tab when it navigates or closes', async () => {
+            const chrome = loadBackground();
+            await chrome.dispatchMessage({ type: MESSAGE_TYPES.STATUS_CHANGED, status: { state: 'ready' } }, { tab: { id: 7 } });
+            await chrome.dispatchMessage({ type: MESSAGE_TYPES.STATUS_CHANGED, status: { state: 'ready' } }, { tab: { id: 9 } });
+            await flush();
+            
+            chrome.tabs.onUpdated.listeners.forEach((listener) => listener(7, { status: 'loading' }));
+            chrome.tabs.onRemoved.listeners.forEach((listener) => listener(9, {}));
+            await flush();
+            
+            assert.deepEqual(chrome.storage.session.items, {});
+            assert.equal(await chrome.dispatchMessage({ type: MESSAGE_TYPES.GET_TAB_STATE, tabId: 7 }), null);
+        });
+
+        it('answers with no state when session storage fails', async () => {
+            const chrome = loadBackground();
+            chrome.storage.session.get = async () => {
+                throw new Error('Storage unavailable');
+            };
+
+            assert.equal(await chrome.dispatchMessage({ type: MESSAGE_TYPES.GET_TAB_STATE, tabId: 7 }), null);
+        });
+
+        it('shrugs off a badge for a tab that is already gone', async () => {
+            const chrome = loadBackground();
+            chrome.action.setBadgeText = async ({ tabId }) => {
+                throw new Error(`No tab with id: ${tabId}.`);
+            };
+            const unhandled = mock.fn();
+            process.on('unhandledRejection', unhandled);
+
+            try {
+                await chrome.dispatchMessage({ type: MESSAGE_TYPES.STATUS_CHANGED, status: { state: 'typing' } }, { tab: { id: 7 } });
+                await flush();
+                await new Promise((resolve) => setImmediate(resolve));
+            } finally {
+                process.off('unhandledRejection', unhandled);
+            }
+            assert.equal(unhandled.mock.callCount(), 0);
+        });
+    });
+
+    describe('popup', () => {
+        const STATUS = {
+            state: 'ready',
+            charsPerTenMins: 600,
+            charactersTyped: 0,
+            timeRunning: 0,
+            progress: { position: 0, remaining: 14, total: 14, percent: 0 }
+        };
+
+        const loadPopup = async (chrome) => {
+            dom = new JSDOM(fs.readFileSync(path.join(EXTENSION_DIR, 'popup.html'), 'utf8'), { runScripts: 'outside-only' });
+            dom.window.chrome = chrome;
+            dom.window.eval(bundle('extension/popup'));
+            await flush();
+            return dom.window.document;
+        };
+
+        it('shows the status of the active tab and sends the controls to it', async () => {
+            const chrome = createFakeChrome({
+                activeTab: { id: 4 },
+                onTabMessage: (tabId, message) => ({
+                    status: { ...STATUS, state: message.type === MESSAGE_TYPES.START ? 'typing' : 'ready' }
+                })
+            });
+            const document = await loadPopup(chrome);
+            
+            assert.equal(document.getElementById('controls').hidden, false);
+            assert.equal(document.getElementById('status-text').textContent, 'Ready');
+            assert.equal(document.getElementById('speed-input').value, '600');
+            assert.equal(document.getElementById('progress').textContent, '0 / 14 (0%)');
+            
+            document.getElementById('start-btn').click();
+            await flush();
+            
+            const last = chrome.sent[chrome.sent.length - 1];
+            assert.equal(last.to, 4);
+            assert.equal(last.message.type, MESSAGE_TYPES.START);
+            assert.equal(document.getElementById('status-text').textContent, 'Running');
+            assert.equal(document.getElementById('pause-btn').disabled, false);
+        });
+
+        it('speaks the language picked in the settings', async () => {
+            const chrome = createFakeChrome({
+                onTabMessage: () => ({ status: { ...STATUS, state: 'paused', charactersTyped: 1234 } })
+            });
+            chrome.storage.local.items[SETTINGS_STORAGE_KEY] = JSON.stringify({ version: 2, locale: 'de' });
+            const document = await loadPopup(chrome);
+            
+            assert.equal(document.documentElement.lang, 'de');
+            assert.equal(document.getElementById('status-text').textContent, 'Pausiert');
+            assert.equal(document.getElementById('chars-typed').textContent, '1.234');
+            assert.equal(document.getElementById('pause-btn').textContent, 'Weiter');
+            assert.equal(document.getElementById('stop-btn').textContent, 'Stopp');
+            assert.equal(document.getElementById('progress').textContent, '0 / 14 (0 %)');
+            assert.equal(document.querySelector('label[for="speed-input"]').textContent, 'Geschwindigkeit (Zeichen pro 10 Min.):');
+        });
+
+        it('explains when the tab has no lesson', async () => {
+            const chrome = createFakeChrome({ onRuntimeMessage: () => null });
+            const document = await loadPopup(chrome);
+            
+            assert.equal(document.getElementById('unsupported').hidden, false);
+            assert.equal(document.getElementById('controls').hidden, true);
+        });
+
+        it('says so when the service worker does not answer', async () => {
+            const chrome = createFakeChrome();
+            const document = await loadPopup(chrome);
+
+            assert.equal(document.getElementById('controls').hidden, true);
+            assert.equal(document.getElementById('popup-error').textContent, 'The state of this tab cannot be read right now.');
+        });
+
+        it('translates errors the content script sends as a code', async () => {
+            const chrome = createFakeChrome({ onTabMessage: () => ({ errorCode: ERROR_CODES.LESSON_LOADING }) });
+            chrome.storage.local.items[SETTINGS_STORAGE_KEY] = JSON.stringify({ version: 2, locale: 'de' });
+            const document = await loadPopup(chrome);
+            
+            assert.equal(document.getElementById('unsupported').hidden, false);
+            assert.equal(document.getElementById('popup-error').textContent, 'Die Lektion wird noch geladen.');
+        });
+
+        it('only offers Start when the lesson is ready', async () => {
+            const chrome = createFakeChrome({ onTabMessage: () => ({ status: { ...STATUS, state: 'paused' } }) });
+            const document = await loadPopup(chrome);
+
+            assert.equal(document.getElementById('start-btn').disabled, true);
+            assert.equal(document.getElementById('pause-btn').disabled, false);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// URL of a typewriter.at lesson, so the typewriter.at adapter picks up the fixtures
+const LESSON_URL = 'https://at4.typewriter.at/index.php?r=typewriter/startPractise&id=1083';
+
+// Browser globals the sources use, pointed at the fixture's window while it is loaded
+const BROWSER_GLOBALS = ['window', 'document', 'navigator', 'MutationObserver'];
+
+/**
+ * Read a saved page from test/fixtures
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+/**
+ * Load a fixture into jsdom and make it the global window/document
+ * Call cleanup() when done to restore the previous globals
+ */
+function loadFixture(name, { url = LESSON_URL } = {}) {
+    const dom = new JSDOM(readFixture(name), { url, pretendToBeVisual: true });
+    const previous = BROWSER_GLOBALS.map((key) => [key, Object.getOwnPropertyDescriptor(global, key)]);
+    
+    BROWSER_GLOBALS.forEach((key) => {
+        Object.defineProperty(global, key, { value: dom.window[key], configurable: true, writable: true });
+    });
+    
+    return {
+        dom,
+        window: dom.window,
+        document: dom.window.document,
+        cleanup() {
+            previous.forEach(([key, descriptor]) => {
+                if (descriptor) {
+                    Object.defineProperty(global, key, descriptor);
+                } else {
+                    delete global[key];
+                }
+            });
+            dom.window.close();
+        }
+    };
+}
+
+/**
+ * Wait for pending MutationObserver callbacks and other queued work
+ */
+function flush() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
+
+module.exports = {
+    LESSON_URL,
+    readFixture,
+    loadFixture,
+    flush
+};
@@ -0,0 +1,123 @@
+/**
+ * Event like chrome.runtime.onMessage: listeners can be added and the test fires it
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        listeners,
+        addListener: (listener) => listeners.push(listener),
+        removeListener: (listener) => listeners.splice(listeners.indexOf(listener), 1)
+    };
+}
+
+/**
+ * chrome.storage area kept in memory
+ */
+function createStorageArea(name, onChanged) {
+    const items = {};
+    return {
+        items,
+        async get(keys) {
+            if (keys === null || keys === undefined) {
+                return { ...items };
+            }
+            return [].concat(keys).reduce((result, key) => {
+                if (key in items) {
+                    result[key] = items[key];
+                }
+                return result;
+            }, {});
+        },
+        async set(values) {
+            const changes = {};
+            Object.entries(values).forEach(([key, value]) => {
+                changes[key] = { oldValue: items[key], newValue: value };
+                items[key] = value;
+            });
+            onChanged.listeners.forEach((listener) => listener(changes, name));
+        },
+        async remove(keys) {
+            const changes = {};
+            [].concat(keys).forEach((key) => {
+                changes[key] = { oldValue: items[key] };
+                delete items[key];
+            });
+            onChanged.listeners.forEach((listener) => listener(changes, name));
+        }
+    };
+}
+
+/**
+ * Stand-in for the extension APIs the extension scripts use
+ * Messages sent with runtime.sendMessage / tabs.sendMessage are recorded in sent and
+ * answered by the handlers given (or by nobody)
+ */
+function createFakeChrome({ onRuntimeMessage = null, onTabMessage = null, activeTab = { id: 1 } } = {}) {
+    const storageChanged = createEvent();
+    const sent = [];
+    const badges = {};
+    
+    const chrome = {
+        sent,
+        badges,
+        runtime: {
+            onMessage: createEvent(),
+            async sendMessage(message) {
+                sent.push({ to: 'runtime', message });
+                if (!onRuntimeMessage) {
+                    throw new Error('Could not establish connection. Receiving end does not exist.');
+                }
+                return onRuntimeMessage(message);
+            }
+        },
+        tabs: {
+            onUpdated: createEvent(),
+            onRemoved: createEvent(),
+            async query() {
+                return activeTab ? [activeTab] : [];
+            },
+            async sendMessage(tabId, message) {
+                sent.push({ to: tabId, message });
+                if (!onTabMessage) {
+                    throw new Error('Could not establish connection. Receiving end does not exist.');
+                }
+                return onTabMessage(tabId, message);
+            }
+        },
+        storage: {
+            onChanged: storageChanged,
+            local: createStorageArea('local', storageChanged),
+            session: createStorageArea('session', storageChanged)
+        },
+        action: {
+            async setBadgeText({ tabId, text }) {
+                badges[tabId] = { ...badges[tabId], text };
+            },
+            async setBadgeBackgroundColor({ tabId, color }) {
+                badges[tabId] = { ...badges[tabId], color };
+            }
+        }
+    };
+    
+    /**
+     * Deliver a message to the runtime.onMessage listeners, resolving with the answer
+     */
+    chrome.dispatchMessage = (message, sender = {}) => new Promise((resolve) => {
+        let isAsync = false;
+        chrome.runtime.onMessage.listeners.forEach((listener) => {
+            if (listener(message, sender, resolve) === true) {
+                isAsync = true;
+            }
+        });
+        if (!isAsync) {
+            // Nobody answered
+            setImmediate(() => resolve(undefined));
+        }
+    });
+    
+    return chrome;
+}
+
+module.exports = {
+    createFakeChrome
+};
@@ -0,0 +1,52 @@
+/**
+ * Clock for TypingScheduler that only moves when told to
+ * advance() runs every timer that falls due, in order, like real time passing
+ */
+class FakeClock {
+    constructor(start = 0) {
+        this.time = start;
+        this.timers = [];
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms) {
+        const id = this.nextId++;
+        this.timers.push({ id, callback, at: this.time + Math.max(0, ms) });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter((timer) => timer.id !== id);
+    }
+
+    /**
+     * Move time forward, firing due timers
+     * lag delays every timer by that many extra milliseconds, like a throttled tab
+     */
+    advance(ms, { lag = 0 } = {}) {
+        const end = this.time + ms;
+        
+        for (;;) {
+            const due = this.timers
+                .filter((timer) => timer.at + lag <= end)
+                .sort((a, b) => a.at - b.at)[0];
+            if (!due) {
+                break;
+            }
+            
+            this.timers = this.timers.filter((timer) => timer !== due);
+            this.time = Math.max(this.time, due.at + lag);
+            due.callback();
+        }
+        
+        this.time = end;
+    }
+}
+
+module.exports = {
+    FakeClock
+};
@@ -0,0 +1,62 @@
+const { LessonTextReader } = require('../../src/text-reader');
+
+/**
+ * Stand-in for the typewriter.at page script, which the fixtures don't include
+ * The current character sits in the first element of its block; a keypress for that
+ * character removes it and marks the next one, any other keypress counts as an error
+ */
+function simulateLessonPage(document) {
+    const reader = new LessonTextReader(document);
+    const results = { accepted: [], rejected: [] };
+    
+    // Wrap the next typeable character of a block in a marker, dropping invisible ones
+    const markNext = (block) => {
+        while (block.firstChild) {
+            let marker = block.firstChild;
+            if (marker.nodeType === 3) {
+                const [char] = Array.from(marker.data);
+                marker.data = marker.data.slice(char.length);
+                if (!marker.data) {
+                    marker.remove();
+                }
+                marker = document.createElement('span');
+                marker.textContent = char;
+                block.insertBefore(marker, block.firstChild);
+            }
+            if (reader.getBlockText(marker)) {
+                return;
+            }
+            marker.remove();
+        }
+    };
+    
+    reader.getBlocks().forEach(markNext);
+    
+    document.addEventListener('keypress', (event) => {
+        const typed = event.key === 'Enter' ? '\n' : event.key;
+        const block = reader.getCurrentBlock();
+        
+        if (!block || typed !== reader.getCurrentCharacter()) {
+            results.rejected.push(typed);
+            return;
+        }
+        
+        block.firstChild.remove();
+        markNext(block);
+        results.accepted.push(typed);
+    });
+    
+    return results;
+}
+
+/**
+ * Hide a jQuery UI dialog the way the site does when it is closed
+ */
+function closeDialog(dialog) {
+    dialog.style.display = 'none';
+}
+
+module.exports = {
+    simulateLessonPage,
+    closeDialog
+};
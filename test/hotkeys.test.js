@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HOTKEY_ACTIONS, defaultHotkeys, parseHotkey, hotkeyFromEvent } = require('../src/hotkeys');
+
+describe('parseHotkey', () => {
+    it('writes shortcuts in their normal form', () => {
+        assert.equal(parseHotkey('alt+shift+s'), 'Alt+Shift+S');
+        assert.equal(parseHotkey(' Shift + Ctrl + 5 '), 'Ctrl+Shift+5');
+        assert.equal(parseHotkey('Meta+ArrowUp'), 'Meta+ArrowUp');
+        assert.equal(parseHotkey(''), '');
+    });
+
+    it('rejects shortcuts that would type a character or name unknown keys', () => {
+        assert.equal(parseHotkey('S'), null);
+        assert.equal(parseHotkey('Shift+S'), null);
+        assert.equal(parseHotkey('Alt+Shift'), null);
+        assert.equal(parseHotkey('Alt+Alt+S'), null);
+        assert.equal(parseHotkey('Hyper+S'), null);
+        assert.equal(parseHotkey('Alt+ß'), null);
+        assert.equal(parseHotkey(42), null);
+    });
+
+    it('accepts every default', () => {
+        Object.values(defaultHotkeys()).forEach((hotkey) => assert.equal(parseHotkey(hotkey), hotkey));
+        assert.deepEqual(Object.keys(defaultHotkeys()), Object.keys(HOTKEY_ACTIONS));
+    });
+});
+
+describe('hotkeyFromEvent', () => {
+    it('reads the shortcut from the key position, whatever character it produced', () => {
+        assert.equal(hotkeyFromEvent({ code: 'KeyS', key: 'Í', altKey: true, shiftKey: true }), 'Alt+Shift+S');
+        assert.equal(hotkeyFromEvent({ code: 'Digit1', key: '!', ctrlKey: true, shiftKey: true }), 'Ctrl+Shift+1');
+    });
+
+    it('ignores plain keys and modifiers pressed on their own', () => {
+        assert.equal(hotkeyFromEvent({ code: 'KeyS', key: 'S', shiftKey: true }), null);
+        assert.equal(hotkeyFromEvent({ code: 'AltLeft', key: 'Alt', altKey: true }), null);
+        assert.equal(hotkeyFromEvent({ code: '', key: 'Unidentified', ctrlKey: true }), null);
+    });
+});
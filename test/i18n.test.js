@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MESSAGES } = require('../src/messages');
+const { SUPPORTED_LOCALES, resolveLocale, Translator } = require('../src/i18n');
+
+describe('resolveLocale', () => {
+    it('uses a locale that was picked', () => {
+        assert.equal(resolveLocale('de', ['en-US']), 'de');
+    });
+
+    it('follows the first supported browser language', () => {
+        assert.equal(resolveLocale('auto', ['fr-FR', 'de-AT', 'en']), 'de');
+        assert.equal(resolveLocale('auto', ['EN-gb']), 'en');
+    });
+
+    it('falls back to English', () => {
+        assert.equal(resolveLocale('auto', ['fr', 'it']), 'en');
+        assert.equal(resolveLocale('auto', []), 'en');
+        assert.equal(resolveLocale('es', []), 'en');
+    });
+});
+
+describe('Translator', () => {
+    it('fills in placeholders and picks the plural form by count', () => {
+        const en = new Translator('en');
+        assert.equal(en.t('stats.remainingValue', { count: 1 }), '1 char');
+        assert.equal(en.t('stats.remainingValue', { count: 0 }), '0 chars');
+        assert.equal(en.t('summary.stopped', { reason: 'Gone.' }), 'Stopped: Gone.');
+    });
+
+    it('formats numbers and times for the locale', () => {
+        const de = new Translator('de');
+        assert.equal(de.t('speed.perTenMinutes', { count: 1500 }), '1.500 Zeichen pro 10 Min.');
+        assert.equal(de.formatNumber(-2.25, { minimumFractionDigits: 1, maximumFractionDigits: 1 }), '-2,3');
+        assert.equal(new Translator('en').formatNumber(1500), '1,500');
+
+        const timestamp = new Date(2024, 4, 6, 14, 5).getTime();
+        assert.equal(de.formatTime(timestamp), '14:05');
+        assert.equal(de.formatDateTime(timestamp), '06.05.24, 14:05');
+    });
+
+    it('falls back to English, and to the key for unknown messages', () => {
+        const de = new Translator('de');
+        const message = MESSAGES.de['overlay.close'];
+        delete MESSAGES.de['overlay.close'];
+        try {
+            assert.equal(de.t('overlay.close'), 'Close');
+        } finally {
+            MESSAGES.de['overlay.close'] = message;
+        }
+        assert.equal(de.t('no.such.message'), 'no.such.message');
+        assert.equal(new Translator('xx').locale, 'en');
+    });
+
+    it('has every English message in every catalog', () => {
+        SUPPORTED_LOCALES.forEach((locale) => {
+            const missing = Object.keys(MESSAGES.en).filter((key) => !(key in MESSAGES[locale]));
+            assert.deepEqual(missing, [], locale);
+        });
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { KeySynthesizer } = require('../src/key-synthesizer');
+const { KEYBOARD_LAYOUTS } = require('../src/keyboard-layouts');
+const { loadFixture } = require('./helpers/dom');
+
+/**
+ * Record the key and input events reaching the document, as short strings
+ */
+function recordEvents(document) {
+    const events = [];
+    ['keydown', 'keypress', 'beforeinput', 'input', 'keyup'].forEach((type) => {
+        document.addEventListener(type, (event) => {
+            events.push(`${type}:${event.key ?? event.data}`);
+        });
+    });
+    return events;
+}
+
+describe('KeySynthesizer', () => {
+    let page = null;
+
+    afterEach(() => {
+        page?.cleanup();
+        page = null;
+    });
+
+    it('describes characters on the de-AT layout', () => {
+        const synthesizer = new KeySynthesizer();
+        
+        assert.deepEqual(
+            (({ key, code, keyCode, shiftKey, altGraph }) => ({ key, code, keyCode, shiftKey, altGraph }))(synthesizer.describe('Z')),
+            { key: 'Z', code: 'KeyY', keyCode: 90, shiftKey: true, altGraph: false }
+        );
+        assert.equal(synthesizer.describe('@').code, 'KeyQ');
+        assert.equal(synthesizer.describe('@').altGraph, true);
+        assert.equal(synthesizer.describe('\n').key, 'Enter');
+    });
+
+    it('types dead key compositions as two strokes', () => {
+        const synthesizer = new KeySynthesizer();
+        const strokes = synthesizer.describe('â').strokes;
+        
+        assert.deepEqual(strokes.map((stroke) => stroke.key), ['Dead', 'â']);
+        assert.deepEqual(strokes.map((stroke) => stroke.code), ['Backquote', 'KeyA']);
+    });
+
+    it('uses the selected layout', () => {
+        const synthesizer = new KeySynthesizer(KEYBOARD_LAYOUTS['en-US']);
+        
+        assert.equal(synthesizer.describe('z').code, 'KeyZ');
+        assert.equal(synthesizer.describe('@').shiftKey, true);
+    });
+
+    it('sends the full event sequence, with modifiers around the key', () => {
+        page = loadFixture('lesson-start-dialog.html');
+        const events = recordEvents(page.document);
+        new KeySynthesizer().type('D', page.document.body);
+        
+        assert.deepEqual(events, ['keydown:Shift', 'keydown:D', 'keypress:D', 'keyup:D', 'keyup:Shift']);
+    });
+
+    it('inserts the text into editable targets', () => {
+        page = loadFixture('practice-textarea.html', { url: 'http://localhost/practice.html' });
+        const textarea = page.document.querySelector('textarea');
+        const events = recordEvents(page.document);
+        const synthesizer = new KeySynthesizer();
+        
+        synthesizer.type('H', textarea);
+        synthesizer.type('\n', textarea);
+        
+        assert.equal(textarea.value, 'H\n');
+        assert.deepEqual(events.slice(0, 7), ['keydown:Shift', 'keydown:H', 'keypress:H', 'beforeinput:H', 'input:H', 'keyup:H', 'keyup:Shift']);
+    });
+
+    it('leaves the text alone when the page cancels the key', () => {
+        page = loadFixture('practice-textarea.html', { url: 'http://localhost/practice.html' });
+        const textarea = page.document.querySelector('textarea');
+        textarea.addEventListener('keypress', (event) => event.preventDefault());
+        
+        new KeySynthesizer().type('a', textarea);
+        assert.equal(textarea.value, '');
+    });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LessonLifecycle, LESSON_STATES } = require('../src/lifecycle');
+
+describe('LessonLifecycle', () => {
+    it('follows a lesson from the start dialog to completion', () => {
+        const changes = [];
+        const lifecycle = new LessonLifecycle((state, previousState) => changes.push(`${previousState}>${state}`));
+        
+        [LESSON_STATES.AWAITING_START_DIALOG, LESSON_STATES.READY, LESSON_STATES.TYPING, LESSON_STATES.PAUSED,
+            LESSON_STATES.TYPING, LESSON_STATES.COMPLETED].forEach((state) => {
+            assert.equal(lifecycle.transition(state), true);
+        });
+        
+        assert.equal(changes.length, 6);
+        assert.equal(changes[5], 'typing>completed');
+    });
+
+    it('refuses transitions that are not allowed', () => {
+        const lifecycle = new LessonLifecycle();
+        
+        assert.equal(lifecycle.can(LESSON_STATES.TYPING), false);
+        assert.equal(lifecycle.transition(LESSON_STATES.TYPING), false);
+        assert.equal(lifecycle.state, LESSON_STATES.IDLE);
+    });
+
+    it('keeps the reason of the last transition', () => {
+        const lifecycle = new LessonLifecycle();
+        lifecycle.transition(LESSON_STATES.ERROR, 'The lesson text is no longer on the page.');
+        
+        assert.equal(lifecycle.is(LESSON_STATES.ERROR, LESSON_STATES.COMPLETED), true);
+        assert.equal(lifecycle.reason, 'The lesson text is no longer on the page.');
+    });
+});
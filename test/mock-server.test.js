@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { createMockServer, LESSON_PATH } = require('../mock-server');
+const { bundle } = require('../scripts/build');
+const { SETTINGS_STORAGE_KEY } = require('../src/settings-store');
+
+const TEXT = 'Grüße aus Wien!\nZeile {2} @ 5 €';
+const SPEED = 6000;
+
+/**
+ * Load the mock lesson page in jsdom with its page script running
+ */
+async function openLesson(baseUrl, query = '') {
+    const dom = await JSDOM.fromURL(`${baseUrl}${LESSON_PATH}?r=typewriter/startPractise&id=1083${query}`, {
+        runScripts: 'dangerously',
+        resources: 'usable',
+        pretendToBeVisual: true
+    });
+    await new Promise((resolve) => dom.window.addEventListener('load', resolve));
+    return dom;
+}
+
+async function getResults(baseUrl, query = '') {
+    const response = await fetch(`${baseUrl}/results${query}`);
+    return response.json();
+}
+
+/**
+ * Poll the results until the lesson is complete
+ */
+async function waitForCompletion(baseUrl, timeoutMs) {
+    const end = Date.now() + timeoutMs;
+    while (Date.now() < end) {
+        const results = await getResults(baseUrl);
+        if (results.complete) {
+            return results;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error('The lesson was not completed in time');
+}
+
+describe('mock server', () => {
+    let server = null;
+    let baseUrl = null;
+
+    before(async () => {
+        server = createMockServer({ text: TEXT });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('serves a lesson page with the text and the start dialog', async () => {
+        const dom = await openLesson(baseUrl);
+        const { document } = dom.window;
+        
+        try {
+            assert.equal(document.querySelector('#text_todo_1 .current').textContent, 'G');
+            assert.equal(document.querySelector(".ui-dialog[aria-describedby='startDialog']").style.display, 'block');
+            assert.equal((await getResults(baseUrl)).started, false);
+        } finally {
+            dom.window.close();
+        }
+    });
+
+    it('records accepted and rejected keypresses', async () => {
+        const dom = await openLesson(baseUrl, '&text=ab&dialog=0');
+        const { window } = dom;
+        const press = (key) => window.document.dispatchEvent(new window.KeyboardEvent('keypress', { key, bubbles: true }));
+        
+        try {
+            press('a');
+            press('x');
+            press('b');
+            await new Promise((resolve) => setTimeout(resolve, 200));
+            
+            const results = await getResults(baseUrl);
+            assert.equal(results.accepted, 2);
+            assert.equal(results.rejected, 1);
+            assert.deepEqual(results.errors.map(({ position, expected, typed }) => ({ position, expected, typed })), [
+                { position: 1, expected: 'b', typed: 'x' }
+            ]);
+            assert.equal(results.complete, true);
+        } finally {
+            window.close();
+        }
+    });
+
+    it('types a whole lesson end to end at the configured speed', { timeout: 30000 }, async () => {
+        const dom = await openLesson(baseUrl);
+        const { window } = dom;
+        
+        try {
+            window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: 1, charsPerTenMins: SPEED }));
+            window.eval(bundle());
+            const typewriter = window.autoTypewriter;
+            assert.equal(typewriter.lifecycle.state, 'awaiting-start-dialog');
+            
+            window.document.getElementById('start-lesson-btn').click();
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            assert.equal(typewriter.lifecycle.state, 'ready');
+            
+            typewriter.startTyping();
+            await waitForCompletion(baseUrl, 20000);
+            const results = await getResults(baseUrl, `?charsPerTenMins=${SPEED}`);
+            
+            assert.equal(results.accepted, Array.from(TEXT).length);
+            assert.equal(results.rejected, 0);
+            assert.ok(Math.abs(results.speedDeviationPercent) < 15, `speed was ${results.effectiveCharsPerTenMins}`);
+            assert.equal(typewriter.lifecycle.state, 'completed');
+        } finally {
+            window.autoTypewriter?.closeUI();
+            window.close();
+        }
+    });
+
+    it('answers 404 for unknown routes', async () => {
+        const response = await fetch(`${baseUrl}/nope`);
+        assert.equal(response.status, 404);
+    });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EDGE_MARGIN, fitOffset } = require('../src/overlay-position');
+
+describe('fitOffset', () => {
+    // A 300x400 overlay 20px from the top right corner of a 1024x768 viewport
+    const box = { left: 704, top: 20, width: 300, height: 400 };
+    const viewport = { width: 1024, height: 768 };
+
+    it('leaves an offset inside the viewport alone', () => {
+        assert.deepEqual(fitOffset({ x: -300, y: 100 }, box, viewport), { x: -300, y: 100 });
+        assert.deepEqual(fitOffset({ x: -300, y: 100 }, box, viewport, true), { x: -300, y: 100 });
+    });
+
+    it('keeps the overlay inside the viewport', () => {
+        assert.deepEqual(fitOffset({ x: 500, y: -100 }, box, viewport), { x: 20, y: -20 });
+        assert.deepEqual(fitOffset({ x: -1000, y: 1000 }, box, viewport), { x: -704, y: 348 });
+    });
+
+    it('keeps the top left corner visible when the overlay is larger than the viewport', () => {
+        const small = { width: 250, height: 300 };
+        const smallBox = { ...box, left: small.width - 320 };
+        assert.deepEqual(fitOffset({ x: 0, y: 0 }, smallBox, small), { x: 70, y: -20 });
+    });
+
+    it('snaps to the margin of nearby edges', () => {
+        assert.deepEqual(fitOffset({ x: -700, y: 0 }, box, viewport, true), { x: EDGE_MARGIN - 704, y: 0 });
+        assert.deepEqual(fitOffset({ x: 10, y: 330 }, box, viewport, true), { x: 0, y: 328 });
+        assert.deepEqual(fitOffset({ x: -690, y: -15 }, box, viewport, true), { x: -684, y: 0 });
+    });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RollingSpeed } = require('../src/rolling-speed');
+
+describe('RollingSpeed', () => {
+    it('measures over the time typed so far until the window is full', () => {
+        const speed = new RollingSpeed(10000);
+        speed.reset(0);
+        [1000, 2000, 3000, 4000].forEach((time) => speed.record(time));
+        
+        assert.equal(speed.perMinute(4000), 60);
+    });
+
+    it('only counts the characters within the window', () => {
+        const speed = new RollingSpeed(10000);
+        speed.reset(0);
+        for (let time = 500; time <= 10000; time += 500) {
+            speed.record(time);
+        }
+        [10500, 11000].forEach((time) => speed.record(time));
+        
+        // 20 characters in the first 10 s, only the last 2 are left in the window after 20 s
+        assert.equal(speed.perMinute(10000), 120);
+        assert.equal(speed.perMinute(20000), 12);
+    });
+
+    it('is 0 before measuring starts', () => {
+        assert.equal(new RollingSpeed().perMinute(1000), 0);
+    });
+});
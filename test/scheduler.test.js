@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TypingScheduler, MAX_CATCH_UP_CHARS } = require('../src/scheduler');
+const { ConstantSpeedProfile } = require('../src/speed-profiles');
+const { FakeClock } = require('./helpers/fake-clock');
+
+/**
+ * Scheduler typing into a counter, at 600 chars per 10 minutes (one per second)
+ */
+function createScheduler({ canType = () => true } = {}) {
+    const clock = new FakeClock();
+    const typed = [];
+    const scheduler = new TypingScheduler(() => {
+        if (!canType()) {
+            return false;
+        }
+        typed.push(clock.now());
+        return true;
+    }, clock);
+    
+    return { clock, typed, scheduler, profile: new ConstantSpeedProfile(600) };
+}
+
+describe('TypingScheduler', () => {
+    it('types at the speed of the profile', () => {
+        const { clock, typed, scheduler, profile } = createScheduler();
+        scheduler.start(profile);
+        clock.advance(10000);
+        
+        assert.deepEqual(typed, [1000, 2000, 3000, 4000, 5000, 6000, 7000, 8000, 9000, 10000]);
+        assert.equal(scheduler.getDeviation().chars, 0);
+    });
+
+    it('catches up after late timers instead of drifting', () => {
+        const { clock, typed, scheduler, profile } = createScheduler();
+        scheduler.start(profile);
+        clock.advance(10300, { lag: 300 });
+        
+        assert.equal(typed.length, 10);
+        assert.equal(scheduler.getDeviation().chars, 0);
+    });
+
+    it('limits the burst after a long stall', () => {
+        const { clock, typed, scheduler, profile } = createScheduler();
+        scheduler.start(profile);
+        clock.advance(60000, { lag: 59000 });
+        
+        assert.equal(typed.length, MAX_CATCH_UP_CHARS);
+    });
+
+    it('does not count paused time', () => {
+        const { clock, typed, scheduler, profile } = createScheduler();
+        scheduler.start(profile);
+        clock.advance(2500);
+        scheduler.pause();
+        clock.advance(60000);
+        
+        assert.equal(typed.length, 2);
+        assert.equal(scheduler.getElapsed(), 2500);
+        
+        scheduler.resume();
+        clock.advance(500);
+        assert.equal(typed.length, 3);
+    });
+
+    it('forgives characters that could not be typed', () => {
+        let canType = false;
+        const { clock, typed, scheduler, profile } = createScheduler({ canType: () => canType });
+        scheduler.start(profile);
+        clock.advance(5000);
+        
+        canType = true;
+        clock.advance(1000);
+        
+        assert.equal(typed.length, 1);
+        assert.equal(scheduler.getDeviation().chars, 0);
+    });
+
+    it('switches profiles without a burst', () => {
+        const { clock, typed, scheduler, profile } = createScheduler();
+        scheduler.start(profile);
+        clock.advance(3000);
+        scheduler.setProfile(new ConstantSpeedProfile(6000));
+        clock.advance(1000);
+        
+        assert.equal(typed.length, 13);
+    });
+
+    it('carries on at the elapsed time when asked to', () => {
+        const { clock, typed, scheduler, profile } = createScheduler();
+        scheduler.start(profile);
+        clock.advance(3000);
+        scheduler.setProfile(new ConstantSpeedProfile(1200), true);
+
+        assert.equal(scheduler.getElapsed(), 3000);
+        assert.equal(scheduler.getTargetCount(), 3);
+        clock.advance(1000);
+        assert.equal(typed.length, 5);
+    });
+
+    it('stops typing when stopped', () => {
+        const { clock, typed, scheduler, profile } = createScheduler();
+        scheduler.start(profile);
+        clock.advance(1000);
+        scheduler.stop();
+        clock.advance(5000);
+        
+        assert.equal(typed.length, 1);
+        assert.equal(clock.timers.length, 0);
+    });
+});
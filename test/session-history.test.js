@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SessionHistory, HISTORY_STORAGE_KEY, HISTORY_VERSION } = require('../src/session-history');
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: (key) => { delete data[key]; }
+    };
+}
+
+/**
+ * A valid run, with some fields changed
+ */
+const run = (changes = {}) => ({
+    completedAt: Date.parse('2024-05-06T08:00:00Z'),
+    lessonId: '1083',
+    profile: 'constant',
+    charsPerTenMins: 600,
+    achievedCharsPerTenMins: 590,
+    durationMs: 17000,
+    charactersTyped: 18,
+    errors: 1,
+    ...changes
+});
+
+describe('SessionHistory', () => {
+    it('saves runs and loads them again', () => {
+        const storage = createStorage();
+        new SessionHistory(storage).add(run());
+        
+        const history = new SessionHistory(storage);
+        assert.deepEqual(history.load(), [run()]);
+        assert.equal(JSON.parse(storage.data[HISTORY_STORAGE_KEY]).version, HISTORY_VERSION);
+    });
+
+    it('skips invalid runs and unreadable data', () => {
+        const raw = JSON.stringify({ version: HISTORY_VERSION, runs: [run(), run({ durationMs: -1 }), 'run', run({ lessonId: 5 })] });
+        const runs = new SessionHistory(createStorage({ [HISTORY_STORAGE_KEY]: raw })).load();
+        
+        assert.equal(runs.length, 2);
+        assert.equal(runs[1].lessonId, null);
+        assert.deepEqual(new SessionHistory(createStorage({ [HISTORY_STORAGE_KEY]: '{not json' })).load(), []);
+        assert.equal(new SessionHistory(createStorage()).add({ lessonId: '1' }), null);
+    });
+
+    it('keeps only the most recent runs', () => {
+        const history = new SessionHistory(createStorage(), HISTORY_STORAGE_KEY, 2);
+        [1, 2, 3].forEach((completedAt) => history.add(run({ completedAt })));
+        
+        assert.deepEqual(history.runs.map((entry) => entry.completedAt), [2, 3]);
+    });
+
+    it('sums up the runs per lesson', () => {
+        const history = new SessionHistory(createStorage());
+        history.add(run({ achievedCharsPerTenMins: 500, completedAt: 1 }));
+        history.add(run({ achievedCharsPerTenMins: 700, completedAt: 2, errors: 0 }));
+        history.add(run({ lessonId: '99', completedAt: 3 }));
+        history.add(run({ lessonId: null, completedAt: 4 }));
+        
+        const lessons = history.getLessons('lessonId', 'asc');
+        assert.deepEqual(lessons.map((lesson) => lesson.lessonId), ['99', '1083', null]);
+        assert.equal(lessons[1].runs, 2);
+        assert.equal(lessons[1].bestCharsPerTenMins, 700);
+        assert.equal(lessons[1].averageCharsPerTenMins, 600);
+        assert.equal(lessons[1].errors, 1);
+        assert.equal(lessons[1].lastCompletedAt, 2);
+    });
+
+    it('sorts the runs by any field', () => {
+        const history = new SessionHistory(createStorage());
+        [700, 500, 600].forEach((achievedCharsPerTenMins, i) => history.add(run({ achievedCharsPerTenMins, completedAt: i })));
+        
+        assert.deepEqual(history.getRuns().map((entry) => entry.completedAt), [2, 1, 0]);
+        assert.deepEqual(history.getRuns('achievedCharsPerTenMins', 'asc').map((entry) => entry.achievedCharsPerTenMins), [500, 600, 700]);
+    });
+
+    it('keeps the runs another tab recorded in the meantime', () => {
+        const storage = createStorage();
+        const first = new SessionHistory(storage);
+        const second = new SessionHistory(storage);
+        first.load();
+        second.load();
+        
+        first.add(run({ completedAt: 1 }));
+        second.add(run({ completedAt: 2 }));
+        
+        assert.deepEqual(new SessionHistory(storage).load().map((entry) => entry.completedAt), [1, 2]);
+        assert.equal(second.runs.length, 2);
+    });
+
+    it('exports CSV and JSON', () => {
+        const history = new SessionHistory(createStorage());
+        history.add(run({ lessonId: 'a,"b"', achievedCharsPerTenMins: 589.6 }));
+        history.add(run({ profile: 'deadline', charsPerTenMins: null }));
+        
+        assert.equal(history.toCSV(), [
+            'completedAt,lessonId,profile,charsPerTenMins,achievedCharsPerTenMins,durationMs,charactersTyped,errors',
+            '2024-05-06T08:00:00.000Z,"a,""b""",constant,600,590,17000,18,1',
+            '2024-05-06T08:00:00.000Z,1083,deadline,,590,17000,18,1',
+            ''
+        ].join('\n'));
+        assert.equal(JSON.parse(history.toJSON()).runs[0].completedAt, '2024-05-06T08:00:00.000Z');
+    });
+
+    it('keeps values that look like formulas from running in a spreadsheet', () => {
+        const history = new SessionHistory(createStorage());
+        ['=1+2', '+49', '-3', '@SUM(A1)', '=HYPERLINK("x","y")'].forEach((lessonId, completedAt) => {
+            history.add(run({ lessonId, completedAt }));
+        });
+        
+        const ids = history.toCSV().trim().split('\n').slice(1).map((line) => line.split(',').slice(1, -6).join(','));
+        assert.deepEqual(ids, ['\'=1+2', '\'+49', '\'-3', '\'@SUM(A1)', '"\'=HYPERLINK(""x"",""y"")"']);
+    });
+
+    it('forgets everything on clear', () => {
+        const storage = createStorage();
+        const history = new SessionHistory(storage);
+        history.add(run());
+        history.clear();
+        
+        assert.deepEqual(history.runs, []);
+        assert.equal(storage.data[HISTORY_STORAGE_KEY], undefined);
+    });
+});
@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SettingsStore, SETTINGS_STORAGE_KEY, SETTINGS_VERSION } = require('../src/settings-store');
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        getItem: (key) => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: (key) => { delete data[key]; }
+    };
+}
+
+describe('SettingsStore', () => {
+    it('falls back to the defaults when nothing is stored', () => {
+        const store = new SettingsStore(createStorage());
+        assert.deepEqual(store.load(), SettingsStore.defaults());
+    });
+
+    it('falls back to the defaults for corrupt data', () => {
+        const store = new SettingsStore(createStorage({ [SETTINGS_STORAGE_KEY]: '{not json' }));
+        assert.deepEqual(store.load(), SettingsStore.defaults());
+    });
+
+    it('discards data written by a newer version', () => {
+        const raw = JSON.stringify({ version: SETTINGS_VERSION + 1, charsPerTenMins: 500 });
+        const store = new SettingsStore(createStorage({ [SETTINGS_STORAGE_KEY]: raw }));
+        assert.equal(store.load().charsPerTenMins, SettingsStore.defaults().charsPerTenMins);
+    });
+
+    it('migrates data saved without a version', () => {
+        const raw = JSON.stringify({ charsPerTenMins: 750, isDarkMode: false });
+        const store = new SettingsStore(createStorage({ [SETTINGS_STORAGE_KEY]: raw }));
+        const settings = store.load();
+        
+        assert.equal(settings.charsPerTenMins, 750);
+        assert.equal(settings.theme, 'light');
+        assert.equal('isDarkMode' in settings, false);
+    });
+
+    it('turns the dark mode switch into a theme', () => {
+        const load = (isDarkMode) => new SettingsStore(createStorage({
+            [SETTINGS_STORAGE_KEY]: JSON.stringify({ version: 1, isDarkMode })
+        })).load().theme;
+        
+        assert.equal(load(true), 'dark');
+        assert.equal(load(false), 'light');
+        assert.equal(new SettingsStore(createStorage()).load().theme, 'system');
+    });
+
+    it('keeps valid values and replaces invalid ones', () => {
+        const raw = JSON.stringify({
+            version: SETTINGS_VERSION,
+            charsPerTenMins: 123456,
+            position: { x: 40, y: -12 },
+            layout: 'fr-FR',
+            theme: 'sepia',
+            accentColor: 'red',
+            profile: { type: 'ramp', rampMinutes: -1, schedule: 42 },
+            hotkeys: { start: 'shift+ctrl+1', stop: '', minimize: 'Shift+M', speedUp: 7 },
+            locale: 'fr'
+        });
+        const store = new SettingsStore(createStorage({ [SETTINGS_STORAGE_KEY]: raw }));
+        const settings = store.load();
+        const defaults = SettingsStore.defaults();
+        
+        assert.equal(settings.charsPerTenMins, defaults.charsPerTenMins);
+        assert.deepEqual(settings.position, { x: 40, y: -12 });
+        assert.equal(settings.layout, defaults.layout);
+        assert.equal(settings.theme, defaults.theme);
+        assert.equal(settings.accentColor, '');
+        assert.equal(settings.profile.type, 'ramp');
+        assert.equal(settings.profile.rampMinutes, defaults.profile.rampMinutes);
+        assert.equal(settings.profile.schedule, defaults.profile.schedule);
+        assert.deepEqual(settings.hotkeys, { ...defaults.hotkeys, start: 'Ctrl+Shift+1', stop: '' });
+        assert.equal(settings.locale, 'auto');
+    });
+
+    it('saves updates with the current version', () => {
+        const storage = createStorage();
+        const store = new SettingsStore(storage);
+        store.update({ charsPerTenMins: 300, layout: 'de-CH' });
+        
+        const saved = JSON.parse(storage.data[SETTINGS_STORAGE_KEY]);
+        assert.equal(saved.version, SETTINGS_VERSION);
+        assert.equal(saved.charsPerTenMins, 300);
+        assert.equal(new SettingsStore(storage).load().layout, 'de-CH');
+    });
+
+    it('keeps what another store saved in the meantime', () => {
+        const storage = createStorage();
+        const first = new SettingsStore(storage);
+        const second = new SettingsStore(storage);
+        first.load();
+        second.load();
+        
+        first.update({ theme: 'dark' });
+        second.update({ charsPerTenMins: 300 });
+        
+        const saved = new SettingsStore(storage).load();
+        assert.equal(saved.theme, 'dark');
+        assert.equal(saved.charsPerTenMins, 300);
+    });
+
+    it('forgets the stored settings on reset', () => {
+        const storage = createStorage();
+        const store = new SettingsStore(storage);
+        store.update({ minimized: true });
+        
+        assert.deepEqual(store.reset(), SettingsStore.defaults());
+        assert.equal(storage.getItem(SETTINGS_STORAGE_KEY), null);
+    });
+
+    it('keeps working when storage throws', () => {
+        const storage = {
+            getItem: () => { throw new Error('blocked'); },
+            setItem: () => { throw new Error('blocked'); },
+            removeItem: () => { throw new Error('blocked'); }
+        };
+        const store = new SettingsStore(storage);
+        
+        assert.deepEqual(store.load(), SettingsStore.defaults());
+        assert.equal(store.update({ charsPerTenMins: 200 }).charsPerTenMins, 200);
+        assert.deepEqual(store.reset(), SettingsStore.defaults());
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TypewriterAtAdapter, TextareaAdapter, findSiteAdapter } = require('../src/site-adapters');
+const { loadFixture } = require('./helpers/dom');
+
+describe('findSiteAdapter', () => {
+    let page = null;
+
+    afterEach(() => {
+        page?.cleanup();
+        page = null;
+    });
+
+    it('picks the typewriter.at adapter on lesson pages', () => {
+        page = loadFixture('lesson-start-dialog.html');
+        assert.ok(findSiteAdapter(page.window.location, page.document) instanceof TypewriterAtAdapter);
+    });
+
+    it('picks the textarea adapter on practice pages', () => {
+        page = loadFixture('practice-textarea.html', { url: 'http://localhost/practice.html' });
+        assert.ok(findSiteAdapter(page.window.location, page.document) instanceof TextareaAdapter);
+    });
+
+    it('returns null on unsupported pages', () => {
+        page = loadFixture('lesson-end.html', { url: 'https://example.com/' });
+        assert.equal(findSiteAdapter(page.window.location, page.document), null);
+    });
+});
+
+describe('TypewriterAtAdapter', () => {
+    let page = null;
+
+    afterEach(() => {
+        page?.cleanup();
+        page = null;
+    });
+
+    it('finds the lesson, the current character and the start dialog', () => {
+        page = loadFixture('lesson-start-dialog.html');
+        const adapter = new TypewriterAtAdapter(page.document);
+        
+        assert.equal(adapter.findLessonElement().id, 'text_todo_1');
+        assert.equal(adapter.findCurrentChar(), 'D');
+        assert.equal(adapter.findStartDialog().getAttribute('aria-describedby'), 'startDialog');
+        assert.equal(adapter.isLessonComplete(), false);
+    });
+
+    it('reads the lesson id from the URL', () => {
+        page = loadFixture('lesson-start-dialog.html');
+        assert.equal(new TypewriterAtAdapter(page.document).findLessonId(), '1083');
+        page.cleanup();
+        
+        page = loadFixture('lesson-start-dialog.html', { url: 'https://at4.typewriter.at/index.php?r=site/index&id=5' });
+        assert.equal(new TypewriterAtAdapter(page.document).findLessonId(), null);
+    });
+
+    it('sends keys to the page rather than to the overlay', () => {
+        page = loadFixture('lesson-start-dialog.html');
+        const adapter = new TypewriterAtAdapter(page.document);
+        const overlay = page.document.createElement('div');
+        overlay.id = 'auto-typewriter-ui';
+        overlay.innerHTML = '<input>';
+        page.document.body.appendChild(overlay);
+        overlay.querySelector('input').focus();
+        
+        assert.equal(adapter.findInputTarget(), page.document.body);
+    });
+
+    it('reports the lesson as complete once the text is gone', () => {
+        page = loadFixture('lesson-end.html');
+        assert.equal(new TypewriterAtAdapter(page.document).isLessonComplete(), true);
+    });
+});
+
+describe('TextareaAdapter', () => {
+    let page = null;
+
+    afterEach(() => {
+        page?.cleanup();
+        page = null;
+    });
+
+    it('reads the position from the textarea', () => {
+        page = loadFixture('practice-textarea.html', { url: 'http://localhost/practice.html' });
+        const adapter = new TextareaAdapter(page.document);
+        adapter.findInputTarget().value = 'Hello';
+        
+        assert.equal(adapter.findCurrentChar(), ',');
+        assert.equal(adapter.textReader.getProgress().remaining, 8);
+        
+        adapter.findInputTarget().value = 'Hello, World!';
+        assert.equal(adapter.isLessonComplete(), true);
+    });
+
+    it('uses the reference value as the lesson id', () => {
+        page = loadFixture('practice-textarea.html', { url: 'http://localhost/practice.html' });
+        const adapter = new TextareaAdapter(page.document);
+        assert.equal(adapter.findLessonId(), null);
+        
+        adapter.findLessonElement().dataset.typingReference = 'greeting';
+        assert.equal(adapter.findLessonId(), 'greeting');
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    ConstantSpeedProfile,
+    RampUpSpeedProfile,
+    PiecewiseSpeedProfile,
+    DeadlineSpeedProfile
+} = require('../src/speed-profiles');
+
+describe('ConstantSpeedProfile', () => {
+    it('spreads the characters evenly', () => {
+        const profile = new ConstantSpeedProfile(600);
+        
+        assert.equal(profile.charsDueBy(60000), 60);
+        assert.equal(profile.timeForChars(1), 1000);
+        assert.equal(profile.speedAt(123456), 600);
+    });
+});
+
+describe('RampUpSpeedProfile', () => {
+    it('starts at a tenth of the target and reaches it after the ramp', () => {
+        const profile = new RampUpSpeedProfile(1000, 2);
+        
+        assert.equal(Math.round(profile.speedAt(0)), 100);
+        assert.equal(Math.round(profile.speedAt(60000)), 550);
+        assert.equal(Math.round(profile.speedAt(120000)), 1000);
+        assert.equal(Math.round(profile.speedAt(600000)), 1000);
+    });
+
+    it('finds the time of a character during and after the ramp', () => {
+        const profile = new RampUpSpeedProfile(1000, 2);
+        
+        [1, 10, profile.rampChars, profile.rampChars + 50].forEach((count) => {
+            assert.ok(Math.abs(profile.charsDueBy(profile.timeForChars(count)) - count) < 1e-6);
+        });
+    });
+});
+
+describe('PiecewiseSpeedProfile', () => {
+    it('follows the segments and keeps the last one going', () => {
+        const profile = PiecewiseSpeedProfile.fromJSON('[{"charsPerTenMins": 600, "minutes": 1}, {"charsPerTenMins": 1200}]');
+        
+        assert.equal(profile.charsDueBy(60000), 60);
+        assert.equal(profile.charsDueBy(120000), 180);
+        assert.equal(profile.speedAt(30000), 600);
+        assert.equal(profile.speedAt(90000), 1200);
+        assert.equal(profile.timeForChars(70), 65000);
+    });
+
+    it('keeps the last segment going past its duration', () => {
+        const profile = PiecewiseSpeedProfile.fromJSON('[{"charsPerTenMins": 600, "minutes": 1}]');
+        assert.equal(profile.timeForChars(120), 120000);
+    });
+
+    it('rejects invalid schedules with a readable message', () => {
+        assert.throws(() => PiecewiseSpeedProfile.fromJSON('nope'), /not valid JSON/);
+        assert.throws(() => PiecewiseSpeedProfile.fromJSON('[]'), /at least one segment/);
+        assert.throws(() => PiecewiseSpeedProfile.fromJSON('[{"charsPerTenMins": 0}]'), /Segment 1: charsPerTenMins/);
+        assert.throws(() => PiecewiseSpeedProfile.fromJSON('[{"charsPerTenMins": 100, "minutes": -1}]'), /Segment 1: minutes/);
+    });
+});
+
+describe('DeadlineSpeedProfile', () => {
+    it('finishes the remaining characters on time', () => {
+        const profile = new DeadlineSpeedProfile(2, 300);
+        
+        assert.equal(profile.charsDueBy(120000), 300);
+        assert.equal(profile.speedAt(0), 1500);
+        assert.match(profile.describeProgress(60000), /300 chars, 01:00 left/);
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { LessonTextReader } = require('../src/text-reader');
+const { loadFixture } = require('./helpers/dom');
+
+describe('LessonTextReader', () => {
+    let page = null;
+
+    afterEach(() => {
+        page?.cleanup();
+        page = null;
+    });
+
+    it('reads entities, special whitespace and line breaks as the characters to type', () => {
+        page = loadFixture('lesson-special-characters.html');
+        const reader = new LessonTextReader(page.document);
+        
+        assert.equal(reader.getCurrentCharacter(), 'G');
+        assert.equal(reader.getRemainingText(), 'Grüße & <Zölle> für 5 € @Büro{1}\nZeilezwei\nEnde');
+    });
+
+    it('reads the blocks in numeric order', () => {
+        page = loadFixture('lesson-multi-block.html');
+        const reader = new LessonTextReader(page.document);
+        
+        assert.deepEqual(reader.getBlocks().map((block) => block.id), ['text_todo_1', 'text_todo_2', 'text_todo_10']);
+        assert.equal(reader.getRemainingText(), 'eins zwei zehn');
+    });
+
+    it('moves on to the next block once one is typed', () => {
+        page = loadFixture('lesson-multi-block.html');
+        const reader = new LessonTextReader(page.document);
+        page.document.getElementById('text_todo_1').textContent = '';
+        
+        assert.equal(reader.getCurrentBlock().id, 'text_todo_2');
+        assert.equal(reader.getCurrentCharacter(), 'z');
+        assert.equal(reader.getRemainingText(), 'zwei zehn');
+    });
+
+    it('counts progress from the longest text seen since reset', () => {
+        page = loadFixture('lesson-multi-block.html');
+        const reader = new LessonTextReader(page.document);
+        assert.equal(reader.reset().total, 14);
+        
+        page.document.getElementById('text_todo_1').textContent = 's ';
+        assert.deepEqual(reader.getProgress(), { position: 3, remaining: 11, total: 14, percent: (3 / 14) * 100 });
+    });
+
+    it('has nothing left at the end of a lesson', () => {
+        page = loadFixture('lesson-end.html');
+        const reader = new LessonTextReader(page.document);
+        
+        assert.equal(reader.getCurrentCharacter(), '');
+        assert.equal(reader.getRemainingText(), '');
+    });
+
+    it('normalizes line endings and drops invisible characters', () => {
+        assert.equal(LessonTextReader.normalize('a\r\nb\rc\u200bd\u00ade\u2028f'), 'a\nb\ncde\nf');
+    });
+});